@@ -0,0 +1,231 @@
+/**
+ * Answers Module
+ * Grades typed answers to open questions against their accepted answers,
+ * falling back to self-grading when there is nothing to compare with, and
+ * scores multi-select, ordering, matching and fill-in-the-blank answers
+ * with the question's partial credit rule
+ */
+
+class AnswerMatcher {
+    constructor() {
+        this.modes = ['normalized', 'exact', 'numeric', 'self'];
+        this.modeLabels = {
+            normalized: 'Ignorar maiúsculas, acentos e pontuação',
+            exact: 'Texto exato',
+            numeric: 'Numérica (com tolerância)',
+            self: 'Autocorreção'
+        };
+
+        this.scoringRules = ['all', 'proportional', 'penalty'];
+        this.scoringLabels = {
+            all: 'Tudo ou nada',
+            proportional: 'Proporcional (cada alternativa conta)',
+            penalty: 'Desconta marcações erradas'
+        };
+
+        // Blanks are written inside the stem as [[answer|alternative]]
+        this.blankPattern = /\[\[([^\]]+)\]\]/g;
+    }
+
+    // ===== GRADING =====
+
+    check(question, answer) {
+        // correct is null when the player has to grade the answer themselves
+        const accepted = this.getAcceptedAnswers(question);
+        const mode = this.getMode(question);
+
+        if (mode === 'self' || accepted.length === 0) {
+            return { correct: null, matched: null };
+        }
+
+        const matched = accepted.find(expected => this.matches(answer, expected, mode, question.tolerance));
+        return { correct: matched !== undefined, matched: matched ?? null };
+    }
+
+    matches(answer, expected, mode = 'normalized', tolerance = 0) {
+        switch (mode) {
+            case 'exact':
+                return String(answer).trim() === String(expected).trim();
+            case 'numeric': {
+                const value = this.parseNumber(answer);
+                const target = this.parseNumber(expected);
+                // The epsilon absorbs float noise such as 0.1 + 0.2
+                return !isNaN(value) && !isNaN(target) && Math.abs(value - target) <= (Number(tolerance) || 0) + 1e-9;
+            }
+            default:
+                return this.normalize(answer) === this.normalize(expected);
+        }
+    }
+
+    getAcceptedAnswers(question) {
+        return (question.acceptedAnswers || []).map(answer => String(answer).trim()).filter(answer => answer);
+    }
+
+    getMode(question) {
+        return this.modes.includes(question.answerMatching) ? question.answerMatching : 'normalized';
+    }
+
+    describeExpected(question) {
+        switch (question.type) {
+            case 'ordering':
+                return (question.items || []).join(' → ');
+            case 'matching':
+                return (question.pairs || []).map(pair => `${pair.left} → ${pair.right}`).join('; ');
+            case 'cloze':
+                return this.getBlanks(question.text).map(blank => blank.join(' / ')).join(' | ');
+        }
+
+        const accepted = this.getAcceptedAnswers(question);
+        if (accepted.length === 0) return '';
+
+        const tolerance = Number(question.tolerance) || 0;
+        return this.getMode(question) === 'numeric' && tolerance > 0
+            ? accepted.map(answer => `${answer} (± ${tolerance})`).join(' | ')
+            : accepted.join(' | ');
+    }
+
+    // ===== MULTI-SELECT =====
+
+    scoreSelection(question, selected) {
+        // Returns the credit between 0 and 1 for the picked option indexes
+        const correct = new Set(question.correct);
+        const picked = new Set(selected);
+        const right = [...picked].filter(index => correct.has(index)).length;
+        const wrong = picked.size - right;
+
+        switch (this.getScoringRule(question)) {
+            case 'proportional': {
+                // Every option counts: marking a right one or leaving a wrong one blank
+                const total = question.options.length;
+                const matching = question.options.filter((_, index) => correct.has(index) === picked.has(index)).length;
+                return Math.round((matching / total) * 100) / 100;
+            }
+            case 'penalty':
+                return Math.max(0, Math.round(((right - wrong) / correct.size) * 100) / 100);
+            default:
+                return right === correct.size && wrong === 0 ? 1 : 0;
+        }
+    }
+
+    getScoringRule(question) {
+        return this.scoringRules.includes(question.scoring) ? question.scoring : 'all';
+    }
+
+    // ===== ORDERING, MATCHING AND BLANKS =====
+
+    scoreOrdering(question, order) {
+        // order lists item indexes as the player arranged them
+        return this.scoreParts(question, (question.items || []).map((_, position) => order[position] === position));
+    }
+
+    scoreMatching(question, picks) {
+        // picks[i] is the index of the right-hand item chosen for pair i
+        return this.scoreParts(question, (question.pairs || []).map((_, index) => picks[index] === index));
+    }
+
+    scoreCloze(question, answers) {
+        const mode = ['exact', 'numeric'].includes(question.answerMatching) ? question.answerMatching : 'normalized';
+        return this.scoreParts(question, this.getBlanks(question.text).map((accepted, index) =>
+            accepted.some(expected => this.matches(answers[index] ?? '', expected, mode, question.tolerance))
+        ));
+    }
+
+    scoreParts(question, hits) {
+        if (hits.length === 0) return 0;
+        const right = hits.filter(hit => hit).length;
+
+        // Every part counts the same under the proportional rule
+        if (this.getScoringRule(question) === 'proportional') {
+            return Math.round((right / hits.length) * 100) / 100;
+        }
+        return right === hits.length ? 1 : 0;
+    }
+
+    getBlanks(text) {
+        return [...String(text || '').matchAll(this.blankPattern)]
+            .map(match => match[1].split('|').map(answer => answer.trim()).filter(answer => answer));
+    }
+
+    maskBlanks(text) {
+        return String(text || '').replace(this.blankPattern, '______');
+    }
+
+    // ===== VALIDATION =====
+
+    validate(question) {
+        const errors = [];
+
+        if (question.scoring !== undefined && !this.scoringRules.includes(question.scoring)) {
+            errors.push(`Regra de pontuação inválida: ${question.scoring}`);
+        }
+
+        if (['ordering', 'matching', 'cloze'].includes(question.type) && question.scoring === 'penalty') {
+            errors.push('Esta questão aceita apenas pontuação "tudo ou nada" ou proporcional');
+        }
+
+        if (question.type === 'ordering') {
+            const items = (question.items || []).map(item => String(item).trim());
+            if (items.length < 2) errors.push('São necessários pelo menos 2 itens para ordenar');
+            if (items.some(item => !item)) errors.push('Todos os itens devem ser preenchidos');
+            if (new Set(items.map(item => item.toLowerCase())).size !== items.length) errors.push('Os itens não podem ser duplicados');
+        }
+
+        if (question.type === 'matching') {
+            const pairs = question.pairs || [];
+            if (pairs.length < 2) errors.push('São necessários pelo menos 2 pares');
+            if (pairs.some(pair => !String(pair.left || '').trim() || !String(pair.right || '').trim())) {
+                errors.push('Todos os pares precisam dos dois lados');
+            }
+            if (new Set(pairs.map(pair => String(pair.right || '').trim().toLowerCase())).size !== pairs.length) {
+                errors.push('As respostas dos pares não podem ser repetidas');
+            }
+        }
+
+        if (question.type === 'cloze') {
+            const blanks = this.getBlanks(question.text);
+            if (blanks.length === 0) errors.push('Marque pelo menos uma lacuna com [[resposta]]');
+            if (blanks.some(blank => blank.length === 0)) errors.push('Lacunas não podem ficar vazias');
+        }
+
+        if (question.answerMatching !== undefined && !this.modes.includes(question.answerMatching)) {
+            errors.push(`Modo de correção inválido: ${question.answerMatching}`);
+        }
+
+        if (question.answerMatching === 'numeric') {
+            if (this.getAcceptedAnswers(question).some(answer => isNaN(this.parseNumber(answer)))) {
+                errors.push('Respostas numéricas devem ser números');
+            }
+            if (question.tolerance !== undefined && !(Number(question.tolerance) >= 0)) {
+                errors.push('A tolerância deve ser um número maior ou igual a zero');
+            }
+        }
+
+        return errors;
+    }
+
+    // ===== HELPERS =====
+
+    normalize(text) {
+        return String(text || '')
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .toLowerCase()
+            .replace(/[^a-z0-9]+/g, ' ')
+            .trim();
+    }
+
+    parseNumber(text) {
+        let value = String(text ?? '').trim().replace(/\s/g, '');
+
+        // "1.234,5" and "1,234.5": the last separator is the decimal one
+        if (value.includes(',') && value.includes('.')) {
+            value = value.lastIndexOf(',') > value.lastIndexOf('.')
+                ? value.replace(/\./g, '').replace(',', '.')
+                : value.replace(/,/g, '');
+        } else {
+            value = value.replace(',', '.');
+        }
+
+        return /^[-+]?(\d+\.?\d*|\.\d+)(e[-+]?\d+)?$/i.test(value) ? parseFloat(value) : NaN;
+    }
+}
@@ -6,27 +6,80 @@
 class QuizApp {
     constructor() {
         this.currentView = 'quiz';
-        this.theme = localStorage.getItem('quiz-theme') || 'dark';
+
+        // Modules find each other through window.quizApp while they are created;
+        // storage already needs it for the importer and toasts of its startup migration
+        window.quizApp = this;
+
+        // Every read and write goes through storage; it loads (and on first run
+        // migrates) the question data in the background, init() waits for it
+        this.storage = new QuizStorage();
+        this.theme = this.storage.getTheme() || 'dark';
         this.settings = this.loadSettings();
         
         this.init();
     }
 
-    init() {
+    async init() {
         this.initializeTheme();
-        this.bindEvents();
         this.initializeViews();
-        this.loadAppState();
+        // Registers the service worker on window load, which may come before the data
+        this.bindPWAEvents();
+        
+        // The modules read the data as soon as they are created
+        this.showLoading(true);
+        try {
+            await this.storage.ready;
+        } catch (error) {
+            console.error('Failed to load data:', error);
+            this.showLoadError(error);
+            return;
+        }
+        this.showLoading(false);
         
         // Initialize modules
         this.quiz = new QuizModule();
         this.creator = new QuestionCreator();
-        this.storage = new QuizStorage();
         this.stats = new QuizStats();
+        this.manager = new QuestionManager();
+        this.builder = new QuizBuilder();
+        this.collections = new CollectionManager();
+        this.review = new ReviewScheduler();
+        this.answers = new AnswerMatcher();
+        this.richText = new RichText();
+        this.media = new MediaStore();
+        this.formats = new QuestionFormats();
+        this.importer = new QuestionImporter();
+        this.dedupe = new DuplicateDetector();
+        this.qti = new QtiPackage();
+        this.spreadsheet = new SpreadsheetImporter();
+        this.reconciler = new ImportReconciler();
+        this.exporter = new QuizExporter();
+
+        // Navigation, settings and shortcuts reach into the modules, so they wait for them
+        this.bindEvents();
+        this.review.updateBadge();
+        this.cleanupMedia();
+
+        // Imports and backups can replace the settings too
+        this.storage.onChange('settings', () => {
+            this.settings = this.loadSettings();
+        });
+        
+        // Restore the last view only once the modules it may initialize exist
+        this.loadAppState();
         
         console.log('Quiz Pro Web App initialized');
     }
 
+    cleanupMedia() {
+        // Attachment files outlive deleted questions until nothing, not even the draft, refers to them
+        const draft = this.storage.getDraft();
+        const questions = [...this.storage.getAllQuestions(), ...(draft ? [draft] : [])];
+
+        this.media.cleanupOrphans(questions).catch(error => console.warn('Media cleanup failed:', error));
+    }
+
     initializeTheme() {
         document.documentElement.setAttribute('data-theme', this.theme);
         this.updateThemeIcon();
@@ -91,9 +144,6 @@ class QuizApp {
         // Responsive sidebar
         this.bindResponsiveEvents();
 
-        // PWA events
-        this.bindPWAEvents();
-
         // Keyboard shortcuts
         this.bindKeyboardShortcuts();
     }
@@ -105,6 +155,13 @@ class QuizApp {
                 this.updateSettings();
             });
         });
+
+        document.getElementById('migrationLog').addEventListener('click', (e) => {
+            const button = e.target.closest('[data-migration]');
+            if (button) {
+                this.downloadDroppedRecords(button.dataset.migration);
+            }
+        });
     }
 
     bindResponsiveEvents() {
@@ -189,6 +246,7 @@ class QuizApp {
             quiz: document.getElementById('quizView'),
             create: document.getElementById('createView'),
             manage: document.getElementById('manageView'),
+            collections: document.getElementById('collectionsView'),
             stats: document.getElementById('statsView'),
             export: document.getElementById('exportView')
         };
@@ -211,6 +269,7 @@ class QuizApp {
 
         this.currentView = viewName;
         this.saveAppState();
+        this.review.updateBadge();
 
         // Trigger view-specific initialization
         this.initializeCurrentView();
@@ -222,13 +281,16 @@ class QuizApp {
                 this.creator.initialize();
                 break;
             case 'manage':
-                this.initializeManageView();
+                this.manager.initialize();
+                break;
+            case 'collections':
+                this.collections.initialize();
                 break;
             case 'stats':
                 this.stats.initialize();
                 break;
             case 'export':
-                this.initializeExportView();
+                this.exporter.initialize();
                 break;
         }
     }
@@ -236,7 +298,7 @@ class QuizApp {
     toggleTheme() {
         this.theme = this.theme === 'dark' ? 'light' : 'dark';
         document.documentElement.setAttribute('data-theme', this.theme);
-        localStorage.setItem('quiz-theme', this.theme);
+        this.storage.saveTheme(this.theme);
         this.updateThemeIcon();
         
         this.showToast(`Tema alterado para ${this.theme === 'dark' ? 'escuro' : 'claro'}`);
@@ -267,12 +329,53 @@ class QuizApp {
         
         // Load current settings into form
         this.loadSettingsIntoForm();
+        this.renderMigrationLog();
+    }
+
+    renderMigrationLog() {
+        // Startup upgrades of the stored data, with every record they repaired or dropped
+        const container = document.getElementById('migrationLog');
+        const log = this.storage.getMigrationLog();
+
+        container.innerHTML = log.length === 0
+            ? '<p class="text-muted">Os dados nunca precisaram de atualização de formato.</p>'
+            : log.map(report => {
+                const title = `${this.formatDate(report.timestamp, true)} · versão ${report.from} → ${report.to}`;
+                const summary = this.storage.migrations.summarize(report);
+
+                if (report.repaired.length === 0 && report.dropped.length === 0) {
+                    return `<p class="text-muted">${this.escapeHTML(title)}: ${this.escapeHTML(summary)}</p>`;
+                }
+
+                // Older runs didn't keep the dropped records themselves
+                const recoverable = report.dropped.some(item => 'record' in item);
+                return `
+                    ${this.reconciler.getMigrationHTML(report, title, summary)}
+                    ${recoverable ? `
+                        <button type="button" class="btn btn-outline btn-sm" data-migration="${this.escapeHTML(report.id)}">
+                            <i class="fas fa-download"></i> Baixar registros descartados
+                        </button>
+                    ` : ''}
+                `;
+            }).join('');
+    }
+
+    downloadDroppedRecords(id) {
+        const report = this.storage.getMigrationLog().find(entry => entry.id === id);
+        if (!report) return;
+
+        // Each entry says where the record was and why it went, next to the record as it was stored
+        this.storage.downloadJSON(
+            { version: report.from, timestamp: report.timestamp, dropped: report.dropped },
+            `quiz-descartados-${new Date(report.timestamp).getTime()}.json`
+        );
     }
 
     loadSettingsIntoForm() {
         document.getElementById('autoNextQuestion').checked = this.settings.autoNext;
         document.getElementById('showTimer').checked = this.settings.showTimer;
         document.getElementById('randomizeQuestions').checked = this.settings.randomize;
+        document.getElementById('countdownMode').checked = this.settings.countdown;
         document.getElementById('questionTime').value = this.settings.questionTime;
     }
 
@@ -281,13 +384,19 @@ class QuizApp {
             autoNext: document.getElementById('autoNextQuestion').checked,
             showTimer: document.getElementById('showTimer').checked,
             randomize: document.getElementById('randomizeQuestions').checked,
-            questionTime: parseInt(document.getElementById('questionTime').value)
+            countdown: document.getElementById('countdownMode').checked,
+            questionTime: this.clampQuestionTime(parseInt(document.getElementById('questionTime').value))
         };
         
         this.saveSettings();
         this.showToast('Configurações salvas');
     }
 
+    clampQuestionTime(seconds) {
+        if (isNaN(seconds)) return 30;
+        return Math.min(300, Math.max(10, seconds));
+    }
+
     closeAllModals() {
         document.querySelectorAll('.modal').forEach(modal => {
             modal.classList.remove('active');
@@ -372,26 +481,82 @@ class QuizApp {
         spinner.style.display = show ? 'flex' : 'none';
     }
 
+    showLoadError(error) {
+        // Without its data the app can't run; say so instead of leaving the spinner up
+        const spinner = document.getElementById('loadingSpinner');
+        spinner.classList.add('loading-error');
+        spinner.innerHTML = `
+            <i class="fas fa-exclamation-triangle"></i>
+            <p>Não foi possível carregar seus dados: ${this.escapeHTML(error.message)}</p>
+            <button type="button" id="loadRetry" class="btn btn-primary">
+                <i class="fas fa-redo"></i> Tentar novamente
+            </button>
+        `;
+        spinner.style.display = 'flex';
+
+        document.getElementById('loadRetry').addEventListener('click', () => window.location.reload());
+    }
+
+    // ===== HELPERS =====
+    // Shared by every module that builds HTML strings
+
+    escapeHTML(text) {
+        return String(text ?? '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
+    formatDate(timestamp, withTime = false) {
+        if (!timestamp) return '';
+
+        const date = new Date(timestamp);
+        return withTime ? date.toLocaleString('pt-BR') : date.toLocaleDateString('pt-BR');
+    }
+
+    getDifficultyLabel(difficulty) {
+        const labels = {
+            'easy': 'Fácil',
+            'medium': 'Médio',
+            'hard': 'Difícil'
+        };
+        return labels[difficulty] || labels.medium;
+    }
+
+    getTypeLabel(type) {
+        const labels = {
+            'multiple': 'Múltipla Escolha',
+            'boolean': 'Verdadeiro/Falso',
+            'multiselect': 'Múltiplas Corretas',
+            'open': 'Resposta Aberta',
+            'ordering': 'Ordenação',
+            'matching': 'Associação',
+            'cloze': 'Lacunas'
+        };
+        return labels[type] || labels.multiple;
+    }
+
     loadSettings() {
         const defaultSettings = {
             autoNext: false,
             showTimer: true,
             randomize: false,
+            countdown: false,
             questionTime: 30
         };
 
-        const saved = localStorage.getItem('quiz-settings');
-        return saved ? { ...defaultSettings, ...JSON.parse(saved) } : defaultSettings;
+        return this.storage.getSettings(defaultSettings);
     }
 
     saveSettings() {
-        localStorage.setItem('quiz-settings', JSON.stringify(this.settings));
+        this.storage.saveSettings(this.settings);
     }
 
     loadAppState() {
-        const saved = localStorage.getItem('quiz-app-state');
-        if (saved) {
-            const state = JSON.parse(saved);
+        const state = this.storage.getAppState();
+        if (state) {
             this.currentView = state.currentView || 'quiz';
             this.switchView(this.currentView);
         }
@@ -402,30 +567,7 @@ class QuizApp {
             currentView: this.currentView,
             timestamp: Date.now()
         };
-        localStorage.setItem('quiz-app-state', JSON.stringify(state));
-    }
-
-    // Placeholder methods for other views
-    initializeManageView() {
-        const container = document.getElementById('questionsList');
-        container.innerHTML = `
-            <div class="text-center">
-                <i class="fas fa-folder-open" style="font-size: 3rem; color: var(--text-muted); margin-bottom: 1rem;"></i>
-                <p>Funcionalidade de gerenciamento em desenvolvimento.</p>
-                <p class="text-muted">Aqui você poderá editar, organizar e categorizar suas questões.</p>
-            </div>
-        `;
-    }
-
-    initializeExportView() {
-        const container = document.getElementById('exportContent');
-        container.innerHTML = `
-            <div class="text-center">
-                <i class="fas fa-file-export" style="font-size: 3rem; color: var(--text-muted); margin-bottom: 1rem;"></i>
-                <p>Funcionalidade de exportação em desenvolvimento.</p>
-                <p class="text-muted">Aqui você poderá exportar seus quizzes em diferentes formatos (PDF, Excel, etc.).</p>
-            </div>
-        `;
+        this.storage.saveAppState(state);
     }
 }
 
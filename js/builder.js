@@ -0,0 +1,379 @@
+/**
+ * Quiz Builder Module
+ * Assembles quiz sessions from the stored bank, collections or saved filters
+ */
+
+class QuizBuilder {
+    constructor() {
+        this.storage = window.quizApp?.storage || new QuizStorage();
+
+        this.init();
+    }
+
+    init() {
+        this.bindElements();
+        this.bindEvents();
+    }
+
+    bindElements() {
+        this.elements = {
+            toggle: document.getElementById('builderToggle'),
+            section: document.getElementById('builderSection'),
+            collection: document.getElementById('builderCollection'),
+            collectionGroup: document.getElementById('builderCollectionGroup'),
+            filterGroup: document.getElementById('builderFilterGroup'),
+            savedFilter: document.getElementById('builderSavedFilter'),
+            category: document.getElementById('builderCategory'),
+            difficulty: document.getElementById('builderDifficulty'),
+            tags: document.getElementById('builderTags'),
+            count: document.getElementById('builderCount'),
+            random: document.getElementById('builderRandom'),
+            saveFilter: document.getElementById('builderSaveFilter'),
+            deleteFilter: document.getElementById('builderDeleteFilter'),
+            summary: document.getElementById('builderSummary'),
+            confirm: document.getElementById('builderConfirm'),
+            cancel: document.getElementById('builderCancel')
+        };
+    }
+
+    bindEvents() {
+        this.elements.toggle.addEventListener('click', () => this.toggle());
+        this.elements.cancel.addEventListener('click', () => this.hide());
+        this.elements.confirm.addEventListener('click', () => this.confirm());
+
+        document.querySelectorAll('input[name="builderSource"]').forEach(radio => {
+            radio.addEventListener('change', () => this.updateSourceFields());
+        });
+
+        this.elements.savedFilter.addEventListener('change', () => {
+            this.applySavedFilter(this.elements.savedFilter.value);
+        });
+
+        this.elements.saveFilter.addEventListener('click', () => this.saveCurrentFilter());
+        this.elements.deleteFilter.addEventListener('click', () => this.deleteSelectedFilter());
+
+        // Keep the question count preview in sync with every field
+        this.elements.section.addEventListener('input', () => this.updateSummary());
+        this.elements.section.addEventListener('change', () => this.updateSummary());
+    }
+
+    // ===== PANEL =====
+
+    toggle() {
+        const isVisible = this.elements.section.style.display === 'block';
+        if (isVisible) {
+            this.hide();
+        } else {
+            this.show();
+        }
+    }
+
+    show() {
+        window.quizApp.quiz.hideImportSection();
+        this.populateOptions();
+        this.updateSourceFields();
+        this.elements.section.style.display = 'block';
+    }
+
+    hide() {
+        this.elements.section.style.display = 'none';
+    }
+
+    populateOptions() {
+        const questions = this.storage.getAllQuestions();
+        const collections = this.storage.getAllCollections();
+        const filters = this.storage.getAllFilters();
+        const categories = [...new Set(questions.map(q => q.category).filter(c => c))]
+            .sort((a, b) => a.localeCompare(b, 'pt-BR'));
+
+        this.elements.collection.innerHTML = collections.length > 0
+            ? collections.map(c => `<option value="${window.quizApp.escapeHTML(c.id)}">${window.quizApp.escapeHTML(c.name)}</option>`).join('')
+            : '<option value="">Nenhuma coleção criada</option>';
+
+        this.elements.category.innerHTML = '<option value="">Todas as categorias</option>' +
+            categories.map(c => `<option value="${window.quizApp.escapeHTML(c)}">${window.quizApp.escapeHTML(c)}</option>`).join('');
+
+        this.elements.savedFilter.innerHTML = '<option value="">Novo filtro</option>' +
+            filters.map(f => `<option value="${window.quizApp.escapeHTML(f.id)}">${window.quizApp.escapeHTML(f.name)}</option>`).join('');
+    }
+
+    getSelectedSource() {
+        return document.querySelector('input[name="builderSource"]:checked').value;
+    }
+
+    updateSourceFields() {
+        const source = this.getSelectedSource();
+        this.elements.collectionGroup.style.display = source === 'collection' ? 'block' : 'none';
+        this.elements.filterGroup.style.display = source === 'filter' ? 'block' : 'none';
+        this.updateSummary();
+    }
+
+    readFilterForm() {
+        const count = parseInt(this.elements.count.value);
+
+        return {
+            category: this.elements.category.value,
+            difficulty: this.elements.difficulty.value,
+            tags: this.elements.tags.value.split(',').map(tag => tag.trim()).filter(tag => tag),
+            count: count > 0 ? count : null,
+            random: this.elements.random.checked
+        };
+    }
+
+    applySavedFilter(id) {
+        const filter = id ? this.storage.getFilterById(id) : null;
+
+        this.elements.category.value = filter?.category || '';
+        this.elements.difficulty.value = filter?.difficulty || '';
+        this.elements.tags.value = (filter?.tags || []).join(', ');
+        this.elements.count.value = filter?.count || '';
+        this.elements.random.checked = Boolean(filter?.random);
+        this.elements.deleteFilter.disabled = !filter;
+
+        this.updateSummary();
+    }
+
+    saveCurrentFilter() {
+        const selectedId = this.elements.savedFilter.value;
+        const existing = selectedId ? this.storage.getFilterById(selectedId) : null;
+        const name = window.prompt('Nome do filtro:', existing?.name || '');
+
+        if (!name || !name.trim()) return;
+
+        const id = this.storage.saveFilter({
+            ...(existing || {}),
+            ...this.readFilterForm(),
+            name: name.trim()
+        });
+
+        // Repopulating resets the selects, so reload the saved values
+        this.populateOptions();
+        this.elements.savedFilter.value = id;
+        this.applySavedFilter(id);
+        window.quizApp.showToast('Filtro salvo');
+    }
+
+    deleteSelectedFilter() {
+        const id = this.elements.savedFilter.value;
+        if (!id) return;
+
+        this.storage.deleteFilter(id);
+        this.populateOptions();
+        this.applySavedFilter('');
+        window.quizApp.showToast('Filtro excluído');
+    }
+
+    updateSummary() {
+        try {
+            const session = this.buildFromForm();
+            const skipped = session.skipped > 0
+                ? ` (${session.skipped} sem opções de resposta ignoradas)`
+                : '';
+            this.elements.summary.textContent = `${session.questions.length} questões serão carregadas${skipped}.`;
+        } catch (error) {
+            this.elements.summary.textContent = error.message;
+        }
+    }
+
+    confirm() {
+        let session;
+        try {
+            session = this.buildFromForm();
+        } catch (error) {
+            window.quizApp.showToast(error.message, 'error');
+            return;
+        }
+
+        if (session.questions.length === 0) {
+            window.quizApp.showToast('Nenhuma questão corresponde à seleção', 'error');
+            return;
+        }
+
+        this.hide();
+        this.loadSession(session);
+    }
+
+    // ===== SESSION BUILDING =====
+
+    buildFromForm() {
+        switch (this.getSelectedSource()) {
+            case 'collection':
+                return this.buildFromCollection(this.elements.collection.value);
+            case 'filter': {
+                const savedId = this.elements.savedFilter.value;
+                const saved = savedId ? this.storage.getFilterById(savedId) : null;
+                return this.buildFromFilter({
+                    ...this.readFilterForm(),
+                    ...(saved && { id: saved.id, name: saved.name })
+                });
+            }
+            default:
+                return this.buildFromBank();
+        }
+    }
+
+    buildFromBank() {
+        return this.createSession(this.storage.getAllQuestions(), {
+            type: 'bank',
+            label: 'Banco de questões'
+        });
+    }
+
+    buildFromCollection(collectionId) {
+        const collection = this.storage.getCollectionById(collectionId);
+        if (!collection) {
+            throw new Error('Selecione uma coleção');
+        }
+
+        // Resolve ids at play time so edits to a question show up here
+        const questions = (collection.questionIds || [])
+            .map(id => this.storage.getQuestionById(id))
+            .filter(question => question);
+
+        return this.createSession(questions, {
+            type: 'collection',
+            id: collection.id,
+            label: collection.name
+        });
+    }
+
+    buildFromFilter(filter) {
+        let questions = this.storage.searchQuestions('', {
+            category: filter.category,
+            difficulty: filter.difficulty
+        });
+
+        if (filter.tags && filter.tags.length > 0) {
+            const wanted = filter.tags.map(tag => tag.toLowerCase());
+            questions = questions.filter(question =>
+                (question.tags || []).some(tag => wanted.includes(tag.toLowerCase()))
+            );
+        }
+
+        // Only playable questions count towards N
+        questions = questions.filter(question => QuizBuilder.isPlayable(question));
+
+        if (filter.random) {
+            questions = this.shuffleArray(questions);
+        }
+
+        if (filter.count) {
+            questions = questions.slice(0, filter.count);
+        }
+
+        return this.createSession(questions, {
+            type: 'filter',
+            id: filter.id || null,
+            label: filter.name || this.describeFilter(filter),
+            filter: {
+                category: filter.category || '',
+                difficulty: filter.difficulty || '',
+                tags: filter.tags || [],
+                count: filter.count || null,
+                random: Boolean(filter.random)
+            }
+        });
+    }
+
+    createSession(storedQuestions, source) {
+        const playable = storedQuestions.filter(question => QuizBuilder.isPlayable(question));
+
+        return {
+            questions: playable.map(question => QuizBuilder.toQuizQuestion(question)),
+            skipped: storedQuestions.length - playable.length,
+            source: {
+                ...source,
+                questionIds: playable.map(question => question.id)
+            }
+        };
+    }
+
+    loadSession(session) {
+        window.quizApp.switchView('quiz');
+        window.quizApp.quiz.loadSession(session.questions, session.source);
+        window.quizApp.showToast(`${session.questions.length} questões carregadas: ${session.source.label}`);
+    }
+
+    // ===== HELPERS =====
+
+    // Static so other modules can convert stored questions without the panel
+    static isPlayable(question) {
+        // Open questions are answered by typing, so they only need a prompt
+        if (question.type === 'open') {
+            return Boolean(question.text && String(question.text).trim());
+        }
+
+        if (question.type === 'ordering') {
+            return Array.isArray(question.items) && question.items.length >= 2;
+        }
+
+        if (question.type === 'matching') {
+            return Array.isArray(question.pairs) && question.pairs.length >= 2;
+        }
+
+        if (question.type === 'cloze') {
+            return /\[\[[^\]]+\]\]/.test(question.text || '');
+        }
+
+        if (question.type === 'multiselect') {
+            return Array.isArray(question.options) &&
+                question.options.length >= 2 &&
+                Array.isArray(question.correct) &&
+                question.correct.length > 0 &&
+                question.correct.every(index => Number.isInteger(index) && index >= 0 && index < question.options.length);
+        }
+
+        return Array.isArray(question.options) &&
+            question.options.length >= 2 &&
+            typeof question.correct === 'number' &&
+            question.correct >= 0 &&
+            question.correct < question.options.length;
+    }
+
+    static toQuizQuestion(question) {
+        return {
+            id: question.id,
+            text: question.text,
+            type: question.type,
+            options: question.options,
+            correct: question.correct,
+            explanation: question.explanation || 'Sem explicação fornecida.',
+            category: question.category || '',
+            difficulty: question.difficulty || 'medium',
+            tags: question.tags || [],
+            ...(Array.isArray(question.media) && question.media.length > 0 && { media: question.media }),
+            ...(['multiselect', 'ordering', 'matching', 'cloze'].includes(question.type) && { scoring: question.scoring || 'all' }),
+            ...(question.type === 'ordering' && { items: question.items }),
+            ...(question.type === 'matching' && { pairs: question.pairs }),
+            ...(question.type === 'cloze' && {
+                answerMatching: question.answerMatching || 'normalized',
+                tolerance: question.tolerance || 0
+            }),
+            ...(question.type === 'open' && {
+                acceptedAnswers: question.acceptedAnswers || [],
+                answerMatching: question.answerMatching || 'normalized',
+                tolerance: question.tolerance || 0
+            })
+        };
+    }
+
+    describeFilter(filter) {
+        const parts = [];
+        if (filter.category) parts.push(filter.category);
+        if (filter.difficulty) parts.push(window.quizApp.getDifficultyLabel(filter.difficulty));
+        if (filter.tags && filter.tags.length > 0) parts.push(filter.tags.map(tag => `#${tag}`).join(' '));
+        if (filter.count) parts.push(`${filter.count} questões`);
+        if (filter.random) parts.push('aleatório');
+
+        return parts.length > 0 ? `Filtro: ${parts.join(', ')}` : 'Filtro: todas as questões';
+    }
+
+    shuffleArray(array) {
+        const shuffled = [...array];
+        for (let i = shuffled.length - 1; i > 0; i--) {
+            const j = Math.floor(Math.random() * (i + 1));
+            [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+        }
+        return shuffled;
+    }
+}
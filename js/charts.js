@@ -0,0 +1,239 @@
+/**
+ * Charts Module
+ * Dependency-free SVG charts with tooltips and data table fallbacks
+ */
+
+class QuizCharts {
+    constructor() {
+        this.width = 320;
+        this.height = 200;
+        this.padding = { top: 16, right: 16, bottom: 32, left: 40 };
+        // Series colors come from CSS classes so they follow the theme
+        this.paletteSize = 8;
+        this.chartCount = 0;
+    }
+
+    // ===== LINE CHART =====
+
+    lineChart({ title, points, columns, yLabel = '%', yMax = 100, emptyMessage }) {
+        if (points.length === 0) {
+            return this.emptyChart(title, emptyMessage);
+        }
+
+        const { width, height, padding } = this;
+        const plotWidth = width - padding.left - padding.right;
+        const plotHeight = height - padding.top - padding.bottom;
+        const step = points.length > 1 ? plotWidth / (points.length - 1) : 0;
+
+        const coords = points.map((point, index) => ({
+            ...point,
+            x: padding.left + (points.length > 1 ? index * step : plotWidth / 2),
+            y: padding.top + plotHeight - (Math.min(point.value, yMax) / yMax) * plotHeight
+        }));
+
+        const gridLines = [0, 25, 50, 75, 100].map(percent => {
+            const y = padding.top + plotHeight - (percent / 100) * plotHeight;
+            return `
+                <line class="chart-grid" x1="${padding.left}" y1="${y}" x2="${width - padding.right}" y2="${y}"></line>
+                <text class="chart-axis-label" x="${padding.left - 6}" y="${y + 4}" text-anchor="end">${Math.round(yMax * percent / 100)}${yLabel}</text>
+            `;
+        }).join('');
+
+        const path = coords.map((c, index) => `${index === 0 ? 'M' : 'L'}${c.x.toFixed(1)},${c.y.toFixed(1)}`).join(' ');
+        const area = `${path} L${coords[coords.length - 1].x.toFixed(1)},${padding.top + plotHeight} L${coords[0].x.toFixed(1)},${padding.top + plotHeight} Z`;
+
+        const dots = coords.map(c => `
+            <circle class="chart-point" cx="${c.x.toFixed(1)}" cy="${c.y.toFixed(1)}" r="4"
+                data-tooltip="${window.quizApp.escapeHTML(`${c.label}: ${c.value}${yLabel}`)}"></circle>
+        `).join('');
+
+        const firstLabel = coords[0].label;
+        const lastLabel = coords[coords.length - 1].label;
+
+        const svg = `
+            <path class="chart-area" d="${area}"></path>
+            ${gridLines}
+            <path class="chart-line" d="${path}"></path>
+            ${dots}
+            <text class="chart-axis-label" x="${padding.left}" y="${height - 8}" text-anchor="start">${window.quizApp.escapeHTML(firstLabel)}</text>
+            ${points.length > 1 ? `<text class="chart-axis-label" x="${width - padding.right}" y="${height - 8}" text-anchor="end">${window.quizApp.escapeHTML(lastLabel)}</text>` : ''}
+        `;
+
+        return this.wrapChart(title, svg, this.dataTable(
+            columns,
+            points.map(point => [point.label, `${point.value}${yLabel}`])
+        ));
+    }
+
+    // ===== PIE CHART =====
+
+    pieChart({ title, slices, columns, emptyMessage }) {
+        const total = slices.reduce((sum, slice) => sum + slice.value, 0);
+        if (total === 0) {
+            return this.emptyChart(title, emptyMessage);
+        }
+
+        const cx = this.width / 2;
+        const cy = this.height / 2;
+        const radius = this.height / 2 - 12;
+        const inner = radius * 0.55;
+        let angle = -Math.PI / 2;
+
+        const paths = slices.filter(slice => slice.value > 0).map((slice, index) => {
+            const fraction = slice.value / total;
+            const percent = Math.round(fraction * 100);
+            const tooltip = window.quizApp.escapeHTML(`${slice.label}: ${slice.value} (${percent}%)`);
+            const colorClass = `chart-series-${index % this.paletteSize}`;
+
+            // A single full slice can't be drawn as an arc
+            if (fraction >= 0.9999) {
+                return `
+                    <circle class="chart-slice ${colorClass}" cx="${cx}" cy="${cy}" r="${(radius + inner) / 2}"
+                        fill="none" stroke-width="${radius - inner}" data-tooltip="${tooltip}"></circle>
+                `;
+            }
+
+            const start = angle;
+            const end = angle + fraction * Math.PI * 2;
+            angle = end;
+
+            return `<path class="chart-slice ${colorClass}" d="${this.arcPath(cx, cy, radius, inner, start, end)}" data-tooltip="${tooltip}"></path>`;
+        }).join('');
+
+        const legend = slices.filter(slice => slice.value > 0).map((slice, index) => `
+            <li><span class="chart-swatch chart-series-${index % this.paletteSize}"></span>${window.quizApp.escapeHTML(slice.label)}</li>
+        `).join('');
+
+        const svg = `
+            ${paths}
+            <text class="chart-center-label" x="${cx}" y="${cy + 6}" text-anchor="middle">${total}</text>
+        `;
+
+        return this.wrapChart(title, svg, this.dataTable(
+            [...columns, '%'],
+            slices.map(slice => [slice.label, slice.value, `${Math.round(slice.value / total * 100)}%`])
+        ), `<ul class="chart-legend">${legend}</ul>`);
+    }
+
+    arcPath(cx, cy, outer, inner, start, end) {
+        const largeArc = end - start > Math.PI ? 1 : 0;
+        const point = (r, a) => `${(cx + r * Math.cos(a)).toFixed(2)},${(cy + r * Math.sin(a)).toFixed(2)}`;
+
+        return [
+            `M${point(outer, start)}`,
+            `A${outer},${outer} 0 ${largeArc} 1 ${point(outer, end)}`,
+            `L${point(inner, end)}`,
+            `A${inner},${inner} 0 ${largeArc} 0 ${point(inner, start)}`,
+            'Z'
+        ].join(' ');
+    }
+
+    // ===== BAR CHART =====
+
+    barChart({ title, bars, columns, valueLabel = '', emptyMessage }) {
+        const max = Math.max(0, ...bars.map(bar => bar.value));
+        if (max === 0) {
+            return this.emptyChart(title, emptyMessage);
+        }
+
+        const { width, height, padding } = this;
+        const plotWidth = width - padding.left - padding.right;
+        const plotHeight = height - padding.top - padding.bottom;
+        const slot = plotWidth / bars.length;
+        const barWidth = slot * 0.7;
+
+        const rects = bars.map((bar, index) => {
+            const barHeight = (bar.value / max) * plotHeight;
+            const x = padding.left + index * slot + (slot - barWidth) / 2;
+            const y = padding.top + plotHeight - barHeight;
+
+            return `
+                <rect class="chart-bar" x="${x.toFixed(1)}" y="${y.toFixed(1)}" width="${barWidth.toFixed(1)}" height="${barHeight.toFixed(1)}" rx="3"
+                    data-tooltip="${window.quizApp.escapeHTML(`${bar.label}: ${bar.value}${valueLabel}`)}"></rect>
+                <text class="chart-axis-label" x="${(x + barWidth / 2).toFixed(1)}" y="${height - 8}" text-anchor="middle">${window.quizApp.escapeHTML(bar.label)}</text>
+            `;
+        }).join('');
+
+        const svg = `
+            <line class="chart-grid" x1="${padding.left}" y1="${padding.top + plotHeight}" x2="${width - padding.right}" y2="${padding.top + plotHeight}"></line>
+            <text class="chart-axis-label" x="${padding.left - 6}" y="${padding.top + 4}" text-anchor="end">${max}</text>
+            ${rects}
+        `;
+
+        return this.wrapChart(title, svg, this.dataTable(
+            columns,
+            bars.map(bar => [bar.label, bar.value])
+        ));
+    }
+
+    // ===== SHARED =====
+
+    wrapChart(title, svgContent, table, extra = '') {
+        const id = `chart-${++this.chartCount}`;
+
+        return `
+            <figure class="chart-item">
+                <figcaption id="${id}" class="chart-title">${window.quizApp.escapeHTML(title)}</figcaption>
+                <svg class="chart-svg" viewBox="0 0 ${this.width} ${this.height}" role="img" aria-labelledby="${id}">
+                    ${svgContent}
+                </svg>
+                ${extra}
+                ${table}
+            </figure>
+        `;
+    }
+
+    emptyChart(title, message = 'Dados insuficientes para o gráfico') {
+        return `
+            <figure class="chart-item chart-empty">
+                <figcaption class="chart-title">${window.quizApp.escapeHTML(title)}</figcaption>
+                <p class="text-muted">${window.quizApp.escapeHTML(message)}</p>
+            </figure>
+        `;
+    }
+
+    dataTable(headers, rows) {
+        return `
+            <details class="chart-data">
+                <summary>Ver dados em tabela</summary>
+                <table>
+                    <thead>
+                        <tr>${headers.map(header => `<th scope="col">${window.quizApp.escapeHTML(header)}</th>`).join('')}</tr>
+                    </thead>
+                    <tbody>
+                        ${rows.map(row => `<tr>${row.map(cell => `<td>${window.quizApp.escapeHTML(cell)}</td>`).join('')}</tr>`).join('')}
+                    </tbody>
+                </table>
+            </details>
+        `;
+    }
+
+    bindTooltips(container) {
+        const tooltip = document.createElement('div');
+        tooltip.className = 'chart-tooltip';
+        tooltip.setAttribute('role', 'tooltip');
+        container.appendChild(tooltip);
+
+        const show = (target) => {
+            const bounds = container.getBoundingClientRect();
+            const rect = target.getBoundingClientRect();
+
+            tooltip.textContent = target.dataset.tooltip;
+            tooltip.style.left = `${rect.left - bounds.left + rect.width / 2}px`;
+            tooltip.style.top = `${rect.top - bounds.top + container.scrollTop}px`;
+            tooltip.classList.add('active');
+        };
+
+        const hide = () => tooltip.classList.remove('active');
+
+        container.querySelectorAll('[data-tooltip]').forEach(element => {
+            // Data points are focusable so the tooltip works from the keyboard
+            element.setAttribute('tabindex', '0');
+            element.setAttribute('aria-label', element.dataset.tooltip);
+            element.addEventListener('mouseenter', () => show(element));
+            element.addEventListener('focus', () => show(element));
+            element.addEventListener('mouseleave', hide);
+            element.addEventListener('blur', hide);
+        });
+    }
+}
@@ -0,0 +1,476 @@
+/**
+ * Collections Module
+ * Creates, orders and plays named sets of questions from the bank
+ */
+
+class CollectionManager {
+    constructor() {
+        this.storage = window.quizApp?.storage || new QuizStorage();
+        this.pickerLimit = 20;
+        this.pickerQuery = '';
+        this.draft = null;
+        this.isDirty = false;
+        this.dragIndex = null;
+        this.isBound = false;
+
+        // Sessions feed the collection stats; questions feed the picker
+        this.storage.onChange(['collections', 'questions', 'history'], () => {
+            if (window.quizApp.currentView === 'collections') this.initialize();
+        });
+    }
+
+    initialize() {
+        if (!this.isBound) {
+            this.bindEvents();
+            this.isBound = true;
+        }
+
+        // Drop a draft whose collection was deleted elsewhere (e.g. a restore)
+        if (this.draft && this.draft.id && !this.storage.getCollectionById(this.draft.id)) {
+            this.draft = null;
+        }
+
+        if (!this.draft) {
+            const first = this.storage.getAllCollections()[0];
+            this.draft = first ? this.createDraft(first) : null;
+            this.isDirty = false;
+        }
+
+        this.renderList();
+        this.renderEditor();
+    }
+
+    bindEvents() {
+        document.getElementById('newCollection').addEventListener('click', () => this.newCollection());
+
+        document.getElementById('collectionsList').addEventListener('click', (e) => {
+            const item = e.target.closest('[data-collection]');
+            if (!item) return;
+
+            if (e.target.closest('[data-action="play"]')) {
+                this.playCollection(item.dataset.collection);
+            } else {
+                this.selectCollection(item.dataset.collection);
+            }
+        });
+
+        const editor = document.getElementById('collectionEditor');
+
+        editor.addEventListener('input', (e) => {
+            if (e.target.id === 'collectionName' || e.target.id === 'collectionDescription') {
+                this.draft[e.target.id === 'collectionName' ? 'name' : 'description'] = e.target.value;
+                this.isDirty = true;
+            } else if (e.target.id === 'collectionPickerSearch') {
+                this.pickerQuery = e.target.value.trim();
+                this.renderPicker();
+            }
+        });
+
+        editor.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-action]');
+            if (!button) return;
+
+            const item = button.closest('[data-index]');
+            const index = item ? parseInt(item.dataset.index) : -1;
+
+            switch (button.dataset.action) {
+                case 'up':
+                    this.moveQuestion(index, index - 1);
+                    break;
+                case 'down':
+                    this.moveQuestion(index, index + 1);
+                    break;
+                case 'remove':
+                    this.removeQuestion(index);
+                    break;
+                case 'add':
+                    this.addQuestion(button.dataset.id);
+                    break;
+                case 'save':
+                    this.saveDraft();
+                    break;
+                case 'play':
+                    this.playCollection(this.draft.id);
+                    break;
+                case 'delete':
+                    this.deleteCollection();
+                    break;
+            }
+        });
+
+        // Keyboard reordering: Alt + arrow keys on a focused item
+        editor.addEventListener('keydown', (e) => {
+            const item = e.target.closest('.collection-question');
+            if (!item || !e.altKey) return;
+            if (e.key !== 'ArrowUp' && e.key !== 'ArrowDown') return;
+
+            e.preventDefault();
+            const index = parseInt(item.dataset.index);
+            this.moveQuestion(index, e.key === 'ArrowUp' ? index - 1 : index + 1);
+        });
+
+        this.bindDragEvents(editor);
+    }
+
+    bindDragEvents(editor) {
+        editor.addEventListener('dragstart', (e) => {
+            const item = e.target.closest('.collection-question');
+            if (!item) return;
+
+            this.dragIndex = parseInt(item.dataset.index);
+            item.classList.add('dragging');
+            e.dataTransfer.effectAllowed = 'move';
+            // Firefox won't start a drag without data
+            e.dataTransfer.setData('text/plain', item.dataset.index);
+        });
+
+        editor.addEventListener('dragover', (e) => {
+            const item = e.target.closest('.collection-question');
+            if (!item || this.dragIndex === null) return;
+
+            e.preventDefault();
+            editor.querySelectorAll('.drag-over').forEach(el => el.classList.remove('drag-over'));
+            item.classList.add('drag-over');
+        });
+
+        editor.addEventListener('drop', (e) => {
+            const item = e.target.closest('.collection-question');
+            if (!item || this.dragIndex === null) return;
+
+            e.preventDefault();
+            this.moveQuestion(this.dragIndex, parseInt(item.dataset.index));
+        });
+
+        editor.addEventListener('dragend', () => {
+            this.dragIndex = null;
+            editor.querySelectorAll('.dragging, .drag-over').forEach(el => {
+                el.classList.remove('dragging', 'drag-over');
+            });
+        });
+    }
+
+    // ===== DRAFT =====
+
+    createDraft(collection) {
+        return {
+            id: collection.id || null,
+            name: collection.name || '',
+            description: collection.description || '',
+            questionIds: [...(collection.questionIds || [])]
+        };
+    }
+
+    confirmDiscard() {
+        return !this.isDirty || confirm('Descartar as alterações não salvas desta coleção?');
+    }
+
+    newCollection() {
+        if (!this.confirmDiscard()) return;
+
+        this.draft = this.createDraft({});
+        this.isDirty = false;
+        this.renderList();
+        this.renderEditor();
+        document.getElementById('collectionName').focus();
+    }
+
+    selectCollection(id) {
+        if (this.draft && this.draft.id === id) return;
+        if (!this.confirmDiscard()) return;
+
+        const collection = this.storage.getCollectionById(id);
+        if (!collection) return;
+
+        this.draft = this.createDraft(collection);
+        this.isDirty = false;
+        this.renderList();
+        this.renderEditor();
+    }
+
+    moveQuestion(from, to) {
+        const ids = this.draft.questionIds;
+        if (from < 0 || from >= ids.length || to < 0 || to >= ids.length || from === to) return;
+
+        const [moved] = ids.splice(from, 1);
+        ids.splice(to, 0, moved);
+        this.isDirty = true;
+        this.renderQuestions();
+
+        // Keep focus on the moved item so keyboard users can keep moving it
+        const item = document.querySelector(`.collection-question[data-index="${to}"]`);
+        if (item) item.focus();
+    }
+
+    removeQuestion(index) {
+        if (index < 0) return;
+
+        this.draft.questionIds.splice(index, 1);
+        this.isDirty = true;
+        this.renderQuestions();
+        this.renderPicker();
+    }
+
+    addQuestion(id) {
+        if (!id || this.draft.questionIds.includes(id)) return;
+
+        this.draft.questionIds.push(id);
+        this.isDirty = true;
+        this.renderQuestions();
+        this.renderPicker();
+    }
+
+    saveDraft() {
+        const name = this.draft.name.trim();
+        if (!name) {
+            window.quizApp.showToast('Informe um nome para a coleção', 'error');
+            document.getElementById('collectionName').focus();
+            return;
+        }
+
+        const existing = this.draft.id ? this.storage.getCollectionById(this.draft.id) : null;
+        const id = this.storage.saveCollection({
+            ...(existing || {}),
+            id: this.draft.id || undefined,
+            name,
+            description: this.draft.description.trim(),
+            questionIds: [...this.draft.questionIds]
+        });
+
+        this.draft = this.createDraft(this.storage.getCollectionById(id));
+        this.isDirty = false;
+        window.quizApp.showToast(existing ? 'Coleção atualizada' : 'Coleção criada');
+    }
+
+    deleteCollection() {
+        if (!this.draft.id) {
+            this.draft = null;
+            this.isDirty = false;
+            this.initialize();
+            return;
+        }
+
+        if (!confirm(`Excluir a coleção "${this.draft.name}"? As questões continuam no banco.`)) return;
+
+        this.storage.deleteCollection(this.draft.id);
+        this.draft = null;
+        this.isDirty = false;
+        window.quizApp.showToast('Coleção excluída');
+    }
+
+    playCollection(id) {
+        if (!id) return;
+
+        if (this.draft && this.draft.id === id && this.isDirty) {
+            window.quizApp.showToast('Salve a coleção antes de iniciar o quiz', 'error');
+            return;
+        }
+
+        const builder = window.quizApp.builder;
+        const session = builder.buildFromCollection(id);
+
+        if (session.questions.length === 0) {
+            window.quizApp.showToast('Esta coleção não tem questões jogáveis', 'error');
+            return;
+        }
+
+        builder.loadSession(session);
+    }
+
+    // ===== STATISTICS =====
+
+    getCollectionStats(id) {
+        const sessions = this.storage.getQuizHistory(0)
+            .filter(entry => entry.source && entry.source.type === 'collection' && entry.source.id === id);
+
+        if (sessions.length === 0) {
+            return { attempts: 0, averageScore: 0, bestScore: 0, lastPlayed: null };
+        }
+
+        const scores = sessions.map(entry => entry.summary.percentage);
+        const lastPlayed = sessions
+            .map(entry => entry.timestamp)
+            .sort()
+            .pop();
+
+        return {
+            attempts: sessions.length,
+            averageScore: Math.round(scores.reduce((a, b) => a + b, 0) / scores.length),
+            bestScore: Math.max(...scores),
+            lastPlayed
+        };
+    }
+
+    // ===== RENDERING =====
+
+    renderList() {
+        const container = document.getElementById('collectionsList');
+        const collections = this.storage.getAllCollections();
+
+        if (collections.length === 0) {
+            container.innerHTML = '<p class="text-muted">Nenhuma coleção criada ainda.</p>';
+            return;
+        }
+
+        container.innerHTML = collections.map(collection => {
+            const stats = this.getCollectionStats(collection.id);
+            const isActive = this.draft && this.draft.id === collection.id;
+
+            return `
+                <div class="collection-card ${isActive ? 'active' : ''}" data-collection="${window.quizApp.escapeHTML(collection.id)}" role="button" tabindex="0">
+                    <div class="collection-card-header">
+                        <strong>${window.quizApp.escapeHTML(collection.name)}</strong>
+                        <button type="button" class="btn btn-outline btn-sm" data-action="play" title="Iniciar quiz com esta coleção">
+                            <i class="fas fa-play"></i>
+                        </button>
+                    </div>
+                    ${collection.description ? `<p class="collection-card-description">${window.quizApp.escapeHTML(collection.description)}</p>` : ''}
+                    <div class="manage-item-meta">
+                        <span class="meta-badge">${(collection.questionIds || []).length} questões</span>
+                        ${stats.attempts > 0
+                            ? `<span class="meta-badge">${stats.attempts} ${stats.attempts === 1 ? 'tentativa' : 'tentativas'} · média ${stats.averageScore}%</span>`
+                            : '<span class="text-muted">Nunca jogada</span>'}
+                    </div>
+                </div>
+            `;
+        }).join('');
+
+        // Cards act as buttons for keyboard users too
+        container.querySelectorAll('.collection-card').forEach(card => {
+            card.addEventListener('keydown', (e) => {
+                if ((e.key === 'Enter' || e.key === ' ') && e.target === card) {
+                    e.preventDefault();
+                    this.selectCollection(card.dataset.collection);
+                }
+            });
+        });
+    }
+
+    renderEditor() {
+        const editor = document.getElementById('collectionEditor');
+
+        if (!this.draft) {
+            editor.innerHTML = `
+                <div class="text-center">
+                    <i class="fas fa-layer-group" style="font-size: 3rem; color: var(--text-muted); margin-bottom: 1rem;"></i>
+                    <p>Nenhuma coleção selecionada.</p>
+                    <p class="text-muted">Crie uma coleção para agrupar questões do banco em um quiz.</p>
+                </div>
+            `;
+            return;
+        }
+
+        const stats = this.draft.id ? this.getCollectionStats(this.draft.id) : null;
+
+        editor.innerHTML = `
+            <div class="form-group">
+                <label for="collectionName">Nome:</label>
+                <input type="text" id="collectionName" value="${window.quizApp.escapeHTML(this.draft.name)}" placeholder="ex: Revisão de Auditoria">
+            </div>
+            <div class="form-group">
+                <label for="collectionDescription">Descrição (opcional):</label>
+                <textarea id="collectionDescription" placeholder="Sobre o que é esta coleção?">${window.quizApp.escapeHTML(this.draft.description)}</textarea>
+            </div>
+
+            ${stats ? this.getStatsHTML(stats) : ''}
+
+            <div class="form-group">
+                <label>Questões <span class="text-muted">(arraste ou use Alt + ↑/↓ para reordenar)</span>:</label>
+                <ol id="collectionQuestions" class="collection-questions"></ol>
+            </div>
+
+            <div class="form-group">
+                <label for="collectionPickerSearch">Adicionar Questões:</label>
+                <input type="search" id="collectionPickerSearch" value="${window.quizApp.escapeHTML(this.pickerQuery)}" placeholder="Buscar no banco de questões...">
+                <div id="collectionPicker" class="collection-picker"></div>
+            </div>
+
+            <div class="form-actions">
+                <button type="button" class="btn btn-primary" data-action="save">
+                    <i class="fas fa-save"></i> Salvar Coleção
+                </button>
+                <button type="button" class="btn btn-secondary" data-action="play" ${this.draft.id ? '' : 'disabled'}>
+                    <i class="fas fa-play"></i> Iniciar Quiz
+                </button>
+                <button type="button" class="btn btn-outline" data-action="delete">
+                    <i class="fas fa-trash"></i> ${this.draft.id ? 'Excluir' : 'Descartar'}
+                </button>
+            </div>
+        `;
+
+        this.renderQuestions();
+        this.renderPicker();
+    }
+
+    getStatsHTML(stats) {
+        if (stats.attempts === 0) {
+            return '<p class="collection-stats text-muted">Esta coleção ainda não foi jogada.</p>';
+        }
+
+        return `
+            <div class="collection-stats">
+                <div><strong>${stats.attempts}</strong><span>Tentativas</span></div>
+                <div><strong>${stats.averageScore}%</strong><span>Média</span></div>
+                <div><strong>${stats.bestScore}%</strong><span>Melhor</span></div>
+                <div><strong>${window.quizApp.formatDate(stats.lastPlayed)}</strong><span>Último quiz</span></div>
+            </div>
+        `;
+    }
+
+    renderQuestions() {
+        const list = document.getElementById('collectionQuestions');
+        const ids = this.draft.questionIds;
+
+        if (ids.length === 0) {
+            list.innerHTML = '<li class="text-muted">Nenhuma questão adicionada.</li>';
+            return;
+        }
+
+        list.innerHTML = ids.map((id, index) => {
+            const question = this.storage.getQuestionById(id);
+
+            return `
+                <li class="collection-question ${question ? '' : 'missing'}" data-index="${index}" draggable="true" tabindex="0">
+                    <span class="drag-handle" aria-hidden="true"><i class="fas fa-grip-vertical"></i></span>
+                    <span class="collection-question-position">${index + 1}.</span>
+                    <span class="collection-question-text">
+                        ${question ? window.quizApp.escapeHTML(question.text) : '<em>Questão removida do banco</em>'}
+                    </span>
+                    <span class="manage-item-actions">
+                        <button type="button" class="btn btn-outline btn-sm" data-action="up" title="Mover para cima" ${index === 0 ? 'disabled' : ''}>
+                            <i class="fas fa-arrow-up"></i>
+                        </button>
+                        <button type="button" class="btn btn-outline btn-sm" data-action="down" title="Mover para baixo" ${index === ids.length - 1 ? 'disabled' : ''}>
+                            <i class="fas fa-arrow-down"></i>
+                        </button>
+                        <button type="button" class="btn btn-outline btn-sm" data-action="remove" title="Remover da coleção">
+                            <i class="fas fa-times"></i>
+                        </button>
+                    </span>
+                </li>
+            `;
+        }).join('');
+    }
+
+    renderPicker() {
+        const picker = document.getElementById('collectionPicker');
+        const included = new Set(this.draft.questionIds);
+        const matches = this.storage.searchQuestions(this.pickerQuery)
+            .filter(question => !included.has(question.id));
+
+        if (matches.length === 0) {
+            picker.innerHTML = `<p class="text-muted">${this.pickerQuery ? 'Nenhuma questão encontrada.' : 'Todas as questões do banco já estão nesta coleção.'}</p>`;
+            return;
+        }
+
+        picker.innerHTML = matches.slice(0, this.pickerLimit).map(question => `
+            <div class="collection-picker-item">
+                <span class="collection-question-text">${window.quizApp.escapeHTML(question.text)}</span>
+                <button type="button" class="btn btn-outline btn-sm" data-action="add" data-id="${window.quizApp.escapeHTML(question.id)}" title="Adicionar à coleção">
+                    <i class="fas fa-plus"></i>
+                </button>
+            </div>
+        `).join('') + (matches.length > this.pickerLimit
+            ? `<p class="text-muted">Mostrando ${this.pickerLimit} de ${matches.length}. Refine a busca para ver mais.</p>`
+            : '');
+    }
+}
@@ -5,13 +5,32 @@
 
 class QuestionCreator {
     constructor() {
+        this.storage = window.quizApp?.storage || new QuizStorage();
         this.currentQuestion = this.getEmptyQuestion();
         this.isEditing = false;
         this.editingIndex = -1;
+        // References to files in MediaStore: { id, kind, alt, target, option }
+        this.attachments = [];
+        this.isBound = false;
+
+        this.storage.onChange('questions', () => this.handleQuestionsChange());
+    }
+
+    handleQuestionsChange() {
+        // The question being edited may have been deleted or merged away elsewhere
+        if (!this.isEditing || this.storage.getQuestionById(this.currentQuestion.id)) return;
+
+        this.isEditing = false;
+        this.editingIndex = -1;
+        this.updateFormTitle();
+        window.quizApp.showToast('A questão em edição foi removida do banco; salvar criará uma nova', 'warning');
     }
 
     initialize() {
-        this.bindEvents();
+        if (!this.isBound) {
+            this.bindEvents();
+            this.isBound = true;
+        }
         this.initializeForm();
     }
 
@@ -32,6 +51,10 @@ class QuestionCreator {
             });
         });
 
+        document.getElementById('answerMatching').addEventListener('change', () => {
+            this.updateToleranceVisibility();
+        });
+
         // Add option button
         document.getElementById('addOption').addEventListener('click', () => {
             this.addOption();
@@ -39,9 +62,12 @@ class QuestionCreator {
 
         // Form reset
         form.addEventListener('reset', () => {
+            this.attachments = [];
             setTimeout(() => this.initializeForm(), 50);
         });
 
+        this.bindMediaEvents();
+
         // Auto-save draft
         const inputs = form.querySelectorAll('input, textarea, select');
         inputs.forEach(input => {
@@ -80,12 +106,39 @@ class QuestionCreator {
         const selectedType = document.querySelector('input[name="questionType"]:checked').value;
         const optionsContainer = document.getElementById('optionsContainer');
         
-        if (selectedType === 'open') {
+        const usesOptions = ['multiple', 'boolean', 'multiselect'].includes(selectedType);
+        const scored = ['multiselect', 'ordering', 'matching', 'cloze'].includes(selectedType);
+        
+        document.getElementById('openAnswerContainer').style.display = selectedType === 'open' ? 'block' : 'none';
+        document.getElementById('orderingContainer').style.display = selectedType === 'ordering' ? 'block' : 'none';
+        document.getElementById('matchingContainer').style.display = selectedType === 'matching' ? 'block' : 'none';
+        document.getElementById('clozeContainer').style.display = selectedType === 'cloze' ? 'block' : 'none';
+        document.getElementById('scoringGroup').style.display = scored ? 'block' : 'none';
+        this.updateScoringOptions(selectedType);
+
+        if (!usesOptions) {
             optionsContainer.style.display = 'none';
+            this.updateToleranceVisibility();
         } else {
             optionsContainer.style.display = 'block';
             this.generateOptions(selectedType);
         }
+
+        // Option targets follow the options the type has
+        this.renderAttachments();
+    }
+
+    updateScoringOptions(type) {
+        // Deducting wrong picks only makes sense when there are options to pick
+        const scoring = document.getElementById('scoring');
+        const penalty = scoring.querySelector('option[value="penalty"]');
+        penalty.disabled = type !== 'multiselect';
+        if (penalty.disabled && scoring.value === 'penalty') scoring.value = 'all';
+    }
+
+    updateToleranceVisibility() {
+        const isNumeric = document.getElementById('answerMatching').value === 'numeric';
+        document.getElementById('toleranceGroup').style.display = isNumeric ? 'block' : 'none';
     }
 
     generateOptions(type) {
@@ -108,7 +161,7 @@ class QuestionCreator {
         });
 
         // Ensure at least 2 options for multiple choice
-        if (type === 'multiple' && optionsData.length < 2) {
+        if (type !== 'boolean' && optionsData.length < 2) {
             this.addOption();
         }
     }
@@ -117,10 +170,15 @@ class QuestionCreator {
         const optionsList = document.getElementById('optionsList');
         const optionDiv = document.createElement('div');
         optionDiv.className = 'option-item';
+        // Multi-select questions mark every correct option, so they get checkboxes
+        const isMultiSelect = document.querySelector('input[name="questionType"]:checked')?.value === 'multiselect';
+        const isCorrect = Array.isArray(this.currentQuestion.correct)
+            ? this.currentQuestion.correct.includes(index)
+            : index === this.currentQuestion.correct;
         
         optionDiv.innerHTML = `
             <label class="radio-label">
-                <input type="radio" name="correctOption" value="${index}" ${index === this.currentQuestion.correct ? 'checked' : ''}>
+                <input type="${isMultiSelect ? 'checkbox' : 'radio'}" name="correctOption" value="${index}" ${isCorrect ? 'checked' : ''}>
                 <span>Correta</span>
             </label>
             <input type="text" 
@@ -163,6 +221,7 @@ class QuestionCreator {
         if (currentCount < 10) { // Limit to 10 options
             this.createOptionElement('', currentCount, true);
             this.updateRadioValues();
+            this.renderAttachments();
         } else {
             window.quizApp.showToast('Máximo de 10 opções permitido', 'warning');
         }
@@ -176,8 +235,10 @@ class QuestionCreator {
             return;
         }
 
+        const removed = [...optionsList.children].indexOf(optionElement);
         optionElement.remove();
         this.updateRadioValues();
+        this.shiftOptionAttachments(removed);
         this.saveDraft();
     }
 
@@ -186,7 +247,7 @@ class QuestionCreator {
         const options = optionsList.querySelectorAll('.option-item');
         
         options.forEach((option, index) => {
-            const radio = option.querySelector('input[type="radio"]');
+            const radio = option.querySelector('input[name="correctOption"]');
             const placeholder = option.querySelector('.option-input');
             
             radio.value = index;
@@ -194,23 +255,37 @@ class QuestionCreator {
         });
     }
 
-    saveQuestion() {
+    async saveQuestion() {
         const questionData = this.collectFormData();
         
         if (!this.validateQuestion(questionData)) {
             return;
         }
 
-        if (this.isEditing) {
+        // resetForm() clears the editing state, so keep it for the message
+        const wasEditing = this.isEditing;
+
+        if (wasEditing) {
             this.updateExistingQuestion(questionData);
         } else {
             this.createNewQuestion(questionData);
         }
 
+        // The form (and its draft) stays filled so nothing typed is lost
+        if (!(await this.storage.flush(this.storage.storageKeys.questions))) {
+            window.quizApp.showToast('A questão não pôde ser salva no armazenamento', 'error');
+            return;
+        }
+
         this.resetForm();
         window.quizApp.showToast(
-            this.isEditing ? 'Questão atualizada!' : 'Questão criada com sucesso!'
+            wasEditing ? 'Questão atualizada!' : 'Questão criada com sucesso!'
         );
+
+        // Edits start from the manage view, so go back to it
+        if (wasEditing) {
+            window.quizApp.switchView('manage');
+        }
     }
 
     collectFormData() {
@@ -221,9 +296,9 @@ class QuestionCreator {
         const options = [];
         let correctIndex = 0;
 
-        if (questionType !== 'open') {
+        if (['multiple', 'boolean', 'multiselect'].includes(questionType)) {
             const optionInputs = document.querySelectorAll('.option-input');
-            const correctRadio = document.querySelector('input[name="correctOption"]:checked');
+            const correctInputs = document.querySelectorAll('input[name="correctOption"]:checked');
             
             optionInputs.forEach(input => {
                 if (input.value.trim()) {
@@ -231,9 +306,15 @@ class QuestionCreator {
                 }
             });
             
-            correctIndex = correctRadio ? parseInt(correctRadio.value) : 0;
+            if (questionType === 'multiselect') {
+                correctIndex = Array.from(correctInputs).map(input => parseInt(input.value)).sort((a, b) => a - b);
+            } else {
+                correctIndex = correctInputs.length > 0 ? parseInt(correctInputs[0].value) : 0;
+            }
         }
 
+        const openAnswer = questionType === 'open' ? this.collectOpenAnswer(formData) : {};
+
         return {
             text: formData.get('questionText').trim(),
             type: questionType,
@@ -243,43 +324,202 @@ class QuestionCreator {
             difficulty: formData.get('difficulty'),
             category: formData.get('category').trim(),
             tags: this.parseTags(formData.get('category')),
-            createdAt: new Date().toISOString(),
+            ...openAnswer,
+            ...this.collectStructuredAnswer(questionType, formData),
+            ...(['multiselect', 'ordering', 'matching', 'cloze'].includes(questionType) && { scoring: formData.get('scoring') }),
+            // Always present, so removing every attachment also clears them on update
+            media: this.attachments.map(ref => ({ ...ref, alt: ref.alt.trim() })),
+            createdAt: this.isEditing && this.currentQuestion.createdAt
+                ? this.currentQuestion.createdAt
+                : new Date().toISOString(),
+            ...(this.isEditing && { updatedAt: new Date().toISOString() }),
             id: this.isEditing ? this.currentQuestion.id : this.generateId()
         };
     }
 
-    validateQuestion(questionData) {
-        const errors = [];
+    collectOpenAnswer(formData) {
+        const answerMatching = formData.get('answerMatching');
+
+        return {
+            acceptedAnswers: formData.get('acceptedAnswers')
+                .split('\n')
+                .map(answer => answer.trim())
+                .filter(answer => answer),
+            answerMatching,
+            ...(answerMatching === 'numeric' && { tolerance: parseFloat(formData.get('tolerance')) || 0 })
+        };
+    }
+
+    collectStructuredAnswer(questionType, formData) {
+        const lines = (name) => formData.get(name).split('\n').map(line => line.trim()).filter(line => line);
 
-        // Validate question text
-        if (!questionData.text || questionData.text.length < 10) {
-            errors.push('A pergunta deve ter pelo menos 10 caracteres');
+        if (questionType === 'ordering') {
+            return { items: lines('orderingItems') };
         }
+        if (questionType === 'matching') {
+            // "left = right"; only the first "=" splits, so the right side may contain more
+            return {
+                pairs: lines('matchingPairs').map(line => {
+                    const separator = line.indexOf('=');
+                    return separator === -1
+                        ? { left: line, right: '' }
+                        : { left: line.substring(0, separator).trim(), right: line.substring(separator + 1).trim() };
+                })
+            };
+        }
+        return {};
+    }
 
-        // Validate options for non-open questions
-        if (questionData.type !== 'open') {
-            if (questionData.options.length < 2) {
-                errors.push('São necessárias pelo menos 2 opções');
-            }
+    // ===== ATTACHMENTS =====
 
-            // Check for empty options
-            const emptyOptions = questionData.options.filter(opt => !opt.trim());
-            if (emptyOptions.length > 0) {
-                errors.push('Todas as opções devem ser preenchidas');
-            }
+    bindMediaEvents() {
+        const dropZone = document.getElementById('mediaDropZone');
+        const input = document.getElementById('mediaInput');
+        const list = document.getElementById('mediaList');
+
+        document.getElementById('mediaPick').addEventListener('click', () => input.click());
+        input.addEventListener('change', () => {
+            const files = [...input.files];
+            input.value = '';
+            this.addAttachments(files);
+        });
+
+        dropZone.addEventListener('dragover', (e) => {
+            e.preventDefault();
+            dropZone.classList.add('dragover');
+        });
+        dropZone.addEventListener('dragleave', () => dropZone.classList.remove('dragover'));
+        dropZone.addEventListener('drop', (e) => {
+            e.preventDefault();
+            dropZone.classList.remove('dragover');
+            this.addAttachments([...e.dataTransfer.files]);
+        });
+
+        // Pasting a screenshot anywhere in the form attaches it; text pastes are left alone
+        document.getElementById('questionForm').addEventListener('paste', (e) => {
+            const files = [...(e.clipboardData?.files || [])];
+            if (files.length === 0) return;
+
+            e.preventDefault();
+            this.addAttachments(files);
+        });
+
+        list.addEventListener('input', (e) => {
+            const item = e.target.closest('.media-attachment');
+            if (!item || !e.target.classList.contains('media-alt')) return;
+
+            this.attachments[item.dataset.index].alt = e.target.value;
+            this.saveDraft();
+        });
 
-            // Check for duplicate options
-            const uniqueOptions = new Set(questionData.options.map(opt => opt.toLowerCase()));
-            if (uniqueOptions.size !== questionData.options.length) {
-                errors.push('As opções não podem ser duplicadas');
+        list.addEventListener('change', (e) => {
+            const item = e.target.closest('.media-attachment');
+            if (!item || !e.target.classList.contains('media-target')) return;
+
+            const ref = this.attachments[item.dataset.index];
+            const [target, option] = e.target.value.split(':');
+            ref.target = target;
+            if (option !== undefined) {
+                ref.option = parseInt(option);
+            } else {
+                delete ref.option;
             }
+            this.saveDraft();
+        });
+
+        list.addEventListener('click', (e) => {
+            const item = e.target.closest('.remove-media');
+            if (!item) return;
+
+            // The file itself stays until no question refers to it (see QuizApp.cleanupMedia)
+            this.attachments.splice(Number(item.closest('.media-attachment').dataset.index), 1);
+            this.renderAttachments();
+            this.saveDraft();
+        });
+    }
+
+    async addAttachments(files) {
+        const added = [];
 
-            // Validate correct answer index
-            if (questionData.correct >= questionData.options.length) {
-                errors.push('Resposta correta inválida');
+        for (const file of files) {
+            try {
+                const { id, kind } = await window.quizApp.media.add(file);
+                added.push({ id, kind, alt: '', target: 'question' });
+            } catch (error) {
+                window.quizApp.showToast(error.message, 'error');
             }
         }
 
+        if (added.length === 0) return;
+
+        this.attachments.push(...added);
+        this.renderAttachments();
+        this.saveDraft();
+
+        // Alt text is required, so lead straight to it
+        const altInputs = document.querySelectorAll('#mediaList .media-alt');
+        altInputs[this.attachments.length - added.length]?.focus();
+    }
+
+    renderAttachments() {
+        const list = document.getElementById('mediaList');
+        if (!list) return;
+
+        const media = window.quizApp.media;
+        const type = document.querySelector('input[name="questionType"]:checked')?.value;
+        const optionCount = ['multiple', 'boolean', 'multiselect'].includes(type)
+            ? document.querySelectorAll('#optionsList .option-item').length
+            : 0;
+        const targets = [
+            ['question', 'Pergunta'],
+            ['explanation', 'Explicação'],
+            ...Array.from({ length: optionCount }, (_, index) => [`option:${index}`, `Alternativa ${String.fromCharCode(65 + index)}`])
+        ];
+
+        list.innerHTML = this.attachments.map((ref, index) => {
+            const selected = ref.target === 'option' ? `option:${ref.option}` : ref.target;
+            return `
+                <li class="media-attachment" data-index="${index}">
+                    <div class="media-preview">${media.renderHTML([ref])}</div>
+                    <div class="media-fields">
+                        <input type="text" class="media-alt" required
+                               placeholder="${ref.kind === 'audio' ? 'Descreva ou transcreva o áudio' : 'Descreva a imagem'} (obrigatório)"
+                               aria-label="Texto alternativo do anexo ${index + 1}">
+                        <select class="media-target" aria-label="Onde mostrar o anexo ${index + 1}">
+                            ${targets.map(([value, label]) => `<option value="${value}" ${value === selected ? 'selected' : ''}>${label}</option>`).join('')}
+                        </select>
+                    </div>
+                    <button type="button" class="btn btn-outline remove-media" title="Remover anexo">
+                        <i class="fas fa-trash"></i>
+                    </button>
+                </li>
+            `;
+        }).join('');
+
+        // Set as properties so any quotes in the alt text need no escaping
+        list.querySelectorAll('.media-alt').forEach((input, index) => {
+            input.value = this.attachments[index].alt;
+        });
+        media.hydrate(list);
+    }
+
+    shiftOptionAttachments(removed) {
+        // Attachments of a removed option go back to the question; later ones move up
+        this.attachments.forEach(ref => {
+            if (ref.target !== 'option') return;
+            if (ref.option === removed) {
+                ref.target = 'question';
+                delete ref.option;
+            } else if (ref.option > removed) {
+                ref.option--;
+            }
+        });
+        this.renderAttachments();
+    }
+
+    validateQuestion(questionData) {
+        const errors = window.quizApp.importer.validateQuestion(questionData, { minTextLength: 10 });
+
         if (errors.length > 0) {
             window.quizApp.showToast(errors.join(', '), 'error');
             return false;
@@ -289,10 +529,8 @@ class QuestionCreator {
     }
 
     createNewQuestion(questionData) {
-        // Save to localStorage
-        const questions = this.getSavedQuestions();
-        questions.push(questionData);
-        this.saveQuestions(questions);
+        // Save to the question bank
+        this.storage.saveQuestion(questionData);
 
         // Add to current quiz if no questions loaded
         if (window.quizApp.quiz && window.quizApp.quiz.questions.length <= 1) {
@@ -301,22 +539,14 @@ class QuestionCreator {
     }
 
     updateExistingQuestion(questionData) {
-        const questions = this.getSavedQuestions();
-        const index = questions.findIndex(q => q.id === this.currentQuestion.id);
-        
-        if (index !== -1) {
-            questions[index] = questionData;
-            this.saveQuestions(questions);
-        }
+        // Keeps fields the form doesn't edit (import metadata, extra tags...)
+        this.storage.updateQuestion(this.currentQuestion.id, questionData);
     }
 
     convertToQuizFormat(questionData) {
-        return {
-            text: questionData.text,
-            options: questionData.options,
-            correct: questionData.correct,
-            explanation: questionData.explanation || 'Sem explicação fornecida.'
-        };
+        // Same shape the builder plays, minus the id: a test run may use an unsaved question
+        const { id, ...question } = QuizBuilder.toQuizQuestion(questionData);
+        return question;
     }
 
     resetForm() {
@@ -336,32 +566,37 @@ class QuestionCreator {
 
     // Draft functionality
     saveDraft() {
-        const questionData = this.collectFormData();
-        localStorage.setItem('quiz-question-draft', JSON.stringify(questionData));
+        this.storage.saveDraft(this.collectFormData());
     }
 
     loadDraft() {
-        const draft = localStorage.getItem('quiz-question-draft');
+        const draft = this.storage.getDraft();
         if (draft) {
-            try {
-                const questionData = JSON.parse(draft);
-                this.loadQuestionIntoForm(questionData);
-            } catch (e) {
-                console.warn('Failed to load draft:', e);
-            }
+            this.loadQuestionIntoForm(draft);
         }
     }
 
     clearDraft() {
-        localStorage.removeItem('quiz-question-draft');
+        this.storage.clearDraft();
     }
 
     loadQuestionIntoForm(questionData) {
+        // Set first so the options list is generated from this question
+        this.currentQuestion = questionData;
+        this.attachments = (questionData.media || []).map(ref => ({ ...ref }));
+        this.renderAttachments();
+
         // Fill basic fields
         document.getElementById('questionText').value = questionData.text || '';
         document.getElementById('explanation').value = questionData.explanation || '';
         document.getElementById('difficulty').value = questionData.difficulty || 'medium';
         document.getElementById('category').value = questionData.category || '';
+        document.getElementById('acceptedAnswers').value = (questionData.acceptedAnswers || []).join('\n');
+        document.getElementById('answerMatching').value = questionData.answerMatching || 'normalized';
+        document.getElementById('answerTolerance').value = questionData.tolerance || 0;
+        document.getElementById('scoring').value = questionData.scoring || 'all';
+        document.getElementById('orderingItems').value = (questionData.items || []).join('\n');
+        document.getElementById('matchingPairs').value = (questionData.pairs || []).map(pair => `${pair.left} = ${pair.right}`).join('\n');
 
         // Set question type
         const typeRadio = document.querySelector(`input[name="questionType"][value="${questionData.type || 'multiple'}"]`);
@@ -380,25 +615,20 @@ class QuestionCreator {
                     }
                 });
 
-                // Set correct answer
-                const correctRadio = document.querySelector(`input[name="correctOption"][value="${questionData.correct || 0}"]`);
-                if (correctRadio) {
-                    correctRadio.checked = true;
-                }
+                // Set correct answer(s)
+                const correctIndexes = Array.isArray(questionData.correct) ? questionData.correct : [questionData.correct || 0];
+                document.querySelectorAll('input[name="correctOption"]').forEach(input => {
+                    input.checked = correctIndexes.includes(parseInt(input.value));
+                });
             }, 100);
         }
-
-        this.currentQuestion = questionData;
-    }
-
-    // Question management
-    getSavedQuestions() {
-        const saved = localStorage.getItem('quiz-created-questions');
-        return saved ? JSON.parse(saved) : [];
     }
 
-    saveQuestions(questions) {
-        localStorage.setItem('quiz-created-questions', JSON.stringify(questions));
+    editQuestion(questionData) {
+        this.loadQuestionIntoForm(questionData);
+        this.isEditing = true;
+        this.editingIndex = this.storage.getAllQuestions().findIndex(q => q.id === questionData.id);
+        this.updateFormTitle();
     }
 
     // Utility functions
@@ -413,82 +643,30 @@ class QuestionCreator {
 
     // Import from text methods
     importFromText(text) {
-        const questions = this.parseMultipleQuestionsFromText(text);
-        
+        const { questions, errors, warnings } = window.quizApp.importer.parse(text);
+
         if (questions.length === 0) {
             window.quizApp.showToast('Nenhuma questão válida encontrada', 'error');
-            return;
+            return { questions, errors, warnings };
         }
 
         // Save all questions
-        const existingQuestions = this.getSavedQuestions();
-        const allQuestions = [...existingQuestions, ...questions];
-        this.saveQuestions(allQuestions);
-
-        window.quizApp.showToast(`${questions.length} questões importadas!`);
-        return questions;
-    }
-
-    parseMultipleQuestionsFromText(text) {
-        const questions = [];
-        const blocks = text.split(/\n\s*\n/);
-        
-        blocks.forEach(block => {
-            const question = this.parseSingleQuestionFromText(block);
-            if (question) {
-                questions.push({
-                    ...question,
-                    id: this.generateId(),
-                    createdAt: new Date().toISOString(),
-                    difficulty: 'medium',
-                    category: 'Importada'
-                });
-            }
-        });
-        
-        return questions;
-    }
+        const imported = questions.map(question => ({
+            ...question,
+            id: this.generateId(),
+            createdAt: new Date().toISOString()
+        }));
+        this.storage.addQuestions(imported);
 
-    parseSingleQuestionFromText(block) {
-        const lines = block.split('\n').map(line => line.trim()).filter(line => line);
-        if (lines.length < 3) return null;
-        
-        const questionText = lines[0];
-        const options = [];
-        let answerLine = '';
-        let explanation = '';
-        
-        for (let i = 1; i < lines.length; i++) {
-            const line = lines[i];
-            
-            if (line.match(/^[A-Za-z]\)/)) {
-                options.push(line);
-            } else if (line.toLowerCase().match(/^(answer|resposta):/)) {
-                answerLine = line;
-            } else if (line.toLowerCase().match(/^(explanation|explicação):/)) {
-                explanation = line.substring(line.indexOf(':') + 1).trim();
-            }
-        }
-        
-        if (options.length < 2 || !answerLine) return null;
-        
-        const answerLetter = answerLine.match(/[A-Za-z]/)?.[0]?.toUpperCase();
-        const correctIndex = answerLetter ? answerLetter.charCodeAt(0) - 65 : -1;
-        
-        if (correctIndex < 0 || correctIndex >= options.length) return null;
-        
-        return {
-            text: questionText,
-            type: 'multiple',
-            options: options,
-            correct: correctIndex,
-            explanation: explanation || 'Sem explicação fornecida.'
-        };
+        window.quizApp.showToast(errors.length > 0
+            ? `${imported.length} questões importadas, ${errors.length} blocos ignorados`
+            : `${imported.length} questões importadas!`);
+        return { questions: imported, errors, warnings };
     }
 
     // Export methods
-    exportQuestions() {
-        const questions = this.getSavedQuestions();
+    async exportQuestions() {
+        const questions = this.storage.getAllQuestions();
         
         if (questions.length === 0) {
             window.quizApp.showToast('Nenhuma questão para exportar', 'error');
@@ -496,12 +674,13 @@ class QuestionCreator {
         }
 
         const data = {
+            version: this.storage.schemaVersion,
             exportDate: new Date().toISOString(),
             totalQuestions: questions.length,
             questions: questions
         };
 
-        this.downloadJSON(data, `quiz-questions-${new Date().getTime()}.json`);
+        this.downloadJSON(await window.quizApp.media.withBundle(data), `quiz-questions-${new Date().getTime()}.json`);
         window.quizApp.showToast('Questões exportadas!');
     }
 
@@ -539,6 +718,7 @@ class QuestionCreator {
         // Populate preview content
         const content = modal.querySelector('.preview-content');
         content.innerHTML = this.generatePreviewHTML(questionData);
+        window.quizApp.media.hydrate(content);
 
         // Show modal
         modal.classList.add('active');
@@ -576,14 +756,22 @@ class QuestionCreator {
     }
 
     generatePreviewHTML(questionData) {
+        const richText = window.quizApp.richText;
         let html = `
             <div class="preview-question">
                 <h4>Pergunta:</h4>
-                <p class="question-text">${questionData.text}</p>
+                <div class="question-text">${richText.render(questionData.text)}${this.renderMedia(questionData, 'question')}</div>
             </div>
         `;
 
-        if (questionData.type !== 'open') {
+        if (['ordering', 'matching', 'cloze'].includes(questionData.type)) {
+            html += `
+                <div class="preview-options">
+                    <h4>Resposta esperada:</h4>
+                    <p>${window.quizApp.answers.describeExpected(questionData)}</p>
+                </div>
+            `;
+        } else if (questionData.type !== 'open') {
             html += `
                 <div class="preview-options">
                     <h4>Opções:</h4>
@@ -591,11 +779,13 @@ class QuestionCreator {
             `;
 
             questionData.options.forEach((option, index) => {
-                const isCorrect = index === questionData.correct;
+                const isCorrect = Array.isArray(questionData.correct)
+                    ? questionData.correct.includes(index)
+                    : index === questionData.correct;
                 html += `
                     <div class="preview-option ${isCorrect ? 'correct' : ''}">
                         <span class="option-letter">${String.fromCharCode(65 + index)})</span>
-                        <span class="option-text">${option}</span>
+                        <span class="option-text">${richText.renderInline(option)}${this.renderMedia(questionData, 'option', index)}</span>
                         ${isCorrect ? '<i class="fas fa-check-circle text-success"></i>' : ''}
                     </div>
                 `;
@@ -605,13 +795,21 @@ class QuestionCreator {
                     </div>
                 </div>
             `;
+        } else {
+            const expected = window.quizApp.answers.describeExpected(questionData);
+            html += `
+                <div class="preview-options">
+                    <h4>Respostas aceitas:</h4>
+                    <p>${expected || 'Nenhuma — o jogador corrige a própria resposta.'}</p>
+                </div>
+            `;
         }
 
-        if (questionData.explanation) {
+        if (questionData.explanation || window.quizApp.media.getRefs(questionData, 'explanation').length > 0) {
             html += `
                 <div class="preview-explanation">
                     <h4>Explicação:</h4>
-                    <p>${questionData.explanation}</p>
+                    <div>${richText.render(questionData.explanation)}${this.renderMedia(questionData, 'explanation')}</div>
                 </div>
             `;
         }
@@ -619,10 +817,10 @@ class QuestionCreator {
         html += `
             <div class="preview-meta">
                 <span class="meta-item">
-                    <strong>Tipo:</strong> ${this.getTypeLabel(questionData.type)}
+                    <strong>Tipo:</strong> ${window.quizApp.getTypeLabel(questionData.type)}
                 </span>
                 <span class="meta-item">
-                    <strong>Dificuldade:</strong> ${this.getDifficultyLabel(questionData.difficulty)}
+                    <strong>Dificuldade:</strong> ${window.quizApp.getDifficultyLabel(questionData.difficulty)}
                 </span>
                 ${questionData.category ? `
                 <span class="meta-item">
@@ -635,6 +833,11 @@ class QuestionCreator {
         return html;
     }
 
+    renderMedia(questionData, target, option) {
+        const media = window.quizApp.media;
+        return media.renderHTML(media.getRefs(questionData, target, option));
+    }
+
     bindPreviewEvents(modal, questionData) {
         // Close modal
         modal.querySelector('.modal-close').addEventListener('click', () => {
@@ -657,28 +860,9 @@ class QuestionCreator {
         const testQuiz = [this.convertToQuizFormat(questionData)];
         
         if (window.quizApp.quiz) {
-            window.quizApp.quiz.questions = testQuiz;
             window.quizApp.switchView('quiz');
-            window.quizApp.quiz.resetQuizState();
+            window.quizApp.quiz.loadSession(testQuiz, { type: 'test', label: 'Teste de questão' });
             window.quizApp.showToast('Questão carregada para teste!');
         }
     }
-
-    getTypeLabel(type) {
-        const labels = {
-            'multiple': 'Múltipla Escolha',
-            'boolean': 'Verdadeiro/Falso',
-            'open': 'Resposta Aberta'
-        };
-        return labels[type] || type;
-    }
-
-    getDifficultyLabel(difficulty) {
-        const labels = {
-            'easy': 'Fácil',
-            'medium': 'Médio',
-            'hard': 'Difícil'
-        };
-        return labels[difficulty] || difficulty;
-    }
 }
\ No newline at end of file
@@ -0,0 +1,209 @@
+/**
+ * Database Module
+ * IndexedDB backend shared by QuizStorage and MediaStore: one object store
+ * per kind of record, indexes on the fields the bank is filtered by, and an
+ * async API where every write is a single transaction
+ */
+
+class QuizDatabase {
+    constructor() {
+        // sw.js opens the same database to serve media/<id> offline
+        this.name = 'quiz-pro';
+        this.version = 1;
+
+        // Store name -> indexes (index name = key path)
+        this.schema = {
+            questions: { category: {}, difficulty: {}, tags: { multiEntry: true } },
+            collections: {},
+            sessions: { timestamp: {} },
+            attempts: { timestamp: {}, questionId: {}, sessionId: {} },
+            media: { createdAt: {} }
+        };
+
+        // Attachments were kept in their own database before it was merged in here
+        this.legacyMediaName = 'quiz-pro-media';
+
+        this.db = null;
+    }
+
+    isSupported() {
+        return typeof indexedDB !== 'undefined';
+    }
+
+    open() {
+        if (!this.db) {
+            this.db = new Promise((resolve, reject) => {
+                if (!this.isSupported()) {
+                    reject(new Error('IndexedDB indisponível neste navegador'));
+                    return;
+                }
+
+                const request = indexedDB.open(this.name, this.version);
+                request.onupgradeneeded = () => this.upgrade(request.result, request.transaction);
+                request.onsuccess = () => {
+                    const db = request.result;
+                    // Let a newer version of the app (another tab) upgrade the schema
+                    db.onversionchange = () => db.close();
+                    resolve(db);
+                };
+                request.onerror = () => reject(request.error);
+                request.onblocked = () => reject(new Error('Feche as outras abas do Quiz Pro e recarregue'));
+            });
+            // A failed open can be retried later
+            this.db.catch(() => { this.db = null; });
+        }
+        return this.db;
+    }
+
+    upgrade(db, transaction) {
+        Object.entries(this.schema).forEach(([storeName, indexes]) => {
+            const store = db.objectStoreNames.contains(storeName)
+                ? transaction.objectStore(storeName)
+                : db.createObjectStore(storeName, { keyPath: 'id' });
+
+            Object.entries(indexes).forEach(([indexName, options]) => {
+                if (!store.indexNames.contains(indexName)) {
+                    store.createIndex(indexName, indexName, options);
+                }
+            });
+        });
+    }
+
+    // ===== TRANSACTIONS =====
+
+    async transaction(storeNames, mode, work) {
+        const db = await this.open();
+
+        // Resolves once the transaction commits, so a resolved write is durable
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(storeNames, mode);
+            const stores = Object.fromEntries([].concat(storeNames).map(name => [name, transaction.objectStore(name)]));
+            let result;
+
+            try {
+                result = work(stores);
+            } catch (error) {
+                transaction.abort();
+                reject(error);
+                return;
+            }
+
+            // Work that returns a request resolves to that request's result
+            const isRequest = result !== null && typeof result === 'object' && 'onsuccess' in result;
+            transaction.oncomplete = () => resolve(isRequest ? result.result : result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error || new Error('Transação cancelada'));
+        });
+    }
+
+    // ===== READS =====
+
+    get(storeName, id) {
+        return this.transaction(storeName, 'readonly', stores => stores[storeName].get(id));
+    }
+
+    getAll(storeName) {
+        return this.transaction(storeName, 'readonly', stores => stores[storeName].getAll());
+    }
+
+    getAllByIndex(storeName, indexName, query) {
+        return this.transaction(storeName, 'readonly', stores => stores[storeName].index(indexName).getAll(query));
+    }
+
+    getKeys(storeName) {
+        return this.transaction(storeName, 'readonly', stores => stores[storeName].getAllKeys());
+    }
+
+    count(storeName) {
+        return this.transaction(storeName, 'readonly', stores => stores[storeName].count());
+    }
+
+    // ===== WRITES =====
+
+    put(storeName, record) {
+        return this.transaction(storeName, 'readwrite', stores => stores[storeName].put(record));
+    }
+
+    delete(storeName, id) {
+        return this.transaction(storeName, 'readwrite', stores => stores[storeName].delete(id));
+    }
+
+    write(storeName, { put = [], remove = [], replace = false }) {
+        // Applies a whole change set (or, with replace, the full contents) at once
+        return this.transaction(storeName, 'readwrite', stores => {
+            const store = stores[storeName];
+            if (replace) store.clear();
+            remove.forEach(id => store.delete(id));
+            put.forEach(record => store.put(record));
+        });
+    }
+
+    replaceAll(contents) {
+        // contents: { storeName: records }; every store is rewritten in one transaction
+        const storeNames = Object.keys(contents);
+
+        return this.transaction(storeNames, 'readwrite', stores => {
+            storeNames.forEach(name => {
+                stores[name].clear();
+                contents[name].forEach(record => stores[name].put(record));
+            });
+        });
+    }
+
+    clear(storeNames = Object.keys(this.schema)) {
+        return this.transaction(storeNames, 'readwrite', stores => {
+            Object.values(stores).forEach(store => store.clear());
+        });
+    }
+
+    // ===== LEGACY MEDIA DATABASE =====
+
+    readLegacyMedia() {
+        return new Promise((resolve, reject) => {
+            if (!this.isSupported()) {
+                resolve([]);
+                return;
+            }
+
+            let missing = false;
+            const request = indexedDB.open(this.legacyMediaName);
+            // An upgrade means it never existed; abort so it isn't created just by looking
+            request.onupgradeneeded = () => {
+                missing = true;
+                request.transaction.abort();
+            };
+            request.onerror = (e) => {
+                if (missing) {
+                    e.preventDefault();
+                    resolve([]);
+                } else {
+                    reject(request.error);
+                }
+            };
+            request.onsuccess = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains('media')) {
+                    db.close();
+                    resolve([]);
+                    return;
+                }
+
+                const read = db.transaction('media', 'readonly').objectStore('media').getAll();
+                read.onsuccess = () => {
+                    db.close();
+                    resolve(read.result);
+                };
+                read.onerror = () => {
+                    db.close();
+                    reject(read.error);
+                };
+            };
+        });
+    }
+
+    deleteLegacyMedia() {
+        if (this.isSupported()) {
+            indexedDB.deleteDatabase(this.legacyMediaName);
+        }
+    }
+}
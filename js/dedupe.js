@@ -0,0 +1,204 @@
+/**
+ * Dedupe Module
+ * Finds duplicate and near-duplicate questions by comparing normalized
+ * text and option sets, both against the bank and within an import batch
+ */
+
+class DuplicateDetector {
+    constructor() {
+        this.storage = window.quizApp?.storage || new QuizStorage();
+
+        // Combined score from which two questions are reported as duplicates
+        this.threshold = 0.85;
+        this.textWeight = 0.75;
+    }
+
+    // ===== NORMALIZATION =====
+
+    normalizeText(text) {
+        return String(text || '')
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .toLowerCase()
+            .replace(/[^a-z0-9]+/g, ' ')
+            .trim();
+    }
+
+    getProfile(question) {
+        const text = this.normalizeText(question.text);
+        // Ordering items and matching pairs play the part of options, so "Ordene os passos" alone isn't a match
+        const choices = [
+            ...(question.options || []),
+            ...(question.items || []),
+            ...(question.pairs || []).map(pair => `${pair.left} ${pair.right}`)
+        ];
+        const options = choices.map(option => this.normalizeText(option)).filter(option => option);
+
+        return {
+            question,
+            text,
+            bigrams: this.getBigrams(text),
+            // Option order doesn't matter: "A) x B) y" and "A) y B) x" are the same question
+            options: new Set(options)
+        };
+    }
+
+    getBigrams(text) {
+        const bigrams = new Set();
+        for (let i = 0; i < text.length - 1; i++) {
+            bigrams.add(text.slice(i, i + 2));
+        }
+        return bigrams;
+    }
+
+    // ===== SCORING =====
+
+    compare(a, b) {
+        if (a.text === b.text && this.sameSet(a.options, b.options)) {
+            return { score: 1, exact: true };
+        }
+
+        const hasOptions = a.options.size > 0 && b.options.size > 0;
+        const textWeight = hasOptions ? this.textWeight : 1;
+
+        // Cheap upper bound from the bigram counts skips most pairs without intersecting
+        const sizes = a.bigrams.size + b.bigrams.size;
+        const bound = sizes === 0 ? 1 : (2 * Math.min(a.bigrams.size, b.bigrams.size)) / sizes;
+        if (textWeight * bound + (1 - textWeight) < this.threshold) {
+            return { score: 0, exact: false };
+        }
+
+        const textScore = this.dice(a.bigrams, b.bigrams);
+        const score = hasOptions
+            ? textWeight * textScore + (1 - textWeight) * this.jaccard(a.options, b.options)
+            : textScore;
+
+        return { score: Math.round(score * 100) / 100, exact: false };
+    }
+
+    similarity(questionA, questionB) {
+        return this.compare(this.getProfile(questionA), this.getProfile(questionB)).score;
+    }
+
+    dice(a, b) {
+        if (a.size === 0 && b.size === 0) return 1;
+
+        let shared = 0;
+        a.forEach(item => {
+            if (b.has(item)) shared++;
+        });
+        return (2 * shared) / (a.size + b.size);
+    }
+
+    jaccard(a, b) {
+        let shared = 0;
+        a.forEach(item => {
+            if (b.has(item)) shared++;
+        });
+        const union = a.size + b.size - shared;
+        return union === 0 ? 1 : shared / union;
+    }
+
+    sameSet(a, b) {
+        return a.size === b.size && [...a].every(item => b.has(item));
+    }
+
+    // ===== IMPORT CHECK =====
+
+    findMatches(candidates, pool = this.storage.getAllQuestions()) {
+        // For each candidate, the closest bank question or earlier candidate above the threshold
+        const poolProfiles = pool.map(question => this.getProfile(question));
+        const seen = [];
+
+        return candidates.map((candidate, index) => {
+            const profile = this.getProfile(candidate);
+            let best = null;
+
+            const consider = (other, source, position) => {
+                if (candidate.id && candidate.id === other.question.id) return;
+
+                const { score, exact } = this.compare(profile, other);
+                if (score >= this.threshold && (!best || score > best.score)) {
+                    best = { question: other.question, score, exact, source, index: position };
+                }
+            };
+
+            poolProfiles.forEach(other => consider(other, 'bank'));
+            seen.forEach((other, position) => consider(other, 'batch', position));
+            seen.push(profile);
+
+            return best && { ...best, candidate: index };
+        });
+    }
+
+    flagImport(questions) {
+        return this.findMatches(questions)
+            .filter(match => match)
+            .map(match => ({ item: match.candidate + 1, message: this.describeMatch(match) }));
+    }
+
+    describeMatch(match, batchLabel = `o item ${match.index + 1}`) {
+        if (match.source === 'batch') {
+            return `Repete ${batchLabel} da importação (${Math.round(match.score * 100)}%)`;
+        }
+
+        const text = match.question.text.length > 60 ? `${match.question.text.slice(0, 57)}...` : match.question.text;
+        return match.exact
+            ? `Já existe no banco: "${text}"`
+            : `Possível duplicata (${Math.round(match.score * 100)}%) de "${text}"`;
+    }
+
+    // ===== BANK GROUPS =====
+
+    findGroups(questions = this.storage.getAllQuestions()) {
+        const profiles = questions.map(question => this.getProfile(question));
+        const dismissed = new Set(this.storage.getDismissedDuplicates());
+        const parent = profiles.map((_, index) => index);
+        const scores = new Map();
+
+        const find = (index) => {
+            while (parent[index] !== index) {
+                parent[index] = parent[parent[index]];
+                index = parent[index];
+            }
+            return index;
+        };
+
+        for (let i = 0; i < profiles.length; i++) {
+            for (let j = i + 1; j < profiles.length; j++) {
+                if (dismissed.has(this.getPairKey(questions[i].id, questions[j].id))) continue;
+
+                const { score } = this.compare(profiles[i], profiles[j]);
+                if (score < this.threshold) continue;
+
+                const root = find(j);
+                parent[root] = find(i);
+                scores.set(find(i), Math.max(scores.get(find(i)) || 0, scores.get(root) || 0, score));
+            }
+        }
+
+        const groups = new Map();
+        questions.forEach((question, index) => {
+            const root = find(index);
+            if (!groups.has(root)) groups.set(root, []);
+            groups.get(root).push(question);
+        });
+
+        return [...groups.entries()]
+            .filter(([, members]) => members.length > 1)
+            .map(([root, members]) => ({
+                // The oldest copy is suggested as the one to keep
+                questions: [...members].sort((a, b) => this.getTime(a) - this.getTime(b)),
+                score: scores.get(root)
+            }))
+            .sort((a, b) => b.score - a.score);
+    }
+
+    getPairKey(idA, idB) {
+        return [idA, idB].sort().join('|');
+    }
+
+    getTime(question) {
+        return question.createdAt ? new Date(question.createdAt).getTime() : 0;
+    }
+}
@@ -0,0 +1,719 @@
+/**
+ * Exporter Module
+ * Exports questions, collections, history and statistics as printable
+ * answer sheets, CSV, XLSX, JSON, the Moodle GIFT/Aiken formats or QTI packages
+ */
+
+class QuizExporter {
+    constructor() {
+        this.storage = window.quizApp?.storage || new QuizStorage();
+        this.isBound = false;
+        this.questionFormats = ['gift', 'aiken', 'qti'];
+
+        this.statusLabels = {
+            correct: 'Correta',
+            incorrect: 'Incorreta',
+            timeout: 'Tempo esgotado',
+            skipped: 'Pulada',
+            unanswered: 'Não respondida'
+        };
+    }
+
+    initialize() {
+        if (!this.isBound) {
+            this.bindEvents();
+            this.isBound = true;
+        }
+
+        this.populateCollections();
+        this.updateFields();
+    }
+
+    bindEvents() {
+        const panel = document.getElementById('exportContent');
+
+        panel.addEventListener('change', () => this.updateFields());
+        document.getElementById('exportRun').addEventListener('click', () => this.run());
+    }
+
+    populateCollections() {
+        const select = document.getElementById('exportCollection');
+        const current = select.value;
+
+        select.innerHTML = '<option value="">Todas as coleções</option>' +
+            this.storage.getAllCollections().map(collection =>
+                `<option value="${window.quizApp.escapeHTML(collection.id)}">${window.quizApp.escapeHTML(collection.name)}</option>`
+            ).join('');
+        select.value = current;
+    }
+
+    getOptions() {
+        return {
+            scope: document.querySelector('input[name="exportScope"]:checked').value,
+            format: document.querySelector('input[name="exportFormat"]:checked').value,
+            collectionId: document.getElementById('exportCollection').value,
+            includeAnswers: document.getElementById('exportAnswerKey').checked,
+            delimiter: document.getElementById('exportDelimiter').value
+        };
+    }
+
+    updateFields() {
+        const options = this.getOptions();
+        const isPrintable = options.format === 'print' || options.format === 'html';
+        const hasQuestions = options.scope === 'questions' || options.scope === 'collections';
+
+        // GIFT, Aiken and QTI only describe questions
+        document.querySelectorAll('input[name="exportFormat"]').forEach(radio => {
+            const questionOnly = this.questionFormats.includes(radio.value);
+            radio.disabled = questionOnly && !hasQuestions;
+            radio.closest('.radio-label').classList.toggle('disabled', radio.disabled);
+        });
+        if (this.questionFormats.includes(options.format) && !hasQuestions) {
+            document.querySelector('input[name="exportFormat"][value="print"]').checked = true;
+            options.format = 'print';
+        }
+
+        document.getElementById('exportCollectionGroup').style.display = options.scope === 'collections' ? 'block' : 'none';
+        document.getElementById('exportDelimiterGroup').style.display = options.format === 'csv' ? 'block' : 'none';
+        document.getElementById('exportAnswerKeyGroup').style.display = isPrintable && hasQuestions ? 'flex' : 'none';
+
+        if (this.questionFormats.includes(options.format)) {
+            document.getElementById('exportSummary').textContent = this.describeQuestionExport(options);
+            return;
+        }
+
+        const { tables, rows } = this.countTables(options);
+        document.getElementById('exportSummary').textContent = rows > 0
+            ? `${rows} linhas em ${tables} ${tables === 1 ? 'tabela' : 'tabelas'}.`
+            : 'Nada para exportar nesta seleção.';
+    }
+
+    async run() {
+        const options = this.getOptions();
+        const tables = this.getTables(options);
+
+        if (tables.every(table => table.rows.length === 0)) {
+            window.quizApp.showToast('Nada para exportar nesta seleção', 'error');
+            return;
+        }
+
+        const filename = `quiz-${options.scope}-${new Date().toISOString().split('T')[0]}`;
+
+        try {
+            switch (options.format) {
+                case 'print':
+                    this.printHTML(this.buildPrintHTML(options, tables));
+                    break;
+                case 'html':
+                    this.storage.downloadBlob(
+                        new Blob([this.buildPrintHTML(options, tables)], { type: 'text/html' }),
+                        `${filename}.html`
+                    );
+                    break;
+                case 'csv':
+                    this.exportCSV(tables, options.delimiter, filename);
+                    break;
+                case 'xlsx':
+                    this.storage.downloadBlob(this.buildXLSX(tables), `${filename}.xlsx`);
+                    break;
+                case 'gift':
+                case 'aiken':
+                case 'qti':
+                    this.exportQuestionFormat(options, filename);
+                    return;
+                default:
+                    // Question attachments are bundled as base64 so the file is self-contained
+                    this.storage.downloadJSON(await window.quizApp.media.withBundle(this.getJSON(options)), `${filename}.json`);
+            }
+        } catch (error) {
+            console.error('Export error:', error);
+            window.quizApp.showToast('Erro ao exportar dados', 'error');
+            return;
+        }
+
+        window.quizApp.showToast('Exportação concluída!');
+    }
+
+    // ===== DATA =====
+
+    getQuestionGroups(options) {
+        if (options.scope === 'questions') {
+            return [{ title: 'Banco de Questões', questions: this.storage.getAllQuestions() }];
+        }
+
+        const bank = new Map(this.storage.getAllQuestions().map(question => [question.id, question]));
+        return this.storage.getAllCollections()
+            .filter(collection => !options.collectionId || collection.id === options.collectionId)
+            .map(collection => ({
+                title: collection.name,
+                description: collection.description,
+                questions: (collection.questionIds || [])
+                    .map(id => bank.get(id))
+                    .filter(question => question)
+            }));
+    }
+
+    getExportQuestions(options) {
+        const seen = new Set();
+
+        // A question can sit in several collections but is exported once
+        return this.getQuestionGroups(options)
+            .flatMap(group => group.questions)
+            .filter(question => {
+                if (seen.has(question.id)) return false;
+                seen.add(question.id);
+                return true;
+            });
+    }
+
+    getTables(options) {
+        switch (options.scope) {
+            case 'collections':
+                return [this.getCollectionTable(options)];
+            case 'history':
+                return this.getHistoryTables();
+            case 'stats':
+                return this.getStatsTables();
+            default:
+                return [this.getQuestionTable()];
+        }
+    }
+
+    countTables(options) {
+        // What getTables() would give, counted without building the rows for the summary
+        switch (options.scope) {
+            case 'collections':
+                return { tables: 1, rows: this.getQuestionGroups(options).reduce((sum, group) => sum + group.questions.length, 0) };
+            case 'history': {
+                const history = this.storage.getQuizHistory(0).filter(entry => entry.summary);
+                const answers = history.reduce((sum, entry) => sum + (entry.questions || []).length, 0);
+                return { tables: 2, rows: history.length + answers };
+            }
+            case 'stats': {
+                // The overview rows plus one per category and per tag, as grouped by the statistics
+                const questions = this.storage.getAllQuestions();
+                const attempts = this.storage.getAttempts().filter(attempt => attempt.status !== 'skipped');
+                const categories = new Set([...questions, ...attempts].map(item => item.category || 'Sem categoria'));
+                const tags = new Set([...questions, ...attempts].flatMap(item => item.tags || []));
+                return { tables: 3, rows: 7 + categories.size + tags.size };
+            }
+            default:
+                return { tables: 1, rows: this.storage.getAllQuestions().length };
+        }
+    }
+
+    getQuestionTable() {
+        return {
+            name: 'Questões',
+            headers: ['ID', 'Pergunta', 'Tipo', 'Opções', 'Resposta correta', 'Explicação', 'Categoria', 'Dificuldade', 'Tags', 'Criada em'],
+            rows: this.storage.getAllQuestions().map(question => [
+                question.id,
+                question.text,
+                question.type || 'multiple',
+                (question.options || []).join(' | '),
+                this.getCorrectAnswer(question),
+                question.explanation || '',
+                question.category || '',
+                question.difficulty || '',
+                (question.tags || []).join(', '),
+                question.createdAt || ''
+            ])
+        };
+    }
+
+    getCollectionTable(options) {
+        const rows = [];
+
+        this.getQuestionGroups(options).forEach(group => {
+            group.questions.forEach((question, index) => {
+                rows.push([
+                    group.title,
+                    index + 1,
+                    question.id,
+                    question.text,
+                    this.getCorrectAnswer(question)
+                ]);
+            });
+        });
+
+        return {
+            name: 'Coleções',
+            headers: ['Coleção', 'Posição', 'ID da questão', 'Pergunta', 'Resposta correta'],
+            rows
+        };
+    }
+
+    getHistoryTables() {
+        const history = this.storage.getQuizHistory(0)
+            .filter(entry => entry.summary)
+            .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+        const answers = [];
+
+        history.forEach(entry => {
+            (entry.questions || []).forEach(question => {
+                answers.push([
+                    window.quizApp.formatDate(entry.timestamp, true),
+                    entry.id || '',
+                    question.question,
+                    question.userAnswer,
+                    question.correctAnswer,
+                    this.statusLabels[window.quizApp.stats.getSessionQuestionStatus(question)],
+                    question.timeSpent ? Math.round(question.timeSpent / 1000) : ''
+                ]);
+            });
+        });
+
+        return [
+            {
+                name: 'Sessões',
+                headers: ['Data', 'Sessão', 'Origem', 'Questões', 'Corretas', 'Incorretas', 'Puladas', 'Tempo esgotado', 'Aproveitamento (%)', 'Tempo total (s)'],
+                rows: history.map(entry => [
+                    window.quizApp.formatDate(entry.timestamp, true),
+                    entry.id || '',
+                    entry.source ? entry.source.label : '',
+                    entry.summary.totalQuestions,
+                    entry.summary.correctAnswers,
+                    entry.summary.incorrectAnswers || 0,
+                    entry.summary.skipped || 0,
+                    entry.summary.timedOut || 0,
+                    entry.summary.percentage,
+                    Math.round((entry.summary.totalTime || 0) / 1000)
+                ])
+            },
+            {
+                name: 'Respostas',
+                headers: ['Data', 'Sessão', 'Pergunta', 'Resposta dada', 'Resposta correta', 'Situação', 'Tempo (s)'],
+                rows: answers
+            }
+        ];
+    }
+
+    getStatsTables() {
+        const stats = window.quizApp.stats.generateStatistics();
+        const groupRows = groups => groups.map(group => [
+            group.name,
+            group.totalQuestions,
+            group.totalAnswered,
+            group.correctAnswers,
+            group.averageScore,
+            Math.round(group.averageTime / 1000)
+        ]);
+        const groupHeaders = ['Questões', 'Respostas', 'Acertos', 'Aproveitamento (%)', 'Tempo médio (s)'];
+
+        return [
+            {
+                name: 'Resumo',
+                headers: ['Indicador', 'Valor'],
+                rows: [
+                    ['Quizzes realizados', stats.overview.totalQuizzes],
+                    ['Questões no banco', stats.overview.totalQuestions],
+                    ['Questões respondidas', stats.overview.totalAnswered],
+                    ['Pontuação média (%)', stats.overview.averageScore],
+                    ['Melhor pontuação (%)', stats.overview.bestScore],
+                    ['Tempo total', stats.overview.totalTime],
+                    ['Tempo médio por quiz', stats.overview.averageTime]
+                ]
+            },
+            {
+                name: 'Categorias',
+                headers: ['Categoria', ...groupHeaders],
+                rows: groupRows(stats.categories)
+            },
+            {
+                name: 'Tags',
+                headers: ['Tag', ...groupHeaders],
+                rows: groupRows(stats.tags)
+            }
+        ];
+    }
+
+    getJSON(options) {
+        switch (options.scope) {
+            case 'collections':
+                return {
+                    version: this.storage.schemaVersion,
+                    exportDate: new Date().toISOString(),
+                    collections: this.storage.getAllCollections()
+                        .filter(collection => !options.collectionId || collection.id === options.collectionId),
+                    questions: this.getQuestionGroups(options).flatMap(group => group.questions)
+                };
+            case 'history':
+                return {
+                    version: this.storage.schemaVersion,
+                    exportDate: new Date().toISOString(),
+                    history: this.storage.getQuizHistory(0),
+                    attempts: this.storage.getAttempts()
+                };
+            case 'stats':
+                return {
+                    exportDate: new Date().toISOString(),
+                    statistics: window.quizApp.stats.generateStatistics()
+                };
+            default:
+                return this.storage.exportData(false);
+        }
+    }
+
+    getCorrectAnswer(question) {
+        if (['open', 'ordering', 'matching', 'cloze'].includes(question.type)) {
+            return window.quizApp.answers.describeExpected(question);
+        }
+
+        if (Array.isArray(question.options) && Array.isArray(question.correct)) {
+            return question.correct.map(index => question.options[index]).filter(option => option).join(' | ');
+        }
+
+        return Array.isArray(question.options) && typeof question.correct === 'number'
+            ? question.options[question.correct] || ''
+            : '';
+    }
+
+    // ===== CSV =====
+
+    toCSV(table, delimiter) {
+        const escapeCell = (value) => {
+            // Text starting like a formula is kept as text, so a spreadsheet won't run it
+            const text = value == null ? '' : (typeof value === 'string' && /^[=+\-@]/.test(value) ? `'${value}` : String(value));
+            return /["\n\r]/.test(text) || text.includes(delimiter)
+                ? `"${text.replace(/"/g, '""')}"`
+                : text;
+        };
+
+        return [table.headers, ...table.rows]
+            .map(row => row.map(escapeCell).join(delimiter))
+            .join('\r\n');
+    }
+
+    exportCSV(tables, delimiter, filename) {
+        // The BOM makes Excel read the file as UTF-8
+        if (tables.length === 1) {
+            this.storage.downloadBlob(
+                new Blob(['\uFEFF' + this.toCSV(tables[0], delimiter)], { type: 'text/csv;charset=utf-8' }),
+                `${filename}.csv`
+            );
+            return;
+        }
+
+        const zip = new ZipWriter();
+        tables.forEach(table => {
+            zip.addFile(`${this.slugify(table.name)}.csv`, '\uFEFF' + this.toCSV(table, delimiter));
+        });
+        this.storage.downloadBlob(zip.generate(), `${filename}-csv.zip`);
+    }
+
+    // ===== XLSX =====
+
+    buildXLSX(tables) {
+        const zip = new ZipWriter();
+        const sheets = tables.map((table, index) => ({
+            id: index + 1,
+            // Sheet names are limited to 31 characters and can't contain []:*?/\
+            name: table.name.replace(/[[\]:*?/\\]/g, ' ').slice(0, 31),
+            table
+        }));
+
+        zip.addFile('[Content_Types].xml', `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">
+<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>
+<Default Extension="xml" ContentType="application/xml"/>
+<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>
+<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>
+${sheets.map(sheet => `<Override PartName="/xl/worksheets/sheet${sheet.id}.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`).join('\n')}
+</Types>`);
+
+        zip.addFile('_rels/.rels', `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>
+</Relationships>`);
+
+        zip.addFile('xl/workbook.xml', `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">
+<sheets>
+${sheets.map(sheet => `<sheet name="${this.escapeXML(sheet.name)}" sheetId="${sheet.id}" r:id="rId${sheet.id}"/>`).join('\n')}
+</sheets>
+</workbook>`);
+
+        zip.addFile('xl/_rels/workbook.xml.rels', `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+${sheets.map(sheet => `<Relationship Id="rId${sheet.id}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet${sheet.id}.xml"/>`).join('\n')}
+<Relationship Id="rId${sheets.length + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>
+</Relationships>`);
+
+        // Style 1 is the bold header row
+        zip.addFile('xl/styles.xml', `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">
+<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>
+<fills count="1"><fill><patternFill patternType="none"/></fill></fills>
+<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>
+<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>
+<cellXfs count="2"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/><xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/></cellXfs>
+</styleSheet>`);
+
+        sheets.forEach(sheet => {
+            zip.addFile(`xl/worksheets/sheet${sheet.id}.xml`, this.buildSheetXML(sheet.table));
+        });
+
+        return new Blob([zip.generate()], {
+            type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+        });
+    }
+
+    buildSheetXML(table) {
+        const rows = [table.headers, ...table.rows].map((row, rowIndex) => {
+            const cells = row.map((value, columnIndex) => {
+                const ref = `${this.getColumnName(columnIndex)}${rowIndex + 1}`;
+                const style = rowIndex === 0 ? ' s="1"' : '';
+
+                if (typeof value === 'number' && isFinite(value)) {
+                    return `<c r="${ref}"${style}><v>${value}</v></c>`;
+                }
+                return `<c r="${ref}"${style} t="inlineStr"><is><t xml:space="preserve">${this.escapeXML(value)}</t></is></c>`;
+            }).join('');
+
+            return `<row r="${rowIndex + 1}">${cells}</row>`;
+        }).join('\n');
+
+        return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">
+<sheetData>
+${rows}
+</sheetData>
+</worksheet>`;
+    }
+
+    getColumnName(index) {
+        let name = '';
+        for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+            name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+        }
+        return name;
+    }
+
+    // ===== GIFT / AIKEN / QTI =====
+
+    serializeQuestions(options) {
+        const questions = this.getExportQuestions(options);
+
+        if (options.format === 'qti') {
+            const { blob, skipped } = window.quizApp.qti.buildPackage(questions);
+            return { questions, skipped, blob, extension: 'zip' };
+        }
+
+        const formats = window.quizApp.formats;
+        const { content, skipped } = options.format === 'gift' ? formats.toGIFT(questions) : formats.toAiken(questions);
+
+        return {
+            questions,
+            skipped,
+            blob: new Blob([content], { type: 'text/plain;charset=utf-8' }),
+            extension: 'txt'
+        };
+    }
+
+    canExport(question, format) {
+        // The same checks the serializers use to skip a question
+        const formats = window.quizApp.formats;
+        switch (format) {
+            case 'qti':
+                return window.quizApp.qti.canExport(question);
+            case 'gift':
+                return formats.canExportGIFT(question);
+            default:
+                return !formats.getAikenSkipReason(question);
+        }
+    }
+
+    describeQuestionExport(options) {
+        const questions = this.getExportQuestions(options);
+        const exported = questions.filter(question => this.canExport(question, options.format)).length;
+        const skipped = questions.length - exported;
+
+        if (exported === 0) {
+            return 'Nenhuma questão compatível com este formato.';
+        }
+        return skipped > 0
+            ? `${exported} questões; ${skipped} ignoradas por tipo não suportado.`
+            : `${exported} questões.`;
+    }
+
+    exportQuestionFormat(options, filename) {
+        const { questions, skipped, blob, extension } = this.serializeQuestions(options);
+        const exported = questions.length - skipped.length;
+
+        if (exported === 0) {
+            window.quizApp.showToast('Nenhuma questão compatível com este formato', 'error');
+            return;
+        }
+
+        this.storage.downloadBlob(blob, `${filename}-${options.format}.${extension}`);
+
+        window.quizApp.showToast(skipped.length > 0
+            ? `${exported} questões exportadas, ${skipped.length} ignoradas`
+            : 'Exportação concluída!');
+    }
+
+    // ===== PRINTABLE HTML =====
+
+    buildPrintHTML(options, tables) {
+        const isQuestionScope = options.scope === 'questions' || options.scope === 'collections';
+        const title = {
+            questions: 'Banco de Questões',
+            collections: 'Coleções',
+            history: 'Histórico de Quizzes',
+            stats: 'Estatísticas'
+        }[options.scope];
+
+        const body = isQuestionScope
+            ? this.getAnswerSheetHTML(this.getQuestionGroups(options), options.includeAnswers)
+            : tables.map(table => this.getPrintTableHTML(table)).join('');
+
+        return `<!DOCTYPE html>
+<html lang="pt-BR">
+<head>
+<meta charset="UTF-8">
+<title>${window.quizApp.escapeHTML(title)} - Quiz Pro</title>
+<style>
+    body { font-family: 'Segoe UI', Arial, sans-serif; color: #000; background: #fff; margin: 2cm; font-size: 11pt; line-height: 1.4; }
+    h1 { font-size: 18pt; margin-bottom: 4pt; }
+    h2 { font-size: 14pt; margin-top: 18pt; border-bottom: 1px solid #000; }
+    .meta { color: #555; font-size: 9pt; margin-bottom: 12pt; }
+    .student { display: flex; gap: 24pt; margin-bottom: 12pt; }
+    .student span { flex: 1; border-bottom: 1px solid #000; padding-top: 14pt; }
+    ol.questions > li { margin-bottom: 12pt; page-break-inside: avoid; }
+    ol.options { list-style: none; padding-left: 0; margin-top: 4pt; }
+    ol.options li::before { content: "\\25CB  "; }
+    ol.options.multi li::before { content: "\\25A1  "; }
+    ul.ordering { list-style: none; padding-left: 0; margin-top: 4pt; }
+    ul.ordering li::before { content: "____  "; }
+    table.matching { width: auto; border: none; margin-top: 4pt; font-size: 11pt; }
+    table.matching td { border: none; padding: 2pt 24pt 2pt 0; }
+    ol.questions p { margin: 0 0 4pt; }
+    pre.rich-code { font-size: 9pt; border: 1px solid #999; padding: 4pt 6pt; white-space: pre-wrap; }
+    code { font-family: Consolas, 'Courier New', monospace; }
+    .tok-keyword { font-weight: bold; }
+    .tok-comment { font-style: italic; color: #555; }
+    .rich-math { text-align: center; margin: 4pt 0; }
+    .answer-space { border-bottom: 1px dotted #000; height: 40pt; }
+    .answer-key { page-break-before: always; }
+    .answer-key li { margin-bottom: 6pt; }
+    .explanation { color: #444; font-style: italic; }
+    table { width: 100%; border-collapse: collapse; margin-bottom: 12pt; font-size: 9pt; }
+    th, td { border: 1px solid #999; padding: 3pt 5pt; text-align: left; vertical-align: top; }
+    th { background: #eee; }
+    @page { margin: 1.5cm; }
+    @media print { body { margin: 0; } }
+</style>
+</head>
+<body>
+<h1>${window.quizApp.escapeHTML(title)}</h1>
+<div class="meta">Gerado em ${window.quizApp.formatDate(new Date(), true)} · Quiz Pro</div>
+${body}
+</body>
+</html>`;
+    }
+
+    getAnswerSheetHTML(groups, includeAnswers) {
+        const sheets = groups.map(group => `
+            <h2>${window.quizApp.escapeHTML(group.title)}</h2>
+            ${group.description ? `<p>${window.quizApp.escapeHTML(group.description)}</p>` : ''}
+            <div class="student"><span>Nome:</span><span>Data:</span></div>
+            <ol class="questions">
+                ${group.questions.map(question => `<li>${this.getPrintQuestionHTML(question)}</li>`).join('')}
+            </ol>
+        `).join('');
+
+        if (!includeAnswers) return sheets;
+
+        const keys = groups.map(group => `
+            <h2>Gabarito - ${window.quizApp.escapeHTML(group.title)}</h2>
+            <ol>
+                ${group.questions.map(question => `
+                    <li>
+                        <strong>${window.quizApp.escapeHTML(this.getCorrectAnswer(question) || '—')}</strong>
+                        ${question.explanation ? `<div class="explanation">${window.quizApp.richText.render(question.explanation)}</div>` : ''}
+                    </li>
+                `).join('')}
+            </ol>
+        `).join('');
+
+        return `${sheets}<div class="answer-key">${keys}</div>`;
+    }
+
+    getPrintQuestionHTML(question) {
+        const richText = window.quizApp.richText;
+        const sorted = (list) => [...list].sort((a, b) => a.localeCompare(b, 'pt-BR'));
+
+        switch (question.type) {
+            case 'cloze':
+                return richText.render(window.quizApp.answers.maskBlanks(question.text));
+            case 'ordering':
+                // Alphabetical so the sheet doesn't give the order away
+                return `${richText.render(question.text)} <em>(numere na ordem correta)</em>
+                    <ul class="ordering">${sorted(question.items || []).map(item => `<li>${richText.renderInline(item)}</li>`).join('')}</ul>`;
+            case 'matching': {
+                const rights = sorted((question.pairs || []).map(pair => pair.right));
+                return `${richText.render(question.text)} <em>(associe as colunas)</em>
+                    <table class="matching">
+                        ${(question.pairs || []).map((pair, index) => `
+                            <tr><td>(&nbsp;&nbsp;&nbsp;) ${richText.renderInline(pair.left)}</td><td>${String.fromCharCode(65 + index)}) ${richText.renderInline(rights[index])}</td></tr>
+                        `).join('')}
+                    </table>`;
+            }
+        }
+
+        if (!Array.isArray(question.options) || question.options.length === 0) {
+            return `${richText.render(question.text)}<div class="answer-space"></div>`;
+        }
+
+        const isMulti = question.type === 'multiselect';
+        return `${richText.render(question.text)}
+            ${isMulti ? '<em>(marque todas as corretas)</em>' : ''}
+            <ol class="options${isMulti ? ' multi' : ''}">${question.options.map(option => `<li>${richText.renderInline(option)}</li>`).join('')}</ol>`;
+    }
+
+    getPrintTableHTML(table) {
+        return `
+            <h2>${window.quizApp.escapeHTML(table.name)}</h2>
+            <table>
+                <thead><tr>${table.headers.map(header => `<th>${window.quizApp.escapeHTML(header)}</th>`).join('')}</tr></thead>
+                <tbody>
+                    ${table.rows.map(row => `<tr>${row.map(cell => `<td>${window.quizApp.escapeHTML(cell)}</td>`).join('')}</tr>`).join('')}
+                </tbody>
+            </table>
+        `;
+    }
+
+    printHTML(html) {
+        // A hidden frame avoids popup blockers and keeps the app untouched
+        const frame = document.createElement('iframe');
+        frame.className = 'print-frame';
+        frame.setAttribute('aria-hidden', 'true');
+        document.body.appendChild(frame);
+
+        const doc = frame.contentWindow.document;
+        doc.open();
+        doc.write(html);
+        doc.close();
+
+        frame.contentWindow.focus();
+        frame.contentWindow.print();
+        setTimeout(() => frame.remove(), 1000);
+    }
+
+    // ===== HELPERS =====
+
+    slugify(text) {
+        return text.normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+            .toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+    }
+
+    escapeXML(text) {
+        return String(text == null ? '' : text)
+            // Control characters are not allowed in XML 1.0
+            .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, '')
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+}
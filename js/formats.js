@@ -0,0 +1,487 @@
+/**
+ * Formats Module
+ * Parsers and serializers for the Moodle GIFT and Aiken question formats
+ */
+
+class QuestionFormats {
+    constructor() {
+        this.booleanOptions = ['Verdadeiro', 'Falso'];
+    }
+
+    // ===== DETECTION =====
+
+    detectFormat(content) {
+        const text = content.trim();
+
+        if (/^[[{]/.test(text)) return 'json';
+        if (/^\s*\$CATEGORY:/m.test(text) || /\{\s*(=|~|#|}|T\s*[}#]|F\s*[}#]|TRUE|FALSE)/i.test(text)) return 'gift';
+        if (/^ANSWER:\s*[A-Z]\s*$/m.test(text)) return 'aiken';
+        if (this.looksTabular(text)) return 'csv';
+        return 'text';
+    }
+
+    looksTabular(text) {
+        const lines = text.split(/\r?\n/).filter(line => line.trim()).slice(0, 5);
+        if (lines[0].includes('\t')) return true;
+
+        // Same number of separators on every line reads as a spreadsheet
+        return lines.length > 1 && [';', ','].some(delimiter => {
+            const count = lines[0].split(delimiter).length - 1;
+            return count >= 2 && lines.every(line => line.split(delimiter).length - 1 === count);
+        });
+    }
+
+    // ===== GIFT IMPORT =====
+
+    parseGIFT(content) {
+        const questions = [];
+        const errors = [];
+        let category = '';
+
+        this.splitBlocks(content).forEach(block => {
+            const lines = block.lines.filter(line => !line.trim().startsWith('//'));
+            if (lines.length === 0) return;
+
+            // A $CATEGORY line applies to every question that follows it
+            if (lines[0].trim().startsWith('$CATEGORY:')) {
+                category = this.parseGIFTCategory(lines.shift());
+                if (lines.every(line => !line.trim())) return;
+            }
+
+            try {
+                const question = this.parseGIFTQuestion(lines.join('\n'));
+                questions.push({
+                    ...question,
+                    category: category || 'Importada',
+                    difficulty: 'medium',
+                    tags: []
+                });
+            } catch (error) {
+                errors.push({ line: block.line, message: error.message });
+            }
+        });
+
+        return { questions, errors };
+    }
+
+    parseGIFTCategory(line) {
+        // Moodle paths look like "$course$/top/Matemática/Álgebra"; we keep the last level
+        const path = line.trim().substring('$CATEGORY:'.length).trim()
+            .split('/')
+            .map(part => part.trim())
+            .filter(part => part && !/^\$\w+\$$/.test(part) && part.toLowerCase() !== 'top');
+
+        return path.length > 0 ? path[path.length - 1] : '';
+    }
+
+    parseGIFTQuestion(source) {
+        let text = source.trim();
+
+        // Optional question name
+        const title = text.match(/^::((?:\\.|[^\\])*?)::/);
+        if (title) text = text.substring(title[0].length).trim();
+
+        // Optional text format marker
+        text = text.replace(/^\[(html|moodle|plain|markdown)\]/i, '').trim();
+
+        const start = this.findUnescaped(text, '{');
+        const end = start === -1 ? -1 : this.findUnescaped(text, '}', start + 1);
+        if (start === -1 || end === -1) {
+            throw new Error('Questão sem bloco de respostas { … }');
+        }
+
+        // Text after the answers makes this a "missing word" question
+        const before = text.substring(0, start).trim();
+        const after = text.substring(end + 1).trim();
+        const stem = this.unescapeGIFT(after ? `${before} _____ ${after}` : before);
+        if (!stem) {
+            throw new Error('Questão sem enunciado');
+        }
+
+        let answerText = text.substring(start + 1, end).trim();
+        let explanation = '';
+
+        const generalFeedback = answerText.indexOf('####');
+        if (generalFeedback !== -1) {
+            explanation = this.unescapeGIFT(answerText.substring(generalFeedback + 4).trim());
+            answerText = answerText.substring(0, generalFeedback).trim();
+        }
+
+        if (answerText === '') {
+            return { text: stem, type: 'open', options: [], correct: 0, acceptedAnswers: [], explanation };
+        }
+
+        if (answerText.startsWith('#')) {
+            throw new Error('Questões numéricas ({#…}) não são suportadas');
+        }
+
+        const booleanMatch = answerText.match(/^(T|TRUE|F|FALSE)\s*(#.*)?$/is);
+        if (booleanMatch) {
+            const isTrue = booleanMatch[1].toUpperCase().startsWith('T');
+            const feedback = (booleanMatch[2] || '').split(/(?<!\\)#/).filter(part => part.trim());
+
+            return {
+                text: stem,
+                type: 'boolean',
+                options: [...this.booleanOptions],
+                correct: isTrue ? 0 : 1,
+                explanation: explanation || this.unescapeGIFT(feedback[feedback.length - 1] || '')
+            };
+        }
+
+        const answers = this.splitGIFTAnswers(answerText);
+        const arrows = answers.map(answer => this.findUnescaped(answer.text, '->'));
+        if (arrows.some(arrow => arrow !== -1)) {
+            if (arrows.includes(-1)) {
+                throw new Error('Em questões de associação, todos os pares precisam de ->');
+            }
+
+            return {
+                text: stem,
+                type: 'matching',
+                options: [],
+                correct: 0,
+                pairs: answers.map((answer, index) => ({
+                    left: answer.text.substring(0, arrows[index]).trim(),
+                    right: answer.text.substring(arrows[index] + 2).trim()
+                })),
+                explanation
+            };
+        }
+
+        // Split positive weights ("~%50%") mark a question with several right answers
+        if (answers.some(answer => answer.weight > 0 && answer.weight < 100)) {
+            const correct = answers
+                .map((answer, index) => answer.weight > 0 ? index : -1)
+                .filter(index => index !== -1);
+
+            return {
+                text: stem,
+                type: 'multiselect',
+                options: answers.map(answer => answer.text),
+                correct,
+                scoring: 'penalty',
+                explanation
+            };
+        }
+
+        if (answers.every(answer => answer.correct)) {
+            if (answers.some(answer => answer.weight !== null && answer.weight < 100)) {
+                throw new Error('Respostas curtas com peso parcial não são suportadas');
+            }
+
+            return {
+                text: stem,
+                type: 'open',
+                options: [],
+                correct: 0,
+                acceptedAnswers: answers.map(answer => answer.text),
+                explanation: explanation || answers[0].feedback
+            };
+        }
+
+        const correctAnswers = answers.filter(answer => answer.correct);
+        if (correctAnswers.length !== 1) {
+            throw new Error(correctAnswers.length === 0
+                ? 'Nenhuma alternativa correta (=) encontrada'
+                : 'Questões com mais de uma alternativa correta não são suportadas');
+        }
+        if (answers.length < 2) {
+            throw new Error('São necessárias pelo menos 2 alternativas');
+        }
+
+        return {
+            text: stem,
+            type: 'multiple',
+            options: answers.map(answer => answer.text),
+            correct: answers.indexOf(correctAnswers[0]),
+            explanation: explanation || correctAnswers[0].feedback
+        };
+    }
+
+    splitGIFTAnswers(answerText) {
+        const answers = [];
+        let current = null;
+
+        for (let i = 0; i < answerText.length; i++) {
+            const char = answerText[i];
+
+            if (char === '\\') {
+                if (current) current.raw += char + (answerText[i + 1] || '');
+                i++;
+                continue;
+            }
+
+            if (char === '=' || char === '~') {
+                // "=" inside "->" belongs to matching pairs, not a new answer
+                if (char === '=' && current && answerText[i + 1] === '>') {
+                    current.raw += char;
+                    continue;
+                }
+                current = { marker: char, raw: '' };
+                answers.push(current);
+                continue;
+            }
+
+            if (!current) {
+                throw new Error('Alternativas devem começar com = ou ~');
+            }
+            current.raw += char;
+        }
+
+        return answers.map(answer => {
+            let raw = answer.raw.trim();
+            let weight = null;
+
+            const weightMatch = raw.match(/^%(-?\d+(?:\.\d+)?)%/);
+            if (weightMatch) {
+                weight = parseFloat(weightMatch[1]);
+                raw = raw.substring(weightMatch[0].length);
+            }
+
+            const feedbackIndex = this.findUnescaped(raw, '#');
+            const text = feedbackIndex === -1 ? raw : raw.substring(0, feedbackIndex);
+            const feedback = feedbackIndex === -1 ? '' : raw.substring(feedbackIndex + 1);
+
+            return {
+                text: this.unescapeGIFT(text.trim()),
+                feedback: this.unescapeGIFT(feedback.trim()),
+                weight,
+                correct: answer.marker === '=' || weight === 100
+            };
+        }).filter(answer => answer.text);
+    }
+
+    // ===== GIFT EXPORT =====
+
+    toGIFT(questions) {
+        const lines = [];
+        const skipped = [];
+        let category = null;
+
+        questions.forEach(question => {
+            const body = this.getGIFTAnswerBlock(question);
+            if (!body) {
+                skipped.push({ question, reason: 'Tipo de questão não suportado pelo GIFT' });
+                return;
+            }
+
+            const questionCategory = question.category || '';
+            if (questionCategory !== category) {
+                category = questionCategory;
+                if (category) lines.push(`$CATEGORY: ${category}`, '');
+            }
+
+            if (question.id) lines.push(`// id: ${question.id}`);
+            lines.push(`${this.escapeGIFT(question.text)} ${body}`, '');
+        });
+
+        return { content: lines.join('\n'), skipped };
+    }
+
+    getGIFTAnswerBlock(question) {
+        const explanation = question.explanation ? `####${this.escapeGIFT(question.explanation)}` : '';
+        const type = question.type || 'multiple';
+
+        if (type === 'open') {
+            const accepted = (question.acceptedAnswers || []).map(answer => `=${this.escapeGIFT(answer)}`);
+            return `{${accepted.join(' ')}${explanation}}`;
+        }
+
+        if (!this.canExportGIFT(question)) return null;
+
+        if (type === 'matching') {
+            const pairs = question.pairs.map(pair => `\t=${this.escapeGIFT(pair.left)} -> ${this.escapeGIFT(pair.right)}`);
+            return `{\n${pairs.join('\n')}\n${explanation ? `\t${explanation}\n` : ''}}`;
+        }
+
+        if (type === 'boolean') {
+            return `{${question.correct === 0 ? 'TRUE' : 'FALSE'}${explanation}}`;
+        }
+
+        if (type === 'multiselect') {
+            // Right answers share the full credit and wrong ones cancel it
+            const weight = Number((100 / question.correct.length).toFixed(5));
+            const options = question.options.map((option, index) =>
+                `\t~%${question.correct.includes(index) ? weight : -100}%${this.escapeGIFT(this.stripOptionLabel(option))}`
+            );
+            return `{\n${options.join('\n')}\n${explanation ? `\t${explanation}\n` : ''}}`;
+        }
+
+        const options = question.options.map((option, index) =>
+            `\t${index === question.correct ? '=' : '~'}${this.escapeGIFT(this.stripOptionLabel(option))}`
+        );
+
+        return `{\n${options.join('\n')}\n${explanation ? `\t${explanation}\n` : ''}}`;
+    }
+
+    canExportGIFT(question) {
+        // Open questions export even without accepted answers; GIFT has no ordering or blanks
+        const type = question.type || 'multiple';
+        return type === 'open' || (QuizBuilder.isPlayable(question) && !['ordering', 'cloze'].includes(type));
+    }
+
+    escapeGIFT(text) {
+        return String(text)
+            .replace(/\\/g, '\\\\')
+            .replace(/[~=#{}:]/g, char => `\\${char}`)
+            .replace(/\r?\n/g, '\\n');
+    }
+
+    unescapeGIFT(text) {
+        return text
+            .replace(/\\n/g, '\n')
+            .replace(/\\([~=#{}:\\])/g, '$1')
+            .trim();
+    }
+
+    findUnescaped(text, token, from = 0) {
+        for (let i = from; i < text.length; i++) {
+            if (text[i] === '\\') {
+                i++;
+                continue;
+            }
+            if (text.startsWith(token, i)) return i;
+        }
+        return -1;
+    }
+
+    // ===== AIKEN IMPORT =====
+
+    parseAiken(content) {
+        const questions = [];
+        const errors = [];
+        let current = null;
+
+        const fail = (message) => {
+            errors.push({ line: current.line, message });
+            current = null;
+        };
+
+        content.split(/\r?\n/).forEach((rawLine, index) => {
+            const line = rawLine.trim();
+            const lineNumber = index + 1;
+            if (!line) return;
+
+            const option = line.match(/^([A-Z])[.)]\s+(.*)$/);
+            const answer = line.match(/^ANSWER:\s*(.*)$/i);
+
+            if (!current) {
+                if (option || answer) {
+                    errors.push({ line: lineNumber, message: 'Linha fora de uma questão' });
+                    return;
+                }
+                current = { line: lineNumber, stem: [line], options: [] };
+                return;
+            }
+
+            if (answer) {
+                const letter = answer[1].trim().toUpperCase();
+                const correct = letter.length === 1 ? letter.charCodeAt(0) - 65 : -1;
+
+                if (current.options.length < 2) {
+                    fail('São necessárias pelo menos 2 alternativas');
+                } else if (correct < 0 || correct >= current.options.length) {
+                    fail(`Resposta "${answer[1].trim()}" não corresponde a nenhuma alternativa`);
+                } else {
+                    questions.push({
+                        text: current.stem.join('\n'),
+                        type: 'multiple',
+                        options: current.options,
+                        correct,
+                        explanation: '',
+                        category: 'Importada',
+                        difficulty: 'medium',
+                        tags: []
+                    });
+                    current = null;
+                }
+                return;
+            }
+
+            if (option) {
+                const expected = String.fromCharCode(65 + current.options.length);
+                if (option[1] !== expected) {
+                    fail(`Alternativa ${option[1]} fora de ordem (esperada ${expected})`);
+                    return;
+                }
+                current.options.push(option[2].trim());
+                return;
+            }
+
+            if (current.options.length > 0) {
+                fail('Texto após as alternativas sem linha ANSWER:');
+                return;
+            }
+            current.stem.push(line);
+        });
+
+        if (current) {
+            fail('Questão sem linha ANSWER:');
+        }
+
+        return { questions, errors };
+    }
+
+    // ===== AIKEN EXPORT =====
+
+    toAiken(questions) {
+        const blocks = [];
+        const skipped = [];
+
+        questions.forEach(question => {
+            const reason = this.getAikenSkipReason(question);
+            if (reason) {
+                skipped.push({ question, reason });
+                return;
+            }
+
+            blocks.push([
+                question.text.replace(/\s*\r?\n\s*/g, ' '),
+                ...question.options.map((option, index) =>
+                    `${String.fromCharCode(65 + index)}. ${this.stripOptionLabel(option).replace(/\s*\r?\n\s*/g, ' ')}`
+                ),
+                `ANSWER: ${String.fromCharCode(65 + question.correct)}`
+            ].join('\n'));
+        });
+
+        return { content: blocks.join('\n\n') + '\n', skipped };
+    }
+
+    getAikenSkipReason(question) {
+        const type = question.type || 'multiple';
+
+        if (!['multiple', 'boolean', 'multiselect'].includes(type) || !QuizBuilder.isPlayable(question)) {
+            return 'Aiken aceita apenas questões de múltipla escolha';
+        }
+        if (type === 'multiselect') return 'Aiken aceita apenas uma alternativa correta';
+        if (question.options.length > 26) return 'Mais de 26 alternativas';
+        return null;
+    }
+
+    // ===== HELPERS =====
+
+    splitBlocks(content) {
+        const blocks = [];
+        let current = null;
+
+        content.split(/\r?\n/).forEach((line, index) => {
+            if (!line.trim()) {
+                current = null;
+                return;
+            }
+            if (!current) {
+                current = { line: index + 1, lines: [] };
+                blocks.push(current);
+            }
+            current.lines.push(line);
+        });
+
+        return blocks;
+    }
+
+    stripOptionLabel(option) {
+        // The default and pasted questions carry their own "A) " labels
+        return String(option).replace(/^[A-Z][.)]\s+/, '');
+    }
+}
@@ -0,0 +1,348 @@
+/**
+ * Importer Module
+ * Single import pipeline shared by the quiz import box, the question creator
+ * and QuizStorage.importData: format dispatch, text parsing and validation,
+ * reporting dropped blocks as errors and adjusted ones as warnings
+ */
+
+class QuestionImporter {
+    constructor() {
+        this.formats = window.quizApp?.formats || new QuestionFormats();
+        this.answers = window.quizApp?.answers || new AnswerMatcher();
+        this.media = window.quizApp?.media || new MediaStore();
+
+        this.answerPattern = /^(answer|resposta|gabarito|correta)\s*:\s*(.*)$/i;
+        this.explanationPattern = /^(explanation|explicação|explicacao|justificativa)\s*:\s*(.*)$/i;
+        this.optionPattern = /^(?:([A-Za-z])|(\d{1,2}))[.)]\s+(.+)$/;
+
+        this.difficulties = ['easy', 'medium', 'hard'];
+        this.types = ['multiple', 'multiselect', 'boolean', 'open', 'ordering', 'matching', 'cloze'];
+        this.structuredTypes = ['ordering', 'matching', 'cloze'];
+    }
+
+    // ===== PIPELINE =====
+
+    parse(content, format = 'auto') {
+        const detected = format === 'auto' ? this.formats.detectFormat(content) : format;
+        let result;
+
+        switch (detected) {
+            case 'json':
+                result = this.parseJSON(content);
+                break;
+            case 'gift':
+                result = this.formats.parseGIFT(content);
+                break;
+            case 'aiken':
+                result = this.formats.parseAiken(content);
+                break;
+            default:
+                result = this.parseText(content);
+        }
+
+        return { format: detected, warnings: [], ...result };
+    }
+
+    // ===== JSON =====
+
+    parseJSON(content) {
+        let parsed;
+        try {
+            parsed = JSON.parse(content);
+        } catch (error) {
+            return { questions: [], errors: [{ line: 1, message: 'JSON inválido' }], warnings: [] };
+        }
+
+        // Accepts a bare array, a single question or a creator export ({ questions: [...] })
+        const items = Array.isArray(parsed) ? parsed : (Array.isArray(parsed?.questions) ? parsed.questions : [parsed]);
+        return this.validateAll(items);
+    }
+
+    validateAll(items) {
+        const questions = [];
+        const errors = [];
+        const warnings = [];
+
+        items.forEach((item, index) => {
+            if (!item || typeof item !== 'object') {
+                errors.push({ item: index + 1, message: 'Item não é uma questão' });
+                return;
+            }
+
+            const { question, adjustments } = this.normalizeQuestion(item);
+            const problems = this.validateQuestion(question);
+
+            if (problems.length > 0) {
+                errors.push({ item: index + 1, message: problems.join('; ') });
+                return;
+            }
+
+            adjustments.forEach(message => warnings.push({ item: index + 1, message }));
+            questions.push(question);
+        });
+
+        return { questions, errors, warnings };
+    }
+
+    normalizeQuestion(item) {
+        const adjustments = [];
+        const question = {
+            ...item,
+            text: String(item.text || '').trim(),
+            options: Array.isArray(item.options) ? item.options.map(option => String(option).trim()) : [],
+            explanation: String(item.explanation || '').trim(),
+            category: String(item.category || '').trim(),
+            tags: Array.isArray(item.tags)
+                ? item.tags
+                : String(item.tags || '').split(',').map(tag => tag.trim()).filter(tag => tag)
+        };
+
+        if (typeof question.correct === 'string' && /^\d+$/.test(question.correct)) {
+            question.correct = parseInt(question.correct, 10);
+        }
+
+        if (!this.types.includes(item.type)) {
+            question.type = question.options.length === 0
+                ? this.guessStructuredType(item)
+                : (Array.isArray(item.correct) ? 'multiselect' : 'multiple');
+            if (item.type) {
+                adjustments.push(`Tipo "${item.type}" desconhecido; usando ${window.quizApp.getTypeLabel(question.type).toLowerCase()}`);
+            }
+        }
+
+        if (question.type === 'multiselect') {
+            // Accepts a single index too, and keeps the indexes sorted and unique
+            const indexes = Array.isArray(question.correct) ? question.correct : [question.correct];
+            question.correct = [...new Set(indexes.map(index => typeof index === 'string' ? parseInt(index, 10) : index))]
+                .sort((a, b) => a - b);
+        }
+
+        if (!this.difficulties.includes(item.difficulty)) {
+            if (item.difficulty) adjustments.push(`Dificuldade "${item.difficulty}" desconhecida; usando médio`);
+            question.difficulty = 'medium';
+        }
+
+        if (question.type === 'open') {
+            question.correct = 0;
+            question.acceptedAnswers = Array.isArray(item.acceptedAnswers)
+                ? item.acceptedAnswers.map(answer => String(answer).trim()).filter(answer => answer)
+                : String(item.acceptedAnswers || '').split('|').map(answer => answer.trim()).filter(answer => answer);
+        }
+
+        if (this.structuredTypes.includes(question.type)) {
+            // Ordering, matching and cloze answers live in their own fields
+            question.options = [];
+            question.correct = 0;
+        }
+        if (question.type === 'ordering') {
+            question.items = (Array.isArray(item.items) ? item.items : []).map(entry => String(entry).trim());
+        }
+        if (question.type === 'matching') {
+            question.pairs = (Array.isArray(item.pairs) ? item.pairs : []).map(pair => ({
+                left: String(pair?.left ?? '').trim(),
+                right: String(pair?.right ?? '').trim()
+            }));
+        }
+
+        return { question, adjustments };
+    }
+
+    guessStructuredType(item) {
+        if (Array.isArray(item.items)) return 'ordering';
+        if (Array.isArray(item.pairs)) return 'matching';
+        return this.answers.getBlanks(item.text).length > 0 ? 'cloze' : 'open';
+    }
+
+    validateQuestion(question, { minTextLength = 1 } = {}) {
+        const errors = [];
+
+        if (!question.text || question.text.trim().length < minTextLength) {
+            errors.push(minTextLength > 1
+                ? `A pergunta deve ter pelo menos ${minTextLength} caracteres`
+                : 'Pergunta vazia');
+        }
+
+        if (question.media !== undefined) {
+            errors.push(...this.media.validate(question));
+        }
+
+        if (question.type === 'open' || this.structuredTypes.includes(question.type)) {
+            errors.push(...this.answers.validate(question));
+        } else {
+            if (question.type === 'multiselect') {
+                errors.push(...this.answers.validate(question));
+            }
+
+            const options = Array.isArray(question.options) ? question.options : [];
+
+            if (options.length < 2) {
+                errors.push('São necessárias pelo menos 2 opções');
+            }
+            if (options.some(option => !String(option).trim())) {
+                errors.push('Todas as opções devem ser preenchidas');
+            }
+            if (new Set(options.map(option => String(option).toLowerCase())).size !== options.length) {
+                errors.push('As opções não podem ser duplicadas');
+            }
+            if (question.type === 'multiselect') {
+                const correct = Array.isArray(question.correct) ? question.correct : [];
+                if (correct.length === 0) {
+                    errors.push('Marque pelo menos uma resposta correta');
+                } else if (correct.some(index => !Number.isInteger(index) || index < 0 || index >= options.length) ||
+                    new Set(correct).size !== correct.length) {
+                    errors.push('Respostas corretas inválidas');
+                }
+            } else if (typeof question.correct !== 'number' || question.correct < 0 || question.correct >= options.length) {
+                errors.push('Resposta correta inválida');
+            }
+        }
+
+        return errors;
+    }
+
+    // ===== TEXT =====
+
+    parseText(content) {
+        const questions = [];
+        const errors = [];
+        const warnings = [];
+
+        this.formats.splitBlocks(content).forEach(block => {
+            const result = this.parseTextBlock(block.lines.map(line => line.trim()));
+
+            if (result.error) {
+                errors.push({ line: block.line, message: result.error });
+                return;
+            }
+
+            result.warnings.forEach(message => warnings.push({ line: block.line, message }));
+            questions.push(result.question);
+        });
+
+        return { questions, errors, warnings };
+    }
+
+    parseTextBlock(lines) {
+        const warnings = [];
+        const stem = [];
+        const options = [];
+        const explanation = [];
+        let answer = null;
+        let section = 'stem';
+
+        // The first line is always the stem, even when it's numbered like an option
+        stem.push(lines[0].replace(/^\d{1,3}[.)]\s+/, ''));
+
+        lines.slice(1).forEach(line => {
+            const answerMatch = line.match(this.answerPattern);
+            const explanationMatch = line.match(this.explanationPattern);
+            const optionMatch = line.match(this.optionPattern);
+
+            if (answerMatch) {
+                answer = answerMatch[2].trim();
+                section = 'answer';
+            } else if (explanationMatch) {
+                explanation.push(explanationMatch[2].trim());
+                section = 'explanation';
+            } else if (optionMatch && section !== 'explanation') {
+                options.push({ label: (optionMatch[1] || optionMatch[2]).toUpperCase(), text: optionMatch[3].trim() });
+                section = 'options';
+            } else if (section === 'stem') {
+                stem.push(line);
+            } else if (section === 'options') {
+                // Wrapped option text
+                options[options.length - 1].text += ` ${line}`;
+            } else if (section === 'explanation') {
+                explanation.push(line);
+            } else {
+                warnings.push(`Linha ignorada após a resposta: "${line}"`);
+            }
+        });
+
+        const text = stem.join('\n').trim();
+        if (answer === null) {
+            return { error: options.length > 0 ? 'Bloco sem linha de resposta (Resposta: …)' : 'Bloco sem alternativas nem resposta' };
+        }
+
+        const question = {
+            text,
+            type: 'multiple',
+            options: options.map(option => option.text),
+            correct: 0,
+            explanation: explanation.join('\n').trim(),
+            difficulty: 'medium',
+            category: 'Importada',
+            tags: []
+        };
+
+        if (options.length === 0) {
+            // A bare answer makes an open question
+            question.type = 'open';
+            question.acceptedAnswers = answer.split('|').map(value => value.trim()).filter(value => value);
+        } else {
+            this.checkLabelOrder(options, warnings);
+            question.correct = this.resolveAnswer(answer, options);
+
+            // "Resposta: A, C" marks a select-all-that-apply question
+            const parts = answer.split(/\s*[,;]\s*/).filter(part => part);
+            if (question.correct === -1 && parts.length > 1) {
+                const indexes = parts.map(part => this.resolveAnswer(part, options));
+                if (!indexes.includes(-1)) {
+                    question.type = 'multiselect';
+                    question.correct = [...new Set(indexes)].sort((a, b) => a - b);
+                }
+            }
+
+            if (question.correct === -1) {
+                return { error: `Resposta "${answer}" não corresponde a nenhuma alternativa` };
+            }
+            if (options.length === 2 && options.every((option, index) => option.text.toLowerCase() === ['verdadeiro', 'falso'][index])) {
+                question.type = 'boolean';
+            }
+        }
+
+        const problems = this.validateQuestion(question);
+        if (problems.length > 0) {
+            return { error: problems.join('; ') };
+        }
+
+        return { question, warnings };
+    }
+
+    resolveAnswer(answer, options) {
+        const value = answer.replace(/[.)]$/, '').trim();
+        const upper = value.toUpperCase();
+
+        // Match the label used in the block first, then fall back to position and text
+        const byLabel = options.findIndex(option => option.label === upper);
+        if (byLabel !== -1) return byLabel;
+
+        if (/^[A-Z]$/.test(upper) && upper.charCodeAt(0) - 65 < options.length) {
+            return upper.charCodeAt(0) - 65;
+        }
+        if (/^\d+$/.test(value) && parseInt(value, 10) >= 1 && parseInt(value, 10) <= options.length) {
+            return parseInt(value, 10) - 1;
+        }
+
+        return options.findIndex(option => option.text.toLowerCase() === value.toLowerCase());
+    }
+
+    checkLabelOrder(options, warnings) {
+        const numeric = /^\d+$/.test(options[0].label);
+
+        options.forEach((option, index) => {
+            const expected = numeric ? String(index + 1) : String.fromCharCode(65 + index);
+            if (option.label !== expected) {
+                warnings.push(`Alternativa ${option.label} fora de ordem (esperada ${expected})`);
+            }
+        });
+    }
+
+    // ===== REPORTING =====
+
+    formatIssues(issues) {
+        return issues.map(issue => issue.line
+            ? `Linha ${issue.line}: ${issue.message}`
+            : `Item ${issue.item}: ${issue.message}`);
+    }
+}
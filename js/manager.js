@@ -0,0 +1,800 @@
+/**
+ * Question Manager Module
+ * Lists, searches, filters and maintains the stored question bank
+ */
+
+class QuestionManager {
+    constructor() {
+        this.storage = window.quizApp?.storage || new QuizStorage();
+        this.pageSize = 20;
+        this.currentPage = 1;
+        this.query = '';
+        this.filters = {
+            difficulty: '',
+            type: '',
+            category: ''
+        };
+        this.sortBy = 'created-desc';
+        this.selectedIds = new Set();
+        this.pendingUndo = null;
+        this.duplicateGroups = [];
+        this.duplicateIds = new Set();
+        this.showDuplicates = false;
+        this.isBound = false;
+
+        // Whoever changes the bank (this view, the creator, an import...), the list follows
+        this.storage.onChange(['questions', 'attempts', 'dismissedDuplicates'], () => {
+            if (window.quizApp.currentView === 'manage') this.refresh();
+        });
+    }
+
+    initialize() {
+        if (!this.isBound) {
+            this.bindEvents();
+            this.isBound = true;
+        }
+
+        this.refresh();
+    }
+
+    refresh() {
+        this.updateCategoryFilter();
+        this.refreshDuplicates();
+        this.renderList();
+    }
+
+    bindEvents() {
+        const searchInput = document.getElementById('manageSearch');
+        let searchTimer;
+
+        searchInput.addEventListener('input', () => {
+            clearTimeout(searchTimer);
+            searchTimer = setTimeout(() => {
+                this.query = searchInput.value.trim();
+                this.currentPage = 1;
+                this.renderList();
+            }, 200);
+        });
+
+        // Filters
+        ['difficulty', 'type', 'category'].forEach(filter => {
+            const select = document.getElementById(`manageFilter-${filter}`);
+            select.addEventListener('change', () => {
+                this.filters[filter] = select.value;
+                this.currentPage = 1;
+                this.renderList();
+            });
+        });
+
+        document.getElementById('manageSort').addEventListener('change', (e) => {
+            this.sortBy = e.target.value;
+            this.renderList();
+        });
+
+        // Item actions (delegated, the list is re-rendered on every change)
+        document.getElementById('questionsList').addEventListener('click', (e) => {
+            const button = e.target.closest('[data-action]');
+            if (!button) return;
+
+            const id = button.closest('.manage-item').dataset.id;
+
+            switch (button.dataset.action) {
+                case 'select':
+                    this.toggleSelection(id, button.checked);
+                    break;
+                case 'edit':
+                    this.editQuestion(id);
+                    break;
+                case 'delete':
+                    this.deleteQuestion(id);
+                    break;
+            }
+        });
+
+        document.getElementById('questionsPagination').addEventListener('click', (e) => {
+            const button = e.target.closest('[data-page]');
+            if (button && !button.disabled) {
+                this.goToPage(parseInt(button.dataset.page));
+            }
+        });
+
+        document.getElementById('manageUndo').addEventListener('click', (e) => {
+            if (e.target.closest('[data-action="undo"]')) {
+                this.undoDelete();
+            }
+        });
+
+        document.getElementById('manageReport').addEventListener('click', (e) => {
+            if (e.target.closest('[data-action="dismiss"]')) {
+                this.clearReport();
+            }
+        });
+
+        // Selection
+        document.getElementById('manageSelectPage').addEventListener('change', (e) => {
+            this.getPageQuestions().forEach(question => {
+                this.toggleSelection(question.id, e.target.checked, false);
+            });
+            this.renderList();
+        });
+
+        document.getElementById('manageSelectAll').addEventListener('click', () => {
+            this.getVisibleQuestions().forEach(question => this.selectedIds.add(question.id));
+            this.renderList();
+        });
+
+        document.getElementById('manageDuplicatesToggle').addEventListener('click', () => {
+            this.toggleDuplicates();
+        });
+
+        document.getElementById('manageDuplicates').addEventListener('click', (e) => {
+            const button = e.target.closest('[data-duplicates]');
+            if (!button) return;
+
+            const index = parseInt(button.closest('.duplicate-group').dataset.group, 10);
+            if (button.dataset.duplicates === 'merge') {
+                this.mergeGroup(index);
+            } else if (button.dataset.duplicates === 'dismiss') {
+                this.dismissGroup(index);
+            }
+        });
+
+        document.getElementById('bankImport').addEventListener('click', () => {
+            window.quizApp.reconciler.openImport();
+        });
+
+        document.getElementById('qtiImport').addEventListener('click', () => {
+            window.quizApp.qti.openImport();
+        });
+
+        this.bindBulkEvents();
+    }
+
+    bindBulkEvents() {
+        const bulkBar = document.getElementById('manageBulkBar');
+
+        bulkBar.addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-bulk]');
+            if (!button) return;
+
+            switch (button.dataset.bulk) {
+                case 'delete':
+                    this.bulkDelete();
+                    break;
+                case 'category':
+                    this.openCategoryModal();
+                    break;
+                case 'collection':
+                    this.openCollectionModal();
+                    break;
+                case 'duplicate':
+                    this.bulkDuplicate();
+                    break;
+                case 'export':
+                    this.exportSelection();
+                    break;
+                case 'clear':
+                    this.clearSelection();
+                    break;
+            }
+        });
+
+        bulkBar.querySelector('[data-bulk="difficulty"]').addEventListener('change', (e) => {
+            if (e.target.value) {
+                this.bulkUpdate(() => ({ difficulty: e.target.value }));
+                e.target.value = '';
+            }
+        });
+    }
+
+    // ===== LISTING =====
+
+    getVisibleQuestions() {
+        const questions = this.storage.searchQuestions(this.query, this.filters);
+        return this.sortQuestions(questions);
+    }
+
+    sortQuestions(questions) {
+        const [field, direction] = this.sortBy.split('-');
+        const getDate = (question) => {
+            const value = field === 'updated'
+                ? question.updatedAt || question.createdAt
+                : question.createdAt;
+            return value ? new Date(value).getTime() : 0;
+        };
+
+        return [...questions].sort((a, b) => {
+            const diff = getDate(a) - getDate(b);
+            return direction === 'asc' ? diff : -diff;
+        });
+    }
+
+    getPageQuestions(questions = this.getVisibleQuestions()) {
+        const start = (this.currentPage - 1) * this.pageSize;
+        return questions.slice(start, start + this.pageSize);
+    }
+
+    renderList() {
+        const container = document.getElementById('questionsList');
+        const questions = this.getVisibleQuestions();
+        const totalPages = Math.max(1, Math.ceil(questions.length / this.pageSize));
+
+        this.currentPage = Math.min(this.currentPage, totalPages);
+
+        const pageItems = this.getPageQuestions(questions);
+
+        document.getElementById('manageCount').textContent =
+            `${questions.length} de ${this.storage.getAllQuestions().length} questões`;
+
+        if (pageItems.length === 0) {
+            container.innerHTML = this.getEmptyStateHTML();
+        } else {
+            container.innerHTML = pageItems.map(question => this.getItemHTML(question)).join('');
+        }
+
+        this.renderPagination(totalPages);
+        this.updateSelectionUI(pageItems);
+    }
+
+    getItemHTML(question) {
+        const date = question.updatedAt || question.createdAt;
+        const isSelected = this.selectedIds.has(question.id);
+
+        return `
+            <div class="manage-item ${isSelected ? 'selected' : ''}" data-id="${window.quizApp.escapeHTML(question.id)}">
+                <label class="manage-item-select">
+                    <input type="checkbox" class="select-checkbox" data-action="select" ${isSelected ? 'checked' : ''} aria-label="Selecionar questão">
+                </label>
+                <div class="manage-item-content">
+                    <div class="manage-item-text">${window.quizApp.escapeHTML(question.text)}</div>
+                    <div class="manage-item-meta">
+                        <span class="meta-badge">${window.quizApp.getTypeLabel(question.type)}</span>
+                        <span class="meta-badge difficulty-${question.difficulty || 'medium'}">${window.quizApp.getDifficultyLabel(question.difficulty)}</span>
+                        ${question.category ? `<span class="meta-badge">${window.quizApp.escapeHTML(question.category)}</span>` : ''}
+                        ${(question.tags || []).filter(tag => tag !== question.category).map(tag => `<span class="meta-badge meta-tag">#${window.quizApp.escapeHTML(tag)}</span>`).join('')}
+                        ${this.duplicateIds.has(question.id) ? '<span class="meta-badge meta-duplicate"><i class="fas fa-clone"></i> Possível duplicata</span>' : ''}
+                        ${date ? `<span class="text-muted">${question.updatedAt ? 'Atualizada' : 'Criada'} em ${window.quizApp.formatDate(date)}</span>` : ''}
+                    </div>
+                </div>
+                <div class="manage-item-actions">
+                    <button type="button" class="btn btn-outline btn-sm" data-action="edit" title="Editar questão">
+                        <i class="fas fa-edit"></i> Editar
+                    </button>
+                    <button type="button" class="btn btn-outline btn-sm" data-action="delete" title="Excluir questão">
+                        <i class="fas fa-trash"></i> Excluir
+                    </button>
+                </div>
+            </div>
+        `;
+    }
+
+    getEmptyStateHTML() {
+        const hasQuestions = this.storage.getAllQuestions().length > 0;
+
+        return `
+            <div class="text-center">
+                <i class="fas fa-folder-open" style="font-size: 3rem; color: var(--text-muted); margin-bottom: 1rem;"></i>
+                <p>${hasQuestions ? 'Nenhuma questão corresponde à busca.' : 'Nenhuma questão salva ainda.'}</p>
+                <p class="text-muted">${hasQuestions ? 'Ajuste os filtros ou o texto da busca.' : 'Crie questões na aba "Criar Questões".'}</p>
+            </div>
+        `;
+    }
+
+    renderPagination(totalPages) {
+        const pagination = document.getElementById('questionsPagination');
+
+        if (totalPages <= 1) {
+            pagination.innerHTML = '';
+            return;
+        }
+
+        pagination.innerHTML = `
+            <button type="button" class="btn btn-outline btn-sm" data-page="${this.currentPage - 1}" ${this.currentPage === 1 ? 'disabled' : ''}>
+                <i class="fas fa-chevron-left"></i> Anterior
+            </button>
+            <span class="pagination-info">Página ${this.currentPage} de ${totalPages}</span>
+            <button type="button" class="btn btn-outline btn-sm" data-page="${this.currentPage + 1}" ${this.currentPage === totalPages ? 'disabled' : ''}>
+                Próxima <i class="fas fa-chevron-right"></i>
+            </button>
+        `;
+    }
+
+    goToPage(page) {
+        this.currentPage = Math.max(1, page);
+        this.renderList();
+        document.getElementById('manageView').scrollTop = 0;
+    }
+
+    updateCategoryFilter() {
+        const select = document.getElementById('manageFilter-category');
+        const categories = [...new Set(
+            this.storage.getAllQuestions()
+                .map(q => q.category)
+                .filter(category => category)
+        )].sort((a, b) => a.localeCompare(b, 'pt-BR'));
+
+        // Drop a selected category that no longer exists
+        if (this.filters.category && !categories.includes(this.filters.category)) {
+            this.filters.category = '';
+        }
+
+        select.innerHTML = '<option value="">Todas as categorias</option>' +
+            categories.map(category => `
+                <option value="${window.quizApp.escapeHTML(category)}" ${category === this.filters.category ? 'selected' : ''}>
+                    ${window.quizApp.escapeHTML(category)}
+                </option>
+            `).join('');
+    }
+
+    // ===== SELECTION =====
+
+    toggleSelection(id, selected, render = true) {
+        if (selected) {
+            this.selectedIds.add(id);
+        } else {
+            this.selectedIds.delete(id);
+        }
+
+        if (render) {
+            document.querySelector(`.manage-item[data-id="${CSS.escape(id)}"]`)?.classList.toggle('selected', selected);
+            this.updateSelectionUI(this.getPageQuestions());
+        }
+    }
+
+    clearSelection() {
+        this.selectedIds.clear();
+        this.renderList();
+    }
+
+    pruneSelection() {
+        // Forget ids that no longer exist (deleted here or elsewhere)
+        const existingIds = new Set(this.storage.getAllQuestions().map(q => q.id));
+        this.selectedIds.forEach(id => {
+            if (!existingIds.has(id)) this.selectedIds.delete(id);
+        });
+    }
+
+    updateSelectionUI(pageItems) {
+        const count = this.selectedIds.size;
+        const bulkBar = document.getElementById('manageBulkBar');
+        const selectPage = document.getElementById('manageSelectPage');
+        const selectedOnPage = pageItems.filter(question => this.selectedIds.has(question.id)).length;
+
+        bulkBar.classList.toggle('active', count > 0);
+        document.getElementById('manageBulkCount').textContent =
+            `${count} ${count === 1 ? 'selecionada' : 'selecionadas'}`;
+
+        selectPage.checked = pageItems.length > 0 && selectedOnPage === pageItems.length;
+        selectPage.indeterminate = selectedOnPage > 0 && selectedOnPage < pageItems.length;
+    }
+
+    getSelectedIds() {
+        this.pruneSelection();
+        return [...this.selectedIds];
+    }
+
+    // ===== ACTIONS =====
+
+    editQuestion(id) {
+        const question = this.storage.getQuestionById(id);
+        if (!question) {
+            window.quizApp.showToast('Questão não encontrada', 'error');
+            this.renderList();
+            return;
+        }
+
+        window.quizApp.switchView('create');
+        window.quizApp.creator.editQuestion(question);
+    }
+
+    deleteQuestion(id) {
+        const index = this.storage.getAllQuestions().findIndex(q => q.id === id);
+        const question = this.storage.getQuestionById(id);
+
+        if (!question || !this.storage.deleteQuestion(id)) {
+            window.quizApp.showToast('Não foi possível excluir a questão', 'error');
+            return;
+        }
+
+        this.selectedIds.delete(id);
+        this.showUndo([{ question, index }]);
+    }
+
+    showUndo(items) {
+        this.clearUndo();
+
+        const undoBar = document.getElementById('manageUndo');
+        undoBar.innerHTML = `
+            <span>${items.length === 1 ? 'Questão excluída.' : `${items.length} questões excluídas.`}</span>
+            <button type="button" class="btn btn-outline btn-sm" data-action="undo">
+                <i class="fas fa-undo"></i> Desfazer
+            </button>
+        `;
+        undoBar.classList.add('active');
+
+        this.pendingUndo = {
+            items,
+            timeoutId: setTimeout(() => this.clearUndo(), 8000)
+        };
+    }
+
+    undoDelete() {
+        if (!this.pendingUndo) return;
+
+        const { items } = this.pendingUndo;
+        this.storage.restoreQuestions(items);
+        this.clearUndo();
+        window.quizApp.showToast(items.length === 1 ? 'Questão restaurada' : `${items.length} questões restauradas`);
+    }
+
+    clearUndo() {
+        if (this.pendingUndo) {
+            clearTimeout(this.pendingUndo.timeoutId);
+            this.pendingUndo = null;
+        }
+
+        const undoBar = document.getElementById('manageUndo');
+        undoBar.classList.remove('active');
+        undoBar.innerHTML = '';
+    }
+
+    // ===== BULK ACTIONS =====
+
+    async bulkUpdate(getChanges) {
+        const ids = this.getSelectedIds();
+        if (ids.length === 0) return;
+
+        const operations = ids.map(id => ({
+            type: 'update',
+            id,
+            changes: getChanges(this.storage.getQuestionById(id))
+        }));
+
+        this.finishBatch(await this.storage.applyBatch(operations), 'atualizadas');
+    }
+
+    async bulkDelete() {
+        const ids = this.getSelectedIds();
+        if (ids.length === 0) return;
+
+        if (!window.confirm(`Excluir ${ids.length} ${ids.length === 1 ? 'questão' : 'questões'}?`)) {
+            return;
+        }
+
+        // Undo needs each question's position before any of them is removed
+        const originalIndexes = new Map(
+            this.storage.getAllQuestions().map((question, index) => [question.id, index])
+        );
+
+        const result = await this.storage.applyBatch(ids.map(id => ({ type: 'delete', id })));
+        const deleted = result.results
+            .filter(item => item.success)
+            .map(item => ({ question: item.question, index: originalIndexes.get(item.id) }));
+
+        if (deleted.length > 0) {
+            this.showUndo(deleted);
+        }
+
+        this.finishBatch(result, 'excluídas', false);
+    }
+
+    async bulkDuplicate() {
+        const ids = this.getSelectedIds();
+        if (ids.length === 0) return;
+
+        const result = await this.storage.applyBatch(ids.map(id => ({ type: 'duplicate', id })));
+        this.finishBatch(result, 'duplicadas', false);
+    }
+
+    finishBatch(result, verb, keepSelection = true) {
+        if (!keepSelection) {
+            result.results.filter(item => item.success).forEach(item => this.selectedIds.delete(item.id));
+        }
+
+        if (result.failed > 0) {
+            this.showReport(result.results.filter(item => !item.success));
+            window.quizApp.showToast(`${result.succeeded} ${verb}, ${result.failed} com erro`, 'warning');
+        } else {
+            this.clearReport();
+            window.quizApp.showToast(`${result.succeeded} ${result.succeeded === 1 ? 'questão' : 'questões'} ${verb}`);
+        }
+    }
+
+    showReport(failures) {
+        const report = document.getElementById('manageReport');
+        report.innerHTML = `
+            <div class="manage-report-header">
+                <strong>${failures.length} ${failures.length === 1 ? 'item não pôde' : 'itens não puderam'} ser processados</strong>
+                <button type="button" class="btn btn-outline btn-sm" data-action="dismiss">
+                    <i class="fas fa-times"></i> Fechar
+                </button>
+            </div>
+            <ul>
+                ${failures.map(failure => {
+                    const question = this.storage.getQuestionById(failure.id);
+                    const label = question ? question.text : failure.id;
+                    return `<li><span class="manage-report-item">${window.quizApp.escapeHTML(label)}</span> — ${window.quizApp.escapeHTML(failure.error)}</li>`;
+                }).join('')}
+            </ul>
+        `;
+        report.classList.add('active');
+    }
+
+    clearReport() {
+        const report = document.getElementById('manageReport');
+        report.classList.remove('active');
+        report.innerHTML = '';
+    }
+
+    async exportSelection() {
+        const ids = new Set(this.getSelectedIds());
+        const questions = this.storage.getAllQuestions().filter(q => ids.has(q.id));
+
+        if (questions.length === 0) {
+            window.quizApp.showToast('Nenhuma questão selecionada', 'error');
+            return;
+        }
+
+        const data = {
+            version: this.storage.schemaVersion,
+            exportDate: new Date().toISOString(),
+            totalQuestions: questions.length,
+            questions: questions
+        };
+
+        this.storage.downloadJSON(await window.quizApp.media.withBundle(data), `quiz-questions-${new Date().getTime()}.json`);
+        window.quizApp.showToast(`${questions.length} questões exportadas!`);
+    }
+
+    // ===== DUPLICATES =====
+
+    refreshDuplicates() {
+        this.duplicateGroups = window.quizApp.dedupe.findGroups();
+        this.duplicateIds = new Set(this.duplicateGroups.flatMap(group => group.questions.map(q => q.id)));
+
+        const count = this.duplicateGroups.length;
+        document.getElementById('manageDuplicatesCount').textContent = count > 0 ? `(${count})` : '';
+        this.renderDuplicates();
+    }
+
+    toggleDuplicates() {
+        this.showDuplicates = !this.showDuplicates;
+        document.getElementById('manageDuplicatesToggle').setAttribute('aria-expanded', this.showDuplicates);
+        this.renderDuplicates();
+    }
+
+    renderDuplicates() {
+        const panel = document.getElementById('manageDuplicates');
+        panel.classList.toggle('active', this.showDuplicates);
+
+        if (!this.showDuplicates) {
+            panel.innerHTML = '';
+            return;
+        }
+
+        if (this.duplicateGroups.length === 0) {
+            panel.innerHTML = '<p class="text-muted">Nenhuma duplicata encontrada no banco.</p>';
+            return;
+        }
+
+        const attempts = this.storage.getAttempts();
+
+        panel.innerHTML = `
+            <p class="text-muted">
+                Ao mesclar, a questão escolhida absorve as tags das outras e herda o histórico de respostas,
+                a revisão espaçada e as coleções; as demais são removidas.
+            </p>
+            ${this.duplicateGroups.map((group, index) => `
+                <div class="duplicate-group" data-group="${index}">
+                    <div class="duplicate-group-header">
+                        <strong>${group.questions.length} questões · ${Math.round(group.score * 100)}% de similaridade</strong>
+                        <div class="duplicate-group-actions">
+                            <button type="button" class="btn btn-primary btn-sm" data-duplicates="merge">
+                                <i class="fas fa-compress-alt"></i> Mesclar
+                            </button>
+                            <button type="button" class="btn btn-outline btn-sm" data-duplicates="dismiss">
+                                <i class="fas fa-times"></i> Não são duplicatas
+                            </button>
+                        </div>
+                    </div>
+                    ${group.questions.map((question, position) => {
+                        const answered = attempts.filter(attempt => attempt.questionId === question.id).length;
+                        return `
+                            <label class="duplicate-item">
+                                <input type="radio" name="duplicateKeep-${index}" value="${window.quizApp.escapeHTML(question.id)}" ${position === 0 ? 'checked' : ''} aria-label="Manter esta questão">
+                                <span class="duplicate-item-content">
+                                    <span class="manage-item-text">${window.quizApp.escapeHTML(question.text)}</span>
+                                    <span class="manage-item-meta">
+                                        ${question.category ? `<span class="meta-badge">${window.quizApp.escapeHTML(question.category)}</span>` : ''}
+                                        ${(question.tags || []).map(tag => `<span class="meta-badge meta-tag">#${window.quizApp.escapeHTML(tag)}</span>`).join('')}
+                                        <span class="text-muted">${answered} ${answered === 1 ? 'resposta' : 'respostas'}</span>
+                                        ${question.createdAt ? `<span class="text-muted">Criada em ${window.quizApp.formatDate(question.createdAt)}</span>` : ''}
+                                    </span>
+                                </span>
+                            </label>
+                        `;
+                    }).join('')}
+                </div>
+            `).join('')}
+        `;
+    }
+
+    mergeGroup(index) {
+        const group = this.duplicateGroups[index];
+        const keepId = document.querySelector(`input[name="duplicateKeep-${index}"]:checked`)?.value;
+        if (!group || !keepId) return;
+
+        const duplicateIds = group.questions.map(q => q.id).filter(id => id !== keepId);
+        if (!window.confirm(`Mesclar ${duplicateIds.length} ${duplicateIds.length === 1 ? 'duplicata' : 'duplicatas'} na questão escolhida?`)) {
+            return;
+        }
+
+        const result = this.storage.mergeDuplicates(keepId, duplicateIds);
+        if (!result.success) {
+            window.quizApp.showToast('Não foi possível mesclar as questões', 'error');
+            return;
+        }
+
+        duplicateIds.forEach(id => this.selectedIds.delete(id));
+        window.quizApp.showToast(`${result.merged} ${result.merged === 1 ? 'duplicata mesclada' : 'duplicatas mescladas'}`);
+    }
+
+    dismissGroup(index) {
+        const group = this.duplicateGroups[index];
+        if (!group) return;
+
+        this.storage.dismissDuplicates(group.questions.map(q => q.id));
+    }
+
+    // ===== BULK MODALS =====
+
+    openCategoryModal() {
+        const modal = this.openBulkModal('Categoria e tags', `
+            <div class="form-group">
+                <label for="bulkCategory">Categoria:</label>
+                <input type="text" id="bulkCategory" placeholder="Deixe em branco para manter a atual">
+            </div>
+            <div class="form-group">
+                <label for="bulkTags">Tags (separadas por vírgula):</label>
+                <input type="text" id="bulkTags" placeholder="Ex: revisão, prova 1">
+            </div>
+            <div class="form-group">
+                <label>Aplicar tags:</label>
+                <div class="radio-group">
+                    <label class="radio-label"><input type="radio" name="bulkTagsMode" value="add" checked> <span>Adicionar</span></label>
+                    <label class="radio-label"><input type="radio" name="bulkTagsMode" value="replace"> <span>Substituir</span></label>
+                    <label class="radio-label"><input type="radio" name="bulkTagsMode" value="remove"> <span>Remover</span></label>
+                </div>
+            </div>
+        `);
+
+        modal.querySelector('[data-modal="confirm"]').onclick = () => {
+            const category = modal.querySelector('#bulkCategory').value.trim();
+            const tags = this.parseTags(modal.querySelector('#bulkTags').value);
+            const mode = modal.querySelector('input[name="bulkTagsMode"]:checked').value;
+
+            if (!category && tags.length === 0 && mode !== 'replace') {
+                window.quizApp.showToast('Informe uma categoria ou tags', 'error');
+                return;
+            }
+
+            this.bulkUpdate(question => {
+                const changes = {};
+                if (category) changes.category = category;
+
+                const current = question?.tags || [];
+                if (mode === 'replace') {
+                    changes.tags = tags;
+                } else if (mode === 'remove') {
+                    changes.tags = current.filter(tag => !tags.includes(tag));
+                } else if (tags.length > 0) {
+                    changes.tags = [...new Set([...current, ...tags])];
+                }
+
+                return changes;
+            });
+            this.closeBulkModal();
+        };
+    }
+
+    openCollectionModal() {
+        const collections = this.storage.getAllCollections();
+        const modal = this.openBulkModal('Adicionar à coleção', `
+            <div class="form-group">
+                <label for="bulkCollection">Coleção:</label>
+                <select id="bulkCollection">
+                    ${collections.map(collection => `
+                        <option value="${window.quizApp.escapeHTML(collection.id)}">${window.quizApp.escapeHTML(collection.name)}</option>
+                    `).join('')}
+                    <option value="">+ Nova coleção</option>
+                </select>
+            </div>
+            <div class="form-group" id="bulkCollectionNameGroup">
+                <label for="bulkCollectionName">Nome da nova coleção:</label>
+                <input type="text" id="bulkCollectionName" placeholder="Ex: Simulado 1">
+            </div>
+        `);
+
+        const select = modal.querySelector('#bulkCollection');
+        const nameGroup = modal.querySelector('#bulkCollectionNameGroup');
+        const updateNameVisibility = () => {
+            nameGroup.style.display = select.value ? 'none' : 'block';
+        };
+        select.addEventListener('change', updateNameVisibility);
+        updateNameVisibility();
+
+        modal.querySelector('[data-modal="confirm"]').onclick = () => {
+            let collectionId = select.value;
+
+            if (!collectionId) {
+                const name = modal.querySelector('#bulkCollectionName').value.trim();
+                if (!name) {
+                    window.quizApp.showToast('Informe o nome da coleção', 'error');
+                    return;
+                }
+                collectionId = this.storage.saveCollection({ name, description: '', questionIds: [] });
+            }
+
+            try {
+                const { added, skipped } = this.storage.addQuestionsToCollection(collectionId, this.getSelectedIds());
+                window.quizApp.showToast(
+                    skipped > 0
+                        ? `${added} adicionadas, ${skipped} já estavam na coleção`
+                        : `${added} questões adicionadas à coleção`
+                );
+                this.closeBulkModal();
+            } catch (error) {
+                window.quizApp.showToast(error.message, 'error');
+            }
+        };
+    }
+
+    openBulkModal(title, bodyHTML) {
+        let modal = document.getElementById('bulkModal');
+        if (!modal) {
+            modal = document.createElement('div');
+            modal.id = 'bulkModal';
+            modal.className = 'modal';
+            document.body.appendChild(modal);
+
+            modal.addEventListener('click', (e) => {
+                if (e.target === modal || e.target.closest('.modal-close, [data-modal="cancel"]')) {
+                    this.closeBulkModal();
+                }
+            });
+        }
+
+        modal.innerHTML = `
+            <div class="modal-content">
+                <div class="modal-header">
+                    <h3><i class="fas fa-layer-group"></i> ${title}</h3>
+                    <button class="modal-close">&times;</button>
+                </div>
+                <div class="modal-body">
+                    <p class="text-muted mb-2">${this.selectedIds.size} questões selecionadas</p>
+                    ${bodyHTML}
+                    <div class="form-actions">
+                        <button type="button" class="btn btn-primary" data-modal="confirm">
+                            <i class="fas fa-check"></i> Aplicar
+                        </button>
+                        <button type="button" class="btn btn-outline" data-modal="cancel">
+                            <i class="fas fa-times"></i> Cancelar
+                        </button>
+                    </div>
+                </div>
+            </div>
+        `;
+        modal.classList.add('active');
+        return modal;
+    }
+
+    closeBulkModal() {
+        document.getElementById('bulkModal')?.classList.remove('active');
+    }
+
+    // ===== UTILITY METHODS =====
+
+    parseTags(value) {
+        return [...new Set(value.split(',').map(tag => tag.trim()).filter(tag => tag))];
+    }
+}
@@ -0,0 +1,266 @@
+/**
+ * Media Module
+ * Image and audio attachments for questions, options and explanations.
+ * The files live as blobs in the "media" store of QuizDatabase; questions
+ * only keep references ({ id, kind, alt, target, option })
+ */
+
+class MediaStore {
+    constructor() {
+        this.database = window.quizApp?.storage?.database || new QuizDatabase();
+        this.storeName = 'media';
+        this.maxSize = 10 * 1024 * 1024;
+
+        this.kinds = ['image', 'audio'];
+        this.targets = ['question', 'explanation', 'option'];
+
+        this.urls = new Map();
+    }
+
+    isSupported() {
+        return this.database.isSupported();
+    }
+
+    // ===== FILES =====
+
+    async add(file) {
+        const kind = this.getKind(file.type);
+
+        if (!kind) {
+            throw new Error(`Formato não suportado: ${file.name || file.type}`);
+        }
+        if (file.size > this.maxSize) {
+            throw new Error(`${file.name || 'Arquivo'} passa de ${this.maxSize / 1024 / 1024} MB`);
+        }
+
+        const record = {
+            id: this.generateId(),
+            blob: file,
+            type: file.type,
+            name: file.name || (kind === 'image' ? 'imagem' : 'audio'),
+            size: file.size,
+            createdAt: new Date().toISOString()
+        };
+
+        await this.database.put(this.storeName, record);
+        return { id: record.id, kind };
+    }
+
+    get(id) {
+        return this.database.get(this.storeName, id);
+    }
+
+    async remove(id) {
+        await this.database.delete(this.storeName, id);
+        this.revokeURL(id);
+    }
+
+    getIds() {
+        return this.database.getKeys(this.storeName);
+    }
+
+    getKind(type) {
+        const kind = String(type || '').split('/')[0];
+        return this.kinds.includes(kind) ? kind : null;
+    }
+
+    // ===== REFERENCES =====
+
+    getRefs(question, target, option) {
+        return (question.media || []).filter(ref =>
+            ref.target === target && (target !== 'option' || ref.option === option)
+        );
+    }
+
+    collectIds(questions) {
+        return new Set(questions.flatMap(question => (question.media || []).map(ref => ref.id)));
+    }
+
+    validate(question) {
+        const errors = [];
+        const refs = question.media || [];
+
+        if (!Array.isArray(refs)) return ['Anexos inválidos'];
+
+        if (refs.some(ref => !ref.id || !this.kinds.includes(ref.kind) || !this.targets.includes(ref.target))) {
+            errors.push('Anexos inválidos');
+        }
+        if (refs.some(ref => !String(ref.alt || '').trim())) {
+            errors.push('Descreva todos os anexos (texto alternativo)');
+        }
+
+        const optionCount = (question.options || []).length;
+        if (refs.some(ref => ref.target === 'option' && !(Number.isInteger(ref.option) && ref.option >= 0 && ref.option < optionCount))) {
+            errors.push('Há anexo ligado a uma alternativa que não existe');
+        }
+
+        return errors;
+    }
+
+    // ===== RENDERING =====
+
+    renderHTML(refs) {
+        if (refs.length === 0) return '';
+
+        // Sources are filled in by hydrate() unless the service worker can serve them
+        return `<span class="media-group">${refs.map(ref => {
+            const id = window.quizApp.escapeHTML(ref.id);
+            const alt = window.quizApp.escapeHTML(ref.alt);
+            const src = this.getServedURL(ref.id);
+            const srcAttr = src ? ` src="${window.quizApp.escapeHTML(src)}"` : '';
+
+            return ref.kind === 'audio'
+                ? `<audio class="media-audio" controls preload="none" data-media-id="${id}"${srcAttr} aria-label="${alt}" title="${alt}"></audio>`
+                : `<img class="media-image" data-media-id="${id}"${srcAttr} alt="${alt}" loading="lazy">`;
+        }).join('')}</span>`;
+    }
+
+    async hydrate(container) {
+        const elements = [...container.querySelectorAll('[data-media-id]:not([src])')];
+
+        await Promise.all(elements.map(async element => {
+            try {
+                const url = await this.getURL(element.dataset.mediaId);
+                if (url) {
+                    element.src = url;
+                    return;
+                }
+            } catch (error) {
+                console.warn('Failed to load attachment:', error);
+            }
+            element.classList.add('media-missing');
+            element.title = 'Anexo indisponível';
+        }));
+    }
+
+    getServedURL(id) {
+        // A controlling service worker answers media/<id> straight from IndexedDB
+        const controlled = typeof navigator !== 'undefined' && navigator.serviceWorker && navigator.serviceWorker.controller;
+        return controlled ? `media/${encodeURIComponent(id)}` : null;
+    }
+
+    async getURL(id) {
+        if (this.urls.has(id)) return this.urls.get(id);
+
+        const record = await this.get(id);
+        if (!record) return null;
+
+        const url = URL.createObjectURL(record.blob);
+        this.urls.set(id, url);
+        return url;
+    }
+
+    revokeURL(id) {
+        if (this.urls.has(id)) {
+            URL.revokeObjectURL(this.urls.get(id));
+            this.urls.delete(id);
+        }
+    }
+
+    // ===== EXPORT & IMPORT =====
+
+    async exportBundle(questions) {
+        // Files travel as base64 next to the questions, so one JSON file is enough
+        if (!this.isSupported()) return [];
+
+        const records = await Promise.all([...this.collectIds(questions)].map(id => this.get(id)));
+        return Promise.all(records.filter(record => record).map(async record => ({
+            id: record.id,
+            type: record.type,
+            name: record.name,
+            data: await this.toBase64(record.blob)
+        })));
+    }
+
+    async importBundle(entries) {
+        // Each file is converted on its own: a broken one is reported and the rest are still saved
+        const result = { imported: 0, failed: [] };
+        if (!Array.isArray(entries) || entries.length === 0) return result;
+
+        const existing = new Set(await this.getIds());
+        const records = [];
+
+        entries.forEach((entry, index) => {
+            if (entry && existing.has(entry.id)) return;
+
+            const name = entry?.name || entry?.id || `anexo ${index + 1}`;
+            if (!entry || !entry.id || !entry.data || !this.getKind(entry.type)) {
+                result.failed.push(name);
+                return;
+            }
+
+            try {
+                const blob = this.fromBase64(entry.data, entry.type);
+                records.push({
+                    id: entry.id,
+                    blob,
+                    type: entry.type,
+                    name: entry.name || entry.id,
+                    size: blob.size,
+                    createdAt: new Date().toISOString()
+                });
+            } catch (error) {
+                console.error(`Invalid attachment data in ${name}:`, error);
+                result.failed.push(name);
+            }
+        });
+
+        if (records.length > 0) {
+            await this.database.write(this.storeName, { put: records });
+        }
+        result.imported = records.length;
+        return result;
+    }
+
+    describeFailures({ failed }) {
+        // Appended to the import message, which is the one toast the user gets to see
+        if (failed.length === 0) return '';
+        return `${failed.length === 1 ? 'um anexo inválido não foi importado' : `${failed.length} anexos inválidos não foram importados`} (${failed.join(', ')})`;
+    }
+
+    async withBundle(data) {
+        // Adds the attachments of data.questions to an export payload
+        const media = await this.exportBundle(data.questions || []);
+        return media.length > 0 ? { ...data, media } : data;
+    }
+
+    // ===== CLEANUP =====
+
+    async cleanupOrphans(questions) {
+        // Files dropped from every question (and from the open draft) are deleted
+        if (!this.isSupported()) return 0;
+
+        const referenced = this.collectIds(questions);
+        const orphans = (await this.getIds()).filter(id => !referenced.has(id));
+
+        await Promise.all(orphans.map(id => this.remove(id)));
+        return orphans.length;
+    }
+
+    // ===== HELPERS =====
+
+    async toBase64(blob) {
+        const bytes = new Uint8Array(await blob.arrayBuffer());
+        let binary = '';
+
+        // Chunks keep String.fromCharCode under the argument limit
+        for (let i = 0; i < bytes.length; i += 0x8000) {
+            binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+        }
+        return btoa(binary);
+    }
+
+    fromBase64(data, type) {
+        const binary = atob(data);
+        const bytes = new Uint8Array(binary.length);
+
+        for (let i = 0; i < binary.length; i++) {
+            bytes[i] = binary.charCodeAt(i);
+        }
+        return new Blob([bytes], { type });
+    }
+
+    generateId() {
+        return 'm_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
+    }
+}
@@ -0,0 +1,323 @@
+/**
+ * Migrations Module
+ * Schema versions of the stored data and of export/backup files: ordered
+ * upgrade steps from any older version, then a shape check of every record
+ * that repairs what it can and drops the rest, reporting both. Dropped
+ * records travel whole in the report, so they can still be recovered
+ */
+
+class SchemaMigrations {
+    constructor() {
+        // Step N upgrades data from version N - 1. Released steps never change;
+        // a new format gets a new step at the end
+        this.steps = [
+            {
+                version: 2,
+                description: 'Sessões do histórico com id e situação de cada resposta',
+                migrate: data => this.upgradeSessions(data)
+            },
+            {
+                version: 3,
+                description: 'Questões com tipo, tags e dificuldade explícitos',
+                migrate: data => this.upgradeQuestions(data)
+            }
+        ];
+        this.currentVersion = this.steps[this.steps.length - 1].version;
+
+        // Parts of an export (and of the stored data) the steps work on
+        this.stores = ['questions', 'collections', 'filters', 'history', 'attempts', 'reviewSchedule', 'settings'];
+        this.labels = {
+            questions: 'Questão',
+            collections: 'Coleção',
+            filters: 'Filtro',
+            history: 'Sessão',
+            attempts: 'Resposta',
+            reviewSchedule: 'Revisão',
+            settings: 'Preferências'
+        };
+
+        // Question fields named in the report when the importer had to change them
+        this.questionFields = {
+            text: 'enunciado',
+            type: 'tipo',
+            options: 'opções',
+            correct: 'resposta correta',
+            difficulty: 'dificuldade',
+            category: 'categoria',
+            tags: 'tags',
+            explanation: 'explicação',
+            acceptedAnswers: 'respostas aceitas',
+            items: 'itens',
+            pairs: 'pares'
+        };
+    }
+
+    getImporter() {
+        // Questions are checked by the same pipeline as imports and the creator
+        return window.quizApp?.importer || new QuestionImporter();
+    }
+
+    getVersion(data) {
+        // Files from before versioning said '1.0' or nothing at all
+        const version = parseInt(data && data.version, 10);
+        return Number.isInteger(version) && version > 0 ? version : 1;
+    }
+
+    needsUpgrade(version) {
+        return version < this.currentVersion;
+    }
+
+    // ===== RUNNING =====
+
+    run(data, fromVersion = this.getVersion(data), { skip = [] } = {}) {
+        // Works on copies of the records; anything else in data (e.g. media) is passed along
+        const upgraded = { ...data };
+        this.stores.forEach(store => {
+            if (data[store] !== undefined) upgraded[store] = JSON.parse(JSON.stringify(data[store]));
+        });
+
+        const report = { from: fromVersion, to: this.currentVersion, applied: [], repaired: [], dropped: [] };
+
+        this.steps
+            .filter(step => step.version > fromVersion)
+            .forEach(step => {
+                step.migrate(upgraded);
+                report.applied.push(`v${step.version}: ${step.description}`);
+            });
+
+        this.validate(upgraded, report, skip);
+        upgraded.version = this.currentVersion;
+
+        return { data: upgraded, report };
+    }
+
+    summarize(report) {
+        const parts = [
+            [report.repaired.length, report.repaired.length === 1 ? 'registro corrigido' : 'registros corrigidos'],
+            [report.dropped.length, report.dropped.length === 1 ? 'registro descartado' : 'registros descartados']
+        ].filter(([count]) => count > 0);
+
+        return parts.length > 0
+            ? parts.map(([count, label]) => `${count} ${label}`).join(', ')
+            : 'nenhum registro precisou de ajuste';
+    }
+
+    // ===== STEPS =====
+
+    upgradeSessions(data) {
+        // v1 sessions had no id (stats matched them by timestamp) and only
+        // isCorrect/userAnswer per question
+        (Array.isArray(data.history) ? data.history : []).forEach(session => {
+            if (!this.isRecord(session)) return;
+
+            if (!session.id) session.id = this.generateId();
+            if (this.isRecord(session.summary) && session.summary.timedOut === undefined) {
+                session.summary.timedOut = 0;
+            }
+
+            (Array.isArray(session.questions) ? session.questions : []).forEach(question => {
+                if (!this.isRecord(question) || question.status) return;
+
+                question.status = question.isCorrect ? 'correct'
+                    : question.userAnswer === 'Não respondida' ? 'unanswered'
+                    : 'incorrect';
+            });
+        });
+    }
+
+    upgradeQuestions(data) {
+        // v2 questions with options but no type were multiple choice, the others are
+        // told apart by their fields; tags could be a comma list and difficulty missing
+        const importer = this.getImporter();
+
+        (Array.isArray(data.questions) ? data.questions : []).forEach(question => {
+            if (!this.isRecord(question)) return;
+
+            if (!question.type) {
+                question.type = Array.isArray(question.options) && question.options.length > 0
+                    ? (Array.isArray(question.correct) ? 'multiselect' : 'multiple')
+                    : importer.guessStructuredType(question);
+            }
+            if (!Array.isArray(question.tags)) {
+                question.tags = String(question.tags || '').split(',').map(tag => tag.trim()).filter(tag => tag);
+            }
+            if (!question.difficulty) {
+                question.difficulty = 'medium';
+            }
+        });
+    }
+
+    // ===== VALIDATION =====
+
+    validate(data, report, skip = []) {
+        const checks = {
+            questions: (record, fixes) => this.checkQuestion(record, fixes),
+            collections: (record, fixes) => this.checkCollection(record, fixes),
+            filters: record => record.id ? null : 'Sem identificador',
+            history: (record, fixes) => this.checkSession(record, fixes),
+            attempts: (record, fixes) => this.checkAttempt(record, fixes)
+        };
+
+        Object.entries(checks).forEach(([store, check]) => {
+            if (data[store] === undefined || skip.includes(store)) return;
+
+            if (!Array.isArray(data[store])) {
+                report.dropped.push({ store, id: null, label: this.labels[store], reason: 'Lista corrompida', record: data[store] });
+                data[store] = [];
+                return;
+            }
+            data[store] = this.checkRecords(store, data[store], check, report);
+        });
+
+        if (data.reviewSchedule !== undefined) {
+            data.reviewSchedule = this.checkReviewSchedule(data.reviewSchedule, report);
+        }
+
+        if (data.settings !== undefined && !this.isRecord(data.settings)) {
+            report.repaired.push({ store: 'settings', id: null, label: this.labels.settings, fields: ['valores padrão'] });
+            data.settings = {};
+        }
+    }
+
+    checkRecords(store, records, check, report) {
+        return records.filter((record, index) => {
+            if (!this.isRecord(record)) {
+                report.dropped.push({ store, id: null, label: `${this.labels[store]} ${index + 1}`, reason: 'Registro vazio ou corrompido', record });
+                return false;
+            }
+
+            const fixes = [];
+            const reason = check(record, fixes);
+
+            if (reason) {
+                report.dropped.push({ store, id: record.id || null, label: this.describe(store, record), reason, record });
+                return false;
+            }
+            if (fixes.length > 0) {
+                report.repaired.push({ store, id: record.id || null, label: this.describe(store, record), fields: fixes });
+            }
+            return true;
+        });
+    }
+
+    checkQuestion(question, fixes) {
+        // Invalid questions are dropped with the importer's reasons; what it had to
+        // normalize (an unknown type, a numeric string as answer...) counts as repaired
+        const importer = this.getImporter();
+        const { question: normalized } = importer.normalizeQuestion(question);
+        const problems = importer.validateQuestion(normalized);
+
+        if (problems.length > 0) return problems.join('; ');
+
+        Object.entries(this.questionFields).forEach(([field, label]) => {
+            if (question[field] !== undefined && JSON.stringify(question[field]) !== JSON.stringify(normalized[field])) {
+                fixes.push(label);
+            }
+        });
+        Object.assign(question, normalized);
+
+        return null;
+    }
+
+    checkCollection(collection, fixes) {
+        if (!collection.id) {
+            collection.id = this.generateId();
+            fixes.push('id');
+        }
+
+        if (typeof collection.name !== 'string' || !collection.name.trim()) {
+            collection.name = 'Coleção sem nome';
+            fixes.push('nome');
+        }
+
+        if (!this.isStringList(collection.questionIds)) {
+            collection.questionIds = Array.isArray(collection.questionIds)
+                ? collection.questionIds.filter(id => typeof id === 'string')
+                : [];
+            fixes.push('questões');
+        }
+
+        return null;
+    }
+
+    checkSession(session, fixes) {
+        if (!this.isDate(session.timestamp)) return 'Data inválida';
+
+        const summary = session.summary;
+        if (!this.isRecord(summary) || !Number.isFinite(summary.totalQuestions) || !Number.isFinite(summary.percentage)) {
+            return 'Sem resumo do resultado';
+        }
+
+        if (!session.id) {
+            session.id = this.generateId();
+            fixes.push('id');
+        }
+
+        if (!Array.isArray(session.questions)) {
+            session.questions = [];
+            fixes.push('respostas');
+        }
+
+        return null;
+    }
+
+    checkAttempt(attempt, fixes) {
+        if (!attempt.questionId) return 'Sem questão associada';
+        if (!this.isDate(attempt.timestamp)) return 'Data inválida';
+
+        if (!attempt.id) {
+            attempt.id = this.generateId();
+            fixes.push('id');
+        }
+
+        if (typeof attempt.correct !== 'boolean') {
+            attempt.correct = Boolean(attempt.correct);
+            fixes.push('acerto');
+        }
+
+        return null;
+    }
+
+    checkReviewSchedule(schedule, report) {
+        if (!this.isRecord(schedule)) {
+            report.repaired.push({ store: 'reviewSchedule', id: null, label: this.labels.reviewSchedule, fields: ['agenda vazia'] });
+            return {};
+        }
+
+        return Object.fromEntries(Object.entries(schedule).filter(([key, entry]) => {
+            if (this.isRecord(entry) && this.isDate(entry.due)) return true;
+
+            report.dropped.push({ store: 'reviewSchedule', id: key, label: `${this.labels.reviewSchedule} ${key}`, reason: 'Data de revisão inválida', record: entry });
+            return false;
+        }));
+    }
+
+    // ===== HELPERS =====
+
+    describe(store, record) {
+        const label = store === 'questions' ? record.text
+            : store === 'collections' ? record.name
+            : store === 'history' && this.isDate(record.timestamp) ? new Date(record.timestamp).toLocaleString('pt-BR')
+            : store === 'attempts' ? record.questionId
+            : record.id;
+
+        const text = String(label || record.id || '').trim();
+        return `${this.labels[store]}${text ? `: ${text.length > 60 ? text.slice(0, 57) + '...' : text}` : ''}`;
+    }
+
+    isRecord(value) {
+        return value !== null && typeof value === 'object' && !Array.isArray(value);
+    }
+
+    isStringList(value) {
+        return Array.isArray(value) && value.every(item => typeof item === 'string');
+    }
+
+    isDate(value) {
+        return typeof value === 'string' && !isNaN(Date.parse(value));
+    }
+
+    generateId() {
+        return Date.now().toString(36) + Math.random().toString(36).substr(2);
+    }
+}
@@ -0,0 +1,893 @@
+/**
+ * QTI Module
+ * Import and export of IMS QTI 2.1 assessment items as IMS content packages,
+ * with a validation report shown before anything is saved
+ */
+
+class QtiPackage {
+    constructor() {
+        this.storage = window.quizApp?.storage || new QuizStorage();
+        this.pendingReport = null;
+
+        this.namespaces = {
+            qti: 'http://www.imsglobal.org/xsd/imsqti_v2p1',
+            cp: 'http://www.imsglobal.org/xsd/imscp_v1p1',
+            lom: 'http://ltsc.ieee.org/xsd/LOM',
+            qtiMetadata: 'http://www.imsglobal.org/xsd/imsqti_metadata_v2p1',
+            xsi: 'http://www.w3.org/2001/XMLSchema-instance'
+        };
+
+        // LOM has five difficulty levels, we have three
+        this.difficultyToLOM = { easy: 'easy', medium: 'medium', hard: 'difficult' };
+        this.difficultyFromLOM = {
+            'very easy': 'easy',
+            'easy': 'easy',
+            'medium': 'medium',
+            'difficult': 'hard',
+            'very difficult': 'hard'
+        };
+
+        this.booleanLabels = [['verdadeiro', 'falso'], ['true', 'false'], ['v', 'f']];
+    }
+
+    // ===== EXPORT =====
+
+    buildPackage(questions) {
+        const zip = new ZipWriter();
+        const resources = [];
+        const skipped = [];
+        const usedIdentifiers = new Set();
+
+        questions.forEach((question, index) => {
+            if (!this.canExport(question)) {
+                skipped.push({ question, reason: 'Tipo de questão não suportado pelo QTI' });
+                return;
+            }
+
+            const identifier = this.getIdentifier(question, index, usedIdentifiers);
+            const itemXML = this.buildItemXML(question, identifier);
+            const href = `items/${identifier}.xml`;
+            zip.addFile(href, itemXML);
+            resources.push({ identifier, href, question });
+        });
+
+        zip.addFile('imsmanifest.xml', this.buildManifest(resources));
+
+        return { blob: zip.generate(), count: resources.length, skipped };
+    }
+
+    getIdentifier(question, index, usedIdentifiers) {
+        // QTI identifiers must be XML names, so ids like "txt-1a2b" need a prefix at most
+        let identifier = String(question.id || `item-${index + 1}`).replace(/[^A-Za-z0-9_.-]/g, '_');
+        if (!/^[A-Za-z_]/.test(identifier)) identifier = `I${identifier}`;
+
+        let unique = identifier;
+        for (let n = 2; usedIdentifiers.has(unique); n++) {
+            unique = `${identifier}_${n}`;
+        }
+        usedIdentifiers.add(unique);
+
+        return unique;
+    }
+
+    canExport(question) {
+        // Open questions export even without accepted answers, as free text
+        return (question.type || 'multiple') === 'open' || QuizBuilder.isPlayable(question);
+    }
+
+    buildItemXML(question, identifier) {
+        const type = question.type || 'multiple';
+        let declaration;
+        let body;
+        let processing;
+
+        if (['ordering', 'matching', 'cloze'].includes(type)) {
+            ({ declaration, body, processing } = this.buildStructuredXML(question));
+        } else if (type === 'open') {
+            const accepted = question.acceptedAnswers || [];
+
+            if (accepted.length > 0) {
+                declaration = `
+    <responseDeclaration identifier="RESPONSE" cardinality="single" baseType="string">
+        <correctResponse>
+            <value>${this.escapeXML(accepted[0])}</value>
+        </correctResponse>
+        <mapping defaultValue="0">
+${accepted.map(answer => `            <mapEntry mapKey="${this.escapeXML(answer)}" mappedValue="1" caseSensitive="false"/>`).join('\n')}
+        </mapping>
+    </responseDeclaration>`;
+                body = `
+        <p>${this.escapeXML(question.text)}</p>
+        <p><textEntryInteraction responseIdentifier="RESPONSE" expectedLength="30"/></p>`;
+                processing = `
+        <setOutcomeValue identifier="SCORE">
+            <mapResponse identifier="RESPONSE"/>
+        </setOutcomeValue>`;
+            } else {
+                declaration = `
+    <responseDeclaration identifier="RESPONSE" cardinality="single" baseType="string"/>`;
+                body = `
+        <extendedTextInteraction responseIdentifier="RESPONSE">
+            <prompt>${this.escapeXML(question.text)}</prompt>
+        </extendedTextInteraction>`;
+                processing = '';
+            }
+        } else if (type === 'multiselect') {
+            // Partial credit rules become a mapping: right picks add and wrong picks subtract
+            const share = Number((1 / question.correct.length).toFixed(5));
+            const mapping = question.scoring && question.scoring !== 'all' ? `
+        <mapping lowerBound="0" upperBound="1" defaultValue="0">
+${question.options.map((_, index) => `            <mapEntry mapKey="CHOICE_${index}" mappedValue="${question.correct.includes(index) ? share : -share}"/>`).join('\n')}
+        </mapping>` : '';
+
+            declaration = `
+    <responseDeclaration identifier="RESPONSE" cardinality="multiple" baseType="identifier">
+        <correctResponse>
+${question.correct.map(index => `            <value>CHOICE_${index}</value>`).join('\n')}
+        </correctResponse>${mapping}
+    </responseDeclaration>`;
+            body = `
+        <choiceInteraction responseIdentifier="RESPONSE" shuffle="false" maxChoices="0">
+            <prompt>${this.escapeXML(question.text)}</prompt>
+${question.options.map((option, index) => `            <simpleChoice identifier="CHOICE_${index}">${this.escapeXML(option)}</simpleChoice>`).join('\n')}
+        </choiceInteraction>`;
+            processing = mapping ? `
+        <setOutcomeValue identifier="SCORE">
+            <mapResponse identifier="RESPONSE"/>
+        </setOutcomeValue>` : this.getMatchProcessing();
+        } else {
+            declaration = `
+    <responseDeclaration identifier="RESPONSE" cardinality="single" baseType="identifier">
+        <correctResponse>
+            <value>CHOICE_${question.correct}</value>
+        </correctResponse>
+    </responseDeclaration>`;
+            body = `
+        <choiceInteraction responseIdentifier="RESPONSE" shuffle="false" maxChoices="1">
+            <prompt>${this.escapeXML(question.text)}</prompt>
+${question.options.map((option, index) => `            <simpleChoice identifier="CHOICE_${index}">${this.escapeXML(option)}</simpleChoice>`).join('\n')}
+        </choiceInteraction>`;
+            processing = this.getMatchProcessing();
+        }
+
+        // The explanation is always shown once the item has been answered
+        const feedback = question.explanation ? `
+        <setOutcomeValue identifier="FEEDBACK">
+            <baseValue baseType="identifier">EXPLANATION</baseValue>
+        </setOutcomeValue>` : '';
+
+        return `<?xml version="1.0" encoding="UTF-8"?>
+<assessmentItem xmlns="${this.namespaces.qti}" xmlns:xsi="${this.namespaces.xsi}"
+    xsi:schemaLocation="${this.namespaces.qti} http://www.imsglobal.org/xsd/qti/qtiv2p1/imsqti_v2p1.xsd"
+    identifier="${identifier}" title="${this.escapeXML(this.getTitle(question))}" adaptive="false" timeDependent="false">${declaration}
+    <outcomeDeclaration identifier="SCORE" cardinality="single" baseType="float">
+        <defaultValue>
+            <value>0</value>
+        </defaultValue>
+    </outcomeDeclaration>
+    <outcomeDeclaration identifier="FEEDBACK" cardinality="single" baseType="identifier"/>
+    <itemBody>${body}
+    </itemBody>
+    <responseProcessing>${processing}${feedback}
+    </responseProcessing>${question.explanation ? `
+    <modalFeedback outcomeIdentifier="FEEDBACK" identifier="EXPLANATION" showHide="show">${this.escapeXML(question.explanation)}</modalFeedback>` : ''}
+</assessmentItem>
+`;
+    }
+
+    buildStructuredXML(question) {
+        // Proportional credit gives each step, pair or blank its share of the point
+        const proportional = question.scoring === 'proportional';
+
+        if (question.type === 'ordering') {
+            const share = Number((1 / question.items.length).toFixed(5));
+
+            return {
+                declaration: `
+    <responseDeclaration identifier="RESPONSE" cardinality="ordered" baseType="identifier">
+        <correctResponse>
+${question.items.map((_, index) => `            <value>ITEM_${index}</value>`).join('\n')}
+        </correctResponse>
+    </responseDeclaration>`,
+                body: `
+        <orderInteraction responseIdentifier="RESPONSE" shuffle="true">
+            <prompt>${this.escapeXML(question.text)}</prompt>
+${question.items.map((item, index) => `            <simpleChoice identifier="ITEM_${index}">${this.escapeXML(item)}</simpleChoice>`).join('\n')}
+        </orderInteraction>`,
+                // Ordered responses can't have a mapping, so each position is checked on its own
+                processing: proportional ? question.items.map((_, index) => `
+        <responseCondition>
+            <responseIf>
+                <match>
+                    <index n="${index + 1}">
+                        <variable identifier="RESPONSE"/>
+                    </index>
+                    <baseValue baseType="identifier">ITEM_${index}</baseValue>
+                </match>
+                <setOutcomeValue identifier="SCORE">
+                    <sum>
+                        <variable identifier="SCORE"/>
+                        <baseValue baseType="float">${share}</baseValue>
+                    </sum>
+                </setOutcomeValue>
+            </responseIf>
+        </responseCondition>`).join('') : this.getMatchProcessing()
+            };
+        }
+
+        if (question.type === 'matching') {
+            const share = Number((1 / question.pairs.length).toFixed(5));
+            const mapping = proportional ? `
+        <mapping lowerBound="0" upperBound="1" defaultValue="0">
+${question.pairs.map((_, index) => `            <mapEntry mapKey="LEFT_${index} RIGHT_${index}" mappedValue="${share}"/>`).join('\n')}
+        </mapping>` : '';
+
+            return {
+                declaration: `
+    <responseDeclaration identifier="RESPONSE" cardinality="multiple" baseType="directedPair">
+        <correctResponse>
+${question.pairs.map((_, index) => `            <value>LEFT_${index} RIGHT_${index}</value>`).join('\n')}
+        </correctResponse>${mapping}
+    </responseDeclaration>`,
+                body: `
+        <matchInteraction responseIdentifier="RESPONSE" shuffle="true" maxAssociations="${question.pairs.length}">
+            <prompt>${this.escapeXML(question.text)}</prompt>
+            <simpleMatchSet>
+${question.pairs.map((pair, index) => `                <simpleAssociableChoice identifier="LEFT_${index}" matchMax="1">${this.escapeXML(pair.left)}</simpleAssociableChoice>`).join('\n')}
+            </simpleMatchSet>
+            <simpleMatchSet>
+${question.pairs.map((pair, index) => `                <simpleAssociableChoice identifier="RIGHT_${index}" matchMax="1">${this.escapeXML(pair.right)}</simpleAssociableChoice>`).join('\n')}
+            </simpleMatchSet>
+        </matchInteraction>`,
+                processing: mapping ? `
+        <setOutcomeValue identifier="SCORE">
+            <mapResponse identifier="RESPONSE"/>
+        </setOutcomeValue>` : this.getMatchProcessing()
+            };
+        }
+
+        // Cloze: every [[answer|alternative]] becomes a text entry of its own, mapped to 1 when right
+        const blanks = window.quizApp.answers.getBlanks(question.text);
+        const caseSensitive = question.answerMatching === 'exact';
+        const parts = String(question.text).split(/\[\[[^\]]+\]\]/);
+        const responses = indent => blanks.map((_, index) => `
+${indent}<mapResponse identifier="RESPONSE_${index + 1}"/>`).join('');
+
+        return {
+            declaration: blanks.map((accepted, index) => `
+    <responseDeclaration identifier="RESPONSE_${index + 1}" cardinality="single" baseType="string">
+        <correctResponse>
+            <value>${this.escapeXML(accepted[0])}</value>
+        </correctResponse>
+        <mapping defaultValue="0" upperBound="1">
+${accepted.map(answer => `            <mapEntry mapKey="${this.escapeXML(answer)}" mappedValue="1" caseSensitive="${caseSensitive}"/>`).join('\n')}
+        </mapping>
+    </responseDeclaration>`).join(''),
+            body: `
+        <p>${parts.map((part, index) => this.escapeXML(part) +
+                (index < blanks.length ? `<textEntryInteraction responseIdentifier="RESPONSE_${index + 1}" expectedLength="15"/>` : '')).join('')}</p>`,
+            processing: proportional ? `
+        <setOutcomeValue identifier="SCORE">
+            <divide>
+                <sum>${responses(' '.repeat(20))}
+                </sum>
+                <baseValue baseType="float">${blanks.length}</baseValue>
+            </divide>
+        </setOutcomeValue>` : `
+        <responseCondition>
+            <responseIf>
+                <equal toleranceMode="exact">
+                    <sum>${responses(' '.repeat(24))}
+                    </sum>
+                    <baseValue baseType="float">${blanks.length}</baseValue>
+                </equal>
+                <setOutcomeValue identifier="SCORE">
+                    <baseValue baseType="float">1</baseValue>
+                </setOutcomeValue>
+            </responseIf>
+            <responseElse>
+                <setOutcomeValue identifier="SCORE">
+                    <baseValue baseType="float">0</baseValue>
+                </setOutcomeValue>
+            </responseElse>
+        </responseCondition>`
+        };
+    }
+
+    buildManifest(resources) {
+        const items = resources.map(({ identifier, href, question }) => `
+        <resource identifier="${identifier}" type="imsqti_item_xmlv2p1" href="${href}">
+            <metadata>
+                <imsmd:lom>
+                    <imsmd:general>
+                        <imsmd:title>
+                            <imsmd:string>${this.escapeXML(this.getTitle(question))}</imsmd:string>
+                        </imsmd:title>
+${(question.tags || []).map(tag => `                        <imsmd:keyword>
+                            <imsmd:string>${this.escapeXML(tag)}</imsmd:string>
+                        </imsmd:keyword>`).join('\n')}
+                    </imsmd:general>
+                    <imsmd:educational>
+                        <imsmd:difficulty>
+                            <imsmd:source>LOMv1.0</imsmd:source>
+                            <imsmd:value>${this.difficultyToLOM[question.difficulty] || 'medium'}</imsmd:value>
+                        </imsmd:difficulty>
+                    </imsmd:educational>${question.category ? `
+                    <imsmd:classification>
+                        <imsmd:purpose>
+                            <imsmd:source>LOMv1.0</imsmd:source>
+                            <imsmd:value>discipline</imsmd:value>
+                        </imsmd:purpose>
+                        <imsmd:taxonPath>
+                            <imsmd:taxon>
+                                <imsmd:entry>
+                                    <imsmd:string>${this.escapeXML(question.category)}</imsmd:string>
+                                </imsmd:entry>
+                            </imsmd:taxon>
+                        </imsmd:taxonPath>
+                    </imsmd:classification>` : ''}
+                </imsmd:lom>
+                <imsqti:qtiMetadata>
+                    <imsqti:interactionType>${this.getInteractionType(question)}</imsqti:interactionType>
+                </imsqti:qtiMetadata>
+            </metadata>
+            <file href="${href}"/>
+        </resource>`).join('');
+
+        return `<?xml version="1.0" encoding="UTF-8"?>
+<manifest xmlns="${this.namespaces.cp}" xmlns:imsmd="${this.namespaces.lom}"
+    xmlns:imsqti="${this.namespaces.qtiMetadata}" xmlns:xsi="${this.namespaces.xsi}"
+    identifier="MANIFEST-${Date.now()}">
+    <metadata>
+        <schema>QTIv2.1 Package</schema>
+        <schemaversion>1.0.0</schemaversion>
+    </metadata>
+    <organizations/>
+    <resources>${items}
+    </resources>
+</manifest>
+`;
+    }
+
+    getMatchProcessing() {
+        return `
+        <responseCondition>
+            <responseIf>
+                <match>
+                    <variable identifier="RESPONSE"/>
+                    <correct identifier="RESPONSE"/>
+                </match>
+                <setOutcomeValue identifier="SCORE">
+                    <baseValue baseType="float">1</baseValue>
+                </setOutcomeValue>
+            </responseIf>
+            <responseElse>
+                <setOutcomeValue identifier="SCORE">
+                    <baseValue baseType="float">0</baseValue>
+                </setOutcomeValue>
+            </responseElse>
+        </responseCondition>`;
+    }
+
+    getInteractionType(question) {
+        if (question.type === 'ordering') return 'orderInteraction';
+        if (question.type === 'matching') return 'matchInteraction';
+        if (question.type === 'cloze') return 'textEntryInteraction';
+        if (question.type !== 'open') return 'choiceInteraction';
+        return (question.acceptedAnswers || []).length > 0 ? 'textEntryInteraction' : 'extendedTextInteraction';
+    }
+
+    getTitle(question) {
+        // Titles show up before the item is answered, so blanks keep their answers hidden
+        const stem = question.type === 'cloze' ? window.quizApp.answers.maskBlanks(question.text) : question.text;
+        const text = stem.replace(/\s+/g, ' ').trim();
+        return text.length > 60 ? `${text.substring(0, 57)}...` : text;
+    }
+
+    // ===== IMPORT =====
+
+    async readFile(file) {
+        if (/\.xml$/i.test(file.name)) {
+            return {
+                items: [this.parseItem(await file.text(), file.name, {})],
+                errors: []
+            };
+        }
+
+        let zip;
+        try {
+            zip = await ZipReader.open(file);
+        } catch (error) {
+            return { items: [], errors: [error.message] };
+        }
+
+        return this.readPackage(zip);
+    }
+
+    async readPackage(zip) {
+        const report = { items: [], errors: [] };
+        let resources;
+
+        if (zip.has('imsmanifest.xml')) {
+            try {
+                resources = this.parseManifest(await zip.readText('imsmanifest.xml'));
+            } catch (error) {
+                report.errors.push(`imsmanifest.xml: ${error.message}`);
+                return report;
+            }
+        } else {
+            // Loose items without a manifest still import, just without metadata
+            report.errors.push('Pacote sem imsmanifest.xml; metadados ignorados');
+            resources = zip.getNames()
+                .filter(name => name.toLowerCase().endsWith('.xml'))
+                .map(href => ({ href, metadata: {} }));
+        }
+
+        for (const resource of resources) {
+            if (!zip.has(resource.href)) {
+                report.items.push({
+                    file: resource.href,
+                    question: null,
+                    errors: ['Arquivo listado no manifesto não existe no pacote'],
+                    warnings: []
+                });
+                continue;
+            }
+
+            try {
+                report.items.push(this.parseItem(await zip.readText(resource.href), resource.href, resource.metadata));
+            } catch (error) {
+                report.items.push({ file: resource.href, question: null, errors: [error.message], warnings: [] });
+            }
+        }
+
+        if (report.items.length === 0 && report.errors.length === 0) {
+            report.errors.push('Nenhum item QTI encontrado no pacote');
+        }
+
+        return report;
+    }
+
+    parseXML(text) {
+        const doc = new DOMParser().parseFromString(text, 'application/xml');
+        if (doc.getElementsByTagName('parsererror').length > 0) {
+            throw new Error('XML malformado');
+        }
+        return doc;
+    }
+
+    parseManifest(text) {
+        const doc = this.parseXML(text);
+
+        return this.getElements(doc, 'resource')
+            .filter(resource => (resource.getAttribute('type') || '').startsWith('imsqti_item'))
+            .map(resource => ({
+                href: resource.getAttribute('href') || this.getElements(resource, 'file')[0]?.getAttribute('href'),
+                metadata: this.parseMetadata(resource)
+            }))
+            .filter(resource => resource.href);
+    }
+
+    parseMetadata(resource) {
+        const lom = this.getElements(resource, 'lom')[0];
+        if (!lom) return {};
+
+        const taxon = this.getElements(lom, 'taxon')[0];
+        const difficulty = this.getElements(lom, 'difficulty')[0];
+
+        return {
+            tags: this.getElements(lom, 'keyword').map(keyword => this.getText(keyword)).filter(tag => tag),
+            category: taxon ? this.getText(this.getElements(taxon, 'entry')[0]) : '',
+            difficulty: difficulty ? this.getText(this.getElements(difficulty, 'value')[0]).toLowerCase() : ''
+        };
+    }
+
+    parseItem(text, file, metadata) {
+        const result = { file, question: null, errors: [], warnings: [] };
+        let doc;
+
+        try {
+            doc = this.parseXML(text);
+        } catch (error) {
+            result.errors.push(error.message);
+            return result;
+        }
+
+        const item = doc.documentElement;
+        if (item.localName !== 'assessmentItem') {
+            result.errors.push(`Elemento raiz <${item.localName}> não é um assessmentItem`);
+            return result;
+        }
+
+        const itemBody = this.getElements(item, 'itemBody')[0];
+        const interactions = itemBody
+            ? [...itemBody.getElementsByTagNameNS('*', '*')].filter(el => el.localName.endsWith('Interaction'))
+            : [];
+
+        if (interactions.length === 0) {
+            result.errors.push('Item sem interação');
+            return result;
+        }
+
+        // Text entries inside a sentence (or more than one) are the blanks of a cloze item
+        const isCloze = interactions.every(el => el.localName === 'textEntryInteraction') &&
+            (interactions.length > 1 || this.getText(interactions[0].parentNode) !== '');
+        if (interactions.length > 1 && !isCloze) {
+            result.errors.push('Itens com mais de uma interação não são suportados');
+            return result;
+        }
+
+        const interaction = interactions[0];
+        const { declaration, correctValues } = this.getResponse(item, interaction);
+
+        const question = {
+            text: this.getStem(itemBody, interaction),
+            explanation: this.getElements(item, 'modalFeedback').map(el => this.getText(el)).filter(t => t).join('\n'),
+            ...this.applyMetadata(metadata, result.warnings)
+        };
+
+        switch (isCloze ? 'cloze' : interaction.localName) {
+            case 'choiceInteraction':
+                Object.assign(question, this.parseChoice(interaction, declaration, correctValues, result.errors));
+                break;
+            case 'orderInteraction':
+                Object.assign(question, this.parseOrder(item, interaction, correctValues, result.errors));
+                break;
+            case 'matchInteraction':
+                Object.assign(question, this.parseMatch(interaction, declaration, correctValues, result.errors));
+                break;
+            case 'cloze':
+                Object.assign(question, this.parseCloze(item, itemBody, interactions, result.errors));
+                break;
+            case 'textEntryInteraction': {
+                const accepted = this.getAcceptedValues(declaration, correctValues);
+
+                if (accepted.length === 0) {
+                    result.warnings.push('Sem resposta correta; importada como resposta aberta sem gabarito');
+                }
+                Object.assign(question, { type: 'open', options: [], correct: 0, acceptedAnswers: accepted });
+                break;
+            }
+            case 'extendedTextInteraction':
+                Object.assign(question, { type: 'open', options: [], correct: 0, acceptedAnswers: [] });
+                break;
+            default:
+                result.errors.push(`Interação <${interaction.localName}> não é suportada`);
+        }
+
+        if (result.errors.length > 0) {
+            return result;
+        }
+
+        // Then the same checks as every other import
+        const importer = window.quizApp.importer;
+        const { question: normalized, adjustments } = importer.normalizeQuestion(question);
+        result.errors.push(...importer.validateQuestion(normalized));
+        result.warnings.push(...adjustments);
+
+        if (normalized.text && normalized.text.length < 10) {
+            result.warnings.push('Enunciado com menos de 10 caracteres');
+        }
+
+        if (result.errors.length === 0) {
+            result.question = normalized;
+            result.identifier = item.getAttribute('identifier') || '';
+        }
+
+        return result;
+    }
+
+    getResponse(item, interaction) {
+        const declaration = this.getElements(item, 'responseDeclaration')
+            .find(el => el.getAttribute('identifier') === interaction.getAttribute('responseIdentifier'));
+        const correctValues = declaration
+            ? this.getElements(declaration, 'correctResponse').flatMap(el => this.getElements(el, 'value')).map(el => this.getText(el))
+            : [];
+
+        return { declaration, correctValues };
+    }
+
+    getAcceptedValues(declaration, correctValues) {
+        // The correct response plus every mapped answer that scores
+        const mapped = declaration
+            ? this.getElements(declaration, 'mapEntry')
+                .filter(entry => parseFloat(entry.getAttribute('mappedValue')) > 0)
+                .map(entry => entry.getAttribute('mapKey'))
+            : [];
+
+        return [...new Set([...correctValues, ...mapped].filter(answer => answer))];
+    }
+
+    parseOrder(item, interaction, correctValues, errors) {
+        const choices = this.getElements(interaction, 'simpleChoice');
+        const texts = new Map(choices.map(choice => [choice.getAttribute('identifier'), this.getText(choice)]));
+
+        if (choices.length < 2) {
+            errors.push('São necessários pelo menos 2 itens para ordenar');
+            return {};
+        }
+        if (correctValues.length !== choices.length || correctValues.some(value => !texts.has(value))) {
+            errors.push('Ordem correta ausente ou não corresponde aos itens');
+            return {};
+        }
+
+        // Credit per position is written as one check on each index of the response
+        const proportional = this.getElements(this.getElements(item, 'responseProcessing')[0], 'index').length > 0;
+        return {
+            type: 'ordering',
+            items: correctValues.map(value => texts.get(value)),
+            scoring: proportional ? 'proportional' : 'all'
+        };
+    }
+
+    parseMatch(interaction, declaration, correctValues, errors) {
+        const [sources, targets] = this.getElements(interaction, 'simpleMatchSet')
+            .map(set => new Map(this.getElements(set, 'simpleAssociableChoice')
+                .map(choice => [choice.getAttribute('identifier'), this.getText(choice)])));
+
+        if (!sources || !targets) {
+            errors.push('Associação sem as duas listas');
+            return {};
+        }
+
+        const pairs = correctValues.map(value => value.split(/\s+/));
+        const lefts = pairs.map(([left]) => left);
+        if (pairs.length < 2 || pairs.some(([left, right]) => !sources.has(left) || !targets.has(right)) ||
+            new Set(lefts).size !== lefts.length) {
+            errors.push('Pares corretos ausentes ou não correspondem às listas');
+            return {};
+        }
+
+        return {
+            type: 'matching',
+            pairs: pairs.map(([left, right]) => ({ left: sources.get(left), right: targets.get(right) })),
+            scoring: this.getElements(declaration, 'mapping').length > 0 ? 'proportional' : 'all'
+        };
+    }
+
+    parseCloze(item, itemBody, interactions, errors) {
+        // Each text entry is put back in the stem as [[answer|alternative]]
+        const clone = itemBody.cloneNode(true);
+        const entries = [...clone.getElementsByTagNameNS('*', 'textEntryInteraction')];
+
+        entries.forEach((entry, index) => {
+            const { declaration, correctValues } = this.getResponse(item, interactions[index]);
+            const accepted = this.getAcceptedValues(declaration, correctValues);
+            if (accepted.length === 0) {
+                errors.push(`Lacuna ${index + 1} sem resposta correta`);
+            }
+            entry.replaceWith(clone.ownerDocument.createTextNode(`[[${accepted.join('|')}]]`));
+        });
+
+        const exact = interactions.some(entry => this.getElements(this.getResponse(item, entry).declaration, 'mapEntry')
+            .some(mapEntry => mapEntry.getAttribute('caseSensitive') === 'true'));
+        const proportional = this.getElements(this.getElements(item, 'responseProcessing')[0], 'divide').length > 0;
+
+        return {
+            type: 'cloze',
+            text: this.getText(clone),
+            answerMatching: exact ? 'exact' : 'normalized',
+            scoring: proportional ? 'proportional' : 'all'
+        };
+    }
+
+    parseChoice(interaction, declaration, correctValues, errors) {
+        const choices = this.getElements(interaction, 'simpleChoice');
+        const maxChoices = parseInt(interaction.getAttribute('maxChoices') || '1', 10);
+        const isMultiple = declaration?.getAttribute('cardinality') === 'multiple' || maxChoices !== 1 || correctValues.length > 1;
+
+        if (choices.length < 2) {
+            errors.push('São necessárias pelo menos 2 alternativas');
+            return {};
+        }
+
+        const options = choices.map(choice => this.getText(choice));
+
+        if (isMultiple) {
+            const identifiers = choices.map(choice => choice.getAttribute('identifier'));
+            const indexes = correctValues.map(value => identifiers.indexOf(value));
+            if (indexes.length === 0 || indexes.includes(-1)) {
+                errors.push('Respostas corretas ausentes ou não correspondem às alternativas');
+                return {};
+            }
+
+            // A score mapping means partial credit with deductions for wrong picks
+            const hasMapping = this.getElements(declaration, 'mapping').length > 0;
+            return {
+                type: 'multiselect',
+                options,
+                correct: [...new Set(indexes)].sort((a, b) => a - b),
+                scoring: hasMapping ? 'penalty' : 'all'
+            };
+        }
+
+        const correct = choices.findIndex(choice => choice.getAttribute('identifier') === correctValues[0]);
+        if (correct === -1) {
+            errors.push('Resposta correta ausente ou não corresponde a nenhuma alternativa');
+            return {};
+        }
+
+        const lower = options.map(option => option.toLowerCase());
+        const isBoolean = options.length === 2 &&
+            this.booleanLabels.some(labels => labels.every((label, index) => lower[index] === label));
+
+        return isBoolean
+            ? { type: 'boolean', options: ['Verdadeiro', 'Falso'], correct }
+            : { type: 'multiple', options, correct };
+    }
+
+    getStem(itemBody, interaction) {
+        const clone = itemBody.cloneNode(true);
+
+        // Keep the prompt but drop the answers themselves from the stem
+        const parts = [];
+        const prompt = this.getElements(interaction, 'prompt')[0];
+        [...clone.getElementsByTagNameNS('*', '*')]
+            .filter(el => el.localName.endsWith('Interaction'))
+            .forEach(el => el.remove());
+
+        const bodyText = this.getText(clone);
+        if (bodyText) parts.push(bodyText);
+        if (prompt) parts.push(this.getText(prompt));
+
+        return parts.join('\n').trim();
+    }
+
+    applyMetadata(metadata, warnings) {
+        const fields = {
+            category: metadata.category || 'Importada',
+            difficulty: 'medium',
+            tags: metadata.tags || []
+        };
+
+        if (metadata.difficulty) {
+            if (this.difficultyFromLOM[metadata.difficulty]) {
+                fields.difficulty = this.difficultyFromLOM[metadata.difficulty];
+            } else {
+                warnings.push(`Dificuldade "${metadata.difficulty}" desconhecida; usando médio`);
+            }
+        }
+
+        return fields;
+    }
+
+    // ===== IMPORT UI =====
+
+    openImport() {
+        const input = document.getElementById('qtiFile');
+        if (!input.dataset.bound) {
+            input.addEventListener('change', () => {
+                if (input.files[0]) this.importFile(input.files[0]);
+                input.value = '';
+            });
+            input.dataset.bound = 'true';
+        }
+        input.click();
+    }
+
+    async importFile(file) {
+        const report = await this.readFile(file);
+
+        // Ids already in the bank are dropped so the import never overwrites
+        report.items.forEach(item => {
+            if (item.question && item.identifier && this.storage.getQuestionById(item.identifier)) {
+                item.warnings.push('Já existe uma questão com este identificador; será importada como nova');
+            }
+        });
+
+        const valid = report.items.filter(item => item.question);
+        window.quizApp.dedupe.findMatches(valid.map(item => item.question)).forEach((match, index) => {
+            if (match) valid[index].warnings.push(window.quizApp.dedupe.describeMatch(match));
+        });
+
+        this.pendingReport = report;
+        this.showReport(file.name, report);
+    }
+
+    showReport(fileName, report) {
+        let modal = document.getElementById('qtiModal');
+        if (!modal) {
+            modal = document.createElement('div');
+            modal.id = 'qtiModal';
+            modal.className = 'modal';
+            document.body.appendChild(modal);
+
+            modal.addEventListener('click', (e) => {
+                if (e.target === modal || e.target.closest('.modal-close, [data-modal="cancel"]')) {
+                    this.closeReport();
+                } else if (e.target.closest('[data-modal="confirm"]')) {
+                    this.commitImport();
+                }
+            });
+        }
+
+        const valid = report.items.filter(item => item.question);
+        const invalid = report.items.length - valid.length;
+
+        modal.innerHTML = `
+            <div class="modal-content qti-report">
+                <div class="modal-header">
+                    <h3><i class="fas fa-file-import"></i> Importar pacote QTI</h3>
+                    <button class="modal-close">&times;</button>
+                </div>
+                <div class="modal-body">
+                    <p class="text-muted mb-2">${window.quizApp.escapeHTML(fileName)} · ${valid.length} válidas, ${invalid} com erro</p>
+                    ${report.errors.map(error => `<p class="qti-report-error">${window.quizApp.escapeHTML(error)}</p>`).join('')}
+                    <ul class="qti-report-list">
+                        ${report.items.map(item => this.getReportItemHTML(item)).join('')}
+                    </ul>
+                    <div class="form-actions">
+                        <button type="button" class="btn btn-primary" data-modal="confirm" ${valid.length === 0 ? 'disabled' : ''}>
+                            <i class="fas fa-check"></i> Importar ${valid.length} ${valid.length === 1 ? 'questão' : 'questões'}
+                        </button>
+                        <button type="button" class="btn btn-outline" data-modal="cancel">
+                            <i class="fas fa-times"></i> Cancelar
+                        </button>
+                    </div>
+                </div>
+            </div>
+        `;
+        modal.classList.add('active');
+    }
+
+    getReportItemHTML(item) {
+        const status = item.question ? (item.warnings.length > 0 ? 'warning' : 'valid') : 'invalid';
+        const icon = { valid: 'fa-check', warning: 'fa-exclamation-triangle', invalid: 'fa-times' }[status];
+        const messages = [...item.errors, ...item.warnings];
+
+        return `
+            <li class="qti-report-item ${status}">
+                <i class="fas ${icon}" aria-hidden="true"></i>
+                <div>
+                    <strong>${window.quizApp.escapeHTML(item.question ? this.getTitle(item.question) : item.file)}</strong>
+                    ${item.question ? `<span class="text-muted"> · ${window.quizApp.escapeHTML(item.file)}</span>` : ''}
+                    ${messages.length > 0 ? `<ul>${messages.map(message => `<li>${window.quizApp.escapeHTML(message)}</li>`).join('')}</ul>` : ''}
+                </div>
+            </li>
+        `;
+    }
+
+    async commitImport() {
+        const report = this.pendingReport;
+        if (!report) return;
+
+        const now = new Date().toISOString();
+        const questions = report.items
+            .filter(item => item.question)
+            .map(item => ({ ...item.question, id: this.storage.generateId(), createdAt: now, importedAt: now }));
+        this.storage.addQuestions(questions);
+
+        this.closeReport();
+
+        if (!(await this.storage.flush(this.storage.storageKeys.questions))) {
+            window.quizApp.showToast('A importação não pôde ser salva no armazenamento', 'error');
+            return;
+        }
+        this.storage.logImport({ version: 'QTI 2.1' }, questions.length);
+        window.quizApp.showToast(`${questions.length} questões importadas do pacote QTI!`);
+    }
+
+    closeReport() {
+        this.pendingReport = null;
+        document.getElementById('qtiModal')?.classList.remove('active');
+    }
+
+    // ===== HELPERS =====
+
+    getElements(parent, localName) {
+        return parent ? [...parent.getElementsByTagNameNS('*', localName)] : [];
+    }
+
+    getText(element) {
+        return element ? element.textContent.replace(/\s+/g, ' ').trim() : '';
+    }
+
+    escapeXML(text) {
+        return String(text == null ? '' : text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '');
+    }
+}
@@ -14,12 +14,16 @@ class QuizModule {
             }
         ];
         
-        this.questions = [...this.defaultQuestions];
+        // The set that "Reiniciar" returns to and where it came from
+        this.sessionQuestions = [...this.defaultQuestions];
+        this.source = { type: 'default', label: 'Questões padrão' };
+        this.questions = [...this.sessionQuestions];
         this.currentIndex = 0;
         this.results = [];
         this.timerId = null;
         this.totalTime = 0;
         this.questionStartTime = 0;
+        this.questionElapsed = 0;
         this.isActive = false;
         this.isPaused = false;
         
@@ -29,7 +33,7 @@ class QuizModule {
     init() {
         this.bindElements();
         this.bindEvents();
-        this.resetQuiz();
+        this.resetQuiz(false);
         
         // Handle orientation change for mobile
         this.handleOrientationChange();
@@ -46,12 +50,16 @@ class QuizModule {
             playBtn: document.getElementById('playBtn'),
             pauseBtn: document.getElementById('pauseBtn'),
             resetBtn: document.getElementById('resetBtn'),
+            reviewBtn: document.getElementById('reviewBtn'),
             skipBtn: document.getElementById('skipBtn'),
             importToggle: document.getElementById('importToggle'),
             importSection: document.getElementById('importSection'),
             importBox: document.getElementById('importBox'),
             importConfirm: document.getElementById('importConfirm'),
             importCancel: document.getElementById('importCancel'),
+            importFormat: document.getElementById('importFormat'),
+            importToBank: document.getElementById('importToBank'),
+            importReport: document.getElementById('importReport'),
             exportResults: document.getElementById('exportResults'),
             resultsSummary: document.getElementById('resultsSummary'),
             feedbackOverlay: document.getElementById('feedbackOverlay'),
@@ -65,6 +73,7 @@ class QuizModule {
         this.elements.playBtn.addEventListener('click', () => this.startQuiz());
         this.elements.pauseBtn.addEventListener('click', () => this.pauseQuiz());
         this.elements.resetBtn.addEventListener('click', () => this.resetQuiz());
+        this.elements.reviewBtn.addEventListener('click', () => this.startReview());
         this.elements.skipBtn.addEventListener('click', () => this.skipQuestion());
 
         // Import functionality
@@ -78,10 +87,17 @@ class QuizModule {
         // Feedback overlay
         this.elements.feedbackClose.addEventListener('click', () => this.closeFeedback());
         this.elements.feedbackOverlay.addEventListener('click', (e) => {
-            if (e.target === this.elements.feedbackOverlay) {
+            // A self-graded answer must be graded before the overlay goes away
+            if (e.target === this.elements.feedbackOverlay && !this.isAwaitingGrade()) {
                 this.closeFeedback();
             }
         });
+        this.elements.feedbackMessage.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-grade]');
+            if (button) {
+                this.gradeOpenAnswer(button.dataset.grade === 'correct');
+            }
+        });
 
         // Keyboard shortcuts for quiz
         document.addEventListener('keydown', (e) => {
@@ -92,6 +108,9 @@ class QuizModule {
     }
 
     handleKeyboardShortcuts(e) {
+        // Typing an answer or using the audio controls must not pick options or skip
+        if (e.target.closest && e.target.closest('input, textarea, select, audio')) return;
+
         // Number keys for selecting options (1-9)
         const num = parseInt(e.key);
         if (num >= 1 && num <= 9) {
@@ -102,14 +121,14 @@ class QuizModule {
             }
         }
 
-        // Space bar to skip
-        if (e.code === 'Space') {
+        // Space bar to skip, unless it is pressing a button inside the question
+        if (e.code === 'Space' && !(this.elements.quiz.contains(e.target) && e.target.closest('button'))) {
             e.preventDefault();
             this.skipQuestion();
         }
 
         // Enter to close feedback
-        if (e.key === 'Enter' && this.elements.feedbackOverlay.style.display === 'flex') {
+        if (e.key === 'Enter' && this.elements.feedbackOverlay.style.display === 'flex' && !this.isAwaitingGrade()) {
             this.closeFeedback();
         }
     }
@@ -125,6 +144,7 @@ class QuizModule {
         this.currentIndex = 0;
         this.results = Array(this.questions.length).fill(null);
         this.totalTime = 0;
+        this.questionElapsed = 0;
 
         // Randomize questions if setting is enabled
         if (window.quizApp.settings.randomize) {
@@ -139,11 +159,26 @@ class QuizModule {
         window.quizApp.showToast('Quiz iniciado!');
     }
 
+    startReview() {
+        const questions = window.quizApp.review.getDueQuestions();
+
+        if (questions.length === 0) {
+            window.quizApp.showToast('Nenhuma questão para revisar hoje!');
+            return;
+        }
+
+        this.loadSession(questions, { type: 'review', label: 'Revisão do dia' });
+        this.startQuiz();
+    }
+
     pauseQuiz() {
         if (this.isActive) {
             this.isPaused = !this.isPaused;
             
             if (this.isPaused) {
+                // Remember how much of the current question was used so the
+                // countdown resumes where it stopped instead of restarting
+                this.questionElapsed = Date.now() - this.questionStartTime;
                 this.stopTimer();
                 this.elements.pauseBtn.innerHTML = '<i class="fas fa-play"></i> Retomar';
                 this.elements.status.textContent = 'Quiz pausado - Clique em "Retomar" para continuar';
@@ -157,15 +192,16 @@ class QuizModule {
         }
     }
 
-    resetQuiz() {
+    resetQuiz(notify = true) {
         this.stopTimer();
         this.isActive = false;
         this.isPaused = false;
         this.currentIndex = 0;
         this.results = [];
         this.totalTime = 0;
+        this.questionElapsed = 0;
         
-        this.questions = [...this.defaultQuestions];
+        this.questions = [...this.sessionQuestions];
         this.updateControlButtons();
         this.updateProgress();
         this.clearQuizContent();
@@ -174,12 +210,37 @@ class QuizModule {
         
         this.elements.status.textContent = 'Clique em "Iniciar Quiz" para começar';
         this.elements.timer.textContent = '00:00';
+        this.updateTimerWarning(false);
         
-        window.quizApp.showToast('Quiz reiniciado');
+        // Not on startup, where it would only hide the toasts that matter (e.g. a data migration report)
+        if (notify) {
+            window.quizApp.showToast('Quiz reiniciado');
+        }
+    }
+
+    loadSession(questions, source) {
+        this.stopTimer();
+        this.isActive = false;
+        this.isPaused = false;
+        this.totalTime = 0;
+        this.questionElapsed = 0;
+
+        this.sessionQuestions = [...questions];
+        this.source = source || { type: 'default', label: 'Questões padrão' };
+        this.questions = [...this.sessionQuestions];
+
+        this.resetQuizState();
+        this.updateControlButtons();
+        this.closeFeedback();
+
+        this.elements.status.textContent = `${this.source.label} - Clique em "Iniciar Quiz" para começar`;
+        this.elements.timer.textContent = '00:00';
+        this.updateTimerWarning(false);
     }
 
     skipQuestion() {
-        if (!this.isActive || this.isPaused) return;
+        // Ignore skips while the feedback for an answered question is showing
+        if (!this.isActive || this.isPaused || this.timerId || this.results[this.currentIndex]) return;
         
         this.results[this.currentIndex] = 'skipped';
         this.nextQuestion();
@@ -200,19 +261,53 @@ class QuizModule {
         }
 
         const question = this.questions[this.currentIndex];
-        this.questionStartTime = Date.now();
+        this.questionStartTime = Date.now() - this.questionElapsed;
+        this.questionElapsed = 0;
+        this.updateTimerDisplay();
         
         // Update progress
         this.updateProgress();
         
         // Clear previous content
         this.elements.quiz.innerHTML = '';
+        this.elements.status.textContent = '';
+
+        this.renderQuestionContent(question);
+        window.quizApp.media.hydrate(this.elements.quiz);
+    }
+
+    renderQuestionContent(question) {
+        // Cloze stems carry their own inputs, so they render the question themselves
+        if (question.type === 'cloze') {
+            this.renderCloze(question);
+            return;
+        }
         
         // Create question element
         const questionEl = document.createElement('div');
         questionEl.className = 'question';
-        questionEl.textContent = this.formatText(question.text);
+        questionEl.innerHTML = window.quizApp.richText.render(question.text) + this.renderMedia(question, 'question');
         this.elements.quiz.appendChild(questionEl);
+
+        if (question.type === 'open') {
+            this.renderOpenAnswer();
+            return;
+        }
+
+        if (question.type === 'multiselect') {
+            this.renderMultiSelect(question);
+            return;
+        }
+
+        if (question.type === 'ordering') {
+            this.renderOrdering(question);
+            return;
+        }
+
+        if (question.type === 'matching') {
+            this.renderMatching(question);
+            return;
+        }
         
         // Create options
         const optionsEl = document.createElement('div');
@@ -221,7 +316,7 @@ class QuizModule {
         question.options.forEach((option, index) => {
             const button = document.createElement('button');
             button.type = 'button';
-            button.textContent = this.formatText(option);
+            button.innerHTML = window.quizApp.richText.renderInline(option);
             button.addEventListener('click', () => this.selectAnswer(index));
             button.addEventListener('keydown', (e) => {
                 if (e.key === 'Enter' || e.key === ' ') {
@@ -229,14 +324,11 @@ class QuizModule {
                     this.selectAnswer(index);
                 }
             });
-            optionsEl.appendChild(button);
+            optionsEl.appendChild(this.attachOptionMedia(question, index, button));
         });
         
         this.elements.quiz.appendChild(optionsEl);
         
-        // Clear status
-        this.elements.status.textContent = '';
-        
         // Focus on first option for accessibility
         setTimeout(() => {
             const firstOption = optionsEl.querySelector('button');
@@ -244,6 +336,362 @@ class QuizModule {
         }, 100);
     }
 
+    renderOpenAnswer() {
+        const form = document.createElement('form');
+        form.className = 'open-answer';
+        form.innerHTML = `
+            <input type="text" id="openAnswerInput" autocomplete="off" placeholder="Digite sua resposta..." aria-label="Sua resposta">
+            <button type="submit" class="btn btn-primary">
+                <i class="fas fa-check"></i> Responder
+            </button>
+        `;
+
+        const input = form.querySelector('input');
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.submitOpenAnswer(input.value);
+        });
+        // Keep Enter from also reaching the document shortcut that closes the feedback
+        input.addEventListener('keydown', (e) => e.stopPropagation());
+
+        this.elements.quiz.appendChild(form);
+        setTimeout(() => input.focus(), 100);
+    }
+
+    renderMultiSelect(question) {
+        const hint = document.createElement('p');
+        hint.className = 'multi-select-hint text-muted';
+        hint.textContent = 'Marque todas as alternativas corretas e confirme.';
+        this.elements.quiz.appendChild(hint);
+
+        const optionsEl = document.createElement('div');
+        optionsEl.className = 'options multi-select';
+        optionsEl.setAttribute('role', 'group');
+        optionsEl.setAttribute('aria-label', 'Alternativas');
+
+        question.options.forEach((option, index) => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.innerHTML = window.quizApp.richText.renderInline(option);
+            button.setAttribute('aria-pressed', 'false');
+            // Number keys click the button, so they toggle too
+            button.addEventListener('click', () => {
+                const pressed = button.getAttribute('aria-pressed') !== 'true';
+                button.setAttribute('aria-pressed', pressed);
+                button.classList.toggle('selected', pressed);
+            });
+            optionsEl.appendChild(this.attachOptionMedia(question, index, button));
+        });
+
+        const confirmBtn = document.createElement('button');
+        confirmBtn.type = 'button';
+        confirmBtn.className = 'btn btn-primary multi-select-confirm';
+        confirmBtn.innerHTML = '<i class="fas fa-check"></i> Confirmar';
+        confirmBtn.addEventListener('click', () => {
+            const selected = [...optionsEl.querySelectorAll('button')]
+                .map((button, index) => button.getAttribute('aria-pressed') === 'true' ? index : -1)
+                .filter(index => index !== -1);
+            this.confirmSelection(selected);
+        });
+
+        this.elements.quiz.appendChild(optionsEl);
+        this.elements.quiz.appendChild(confirmBtn);
+
+        setTimeout(() => {
+            const firstOption = optionsEl.querySelector('button');
+            if (firstOption) firstOption.focus();
+        }, 100);
+    }
+
+    renderOrdering(question) {
+        const hint = document.createElement('p');
+        hint.className = 'multi-select-hint text-muted';
+        hint.textContent = 'Use os botões para colocar os itens na ordem correta e confirme.';
+        this.elements.quiz.appendChild(hint);
+
+        const list = document.createElement('ol');
+        list.className = 'ordering-list';
+        list.setAttribute('aria-label', 'Itens para ordenar');
+
+        // Start from a shuffled order that isn't already the answer
+        const identity = question.items.map((_, index) => index);
+        let order = this.shuffleArray(identity);
+        while (order.length > 1 && order.every((itemIndex, position) => itemIndex === position)) {
+            order = this.shuffleArray(identity);
+        }
+
+        const move = (position, offset, focusSelector) => {
+            const target = position + offset;
+            [order[position], order[target]] = [order[target], order[position]];
+            renderItems();
+            // Keep focus on the moved item so it can be pushed further with the keyboard
+            const button = list.children[target].querySelector(focusSelector) || list.children[target].querySelector('button:not([disabled])');
+            if (button) button.focus();
+        };
+
+        const renderItems = () => {
+            list.innerHTML = '';
+            order.forEach((itemIndex, position) => {
+                const text = question.items[itemIndex];
+                const item = document.createElement('li');
+                item.innerHTML = `
+                    <span class="ordering-text">${window.quizApp.richText.renderInline(text)}</span>
+                    <button type="button" class="btn btn-outline" data-move="up" aria-label="Mover &quot;${window.quizApp.escapeHTML(text)}&quot; para cima" ${position === 0 ? 'disabled' : ''}>
+                        <i class="fas fa-arrow-up"></i>
+                    </button>
+                    <button type="button" class="btn btn-outline" data-move="down" aria-label="Mover &quot;${window.quizApp.escapeHTML(text)}&quot; para baixo" ${position === order.length - 1 ? 'disabled' : ''}>
+                        <i class="fas fa-arrow-down"></i>
+                    </button>
+                `;
+                item.querySelector('[data-move="up"]').addEventListener('click', () => move(position, -1, '[data-move="up"]:not([disabled])'));
+                item.querySelector('[data-move="down"]').addEventListener('click', () => move(position, 1, '[data-move="down"]:not([disabled])'));
+                list.appendChild(item);
+            });
+        };
+        renderItems();
+
+        const confirmBtn = document.createElement('button');
+        confirmBtn.type = 'button';
+        confirmBtn.className = 'btn btn-primary multi-select-confirm';
+        confirmBtn.innerHTML = '<i class="fas fa-check"></i> Confirmar ordem';
+        confirmBtn.addEventListener('click', () => this.confirmOrdering([...order]));
+
+        this.elements.quiz.appendChild(list);
+        this.elements.quiz.appendChild(confirmBtn);
+
+        setTimeout(() => {
+            const firstButton = list.querySelector('button:not([disabled])');
+            if (firstButton) firstButton.focus();
+        }, 100);
+    }
+
+    renderMatching(question) {
+        const hint = document.createElement('p');
+        hint.className = 'multi-select-hint text-muted';
+        hint.textContent = 'Associe cada item da esquerda à opção correspondente e confirme.';
+        this.elements.quiz.appendChild(hint);
+
+        const rights = this.shuffleArray(question.pairs.map((pair, index) => ({ text: pair.right, index })));
+        const list = document.createElement('div');
+        list.className = 'matching-list';
+
+        question.pairs.forEach((pair, index) => {
+            const row = document.createElement('div');
+            row.className = 'matching-row';
+            row.innerHTML = `
+                <label for="matchingPick-${index}">${window.quizApp.richText.renderInline(pair.left)}</label>
+                <select id="matchingPick-${index}">
+                    <option value="">Escolha...</option>
+                    ${rights.map(right => `<option value="${right.index}">${window.quizApp.escapeHTML(right.text)}</option>`).join('')}
+                </select>
+            `;
+            list.appendChild(row);
+        });
+
+        const confirmBtn = document.createElement('button');
+        confirmBtn.type = 'button';
+        confirmBtn.className = 'btn btn-primary multi-select-confirm';
+        confirmBtn.innerHTML = '<i class="fas fa-check"></i> Confirmar';
+        confirmBtn.addEventListener('click', () => {
+            const picks = [...list.querySelectorAll('select')].map(select => select.value === '' ? -1 : parseInt(select.value, 10));
+            this.confirmMatching(picks);
+        });
+
+        this.elements.quiz.appendChild(list);
+        this.elements.quiz.appendChild(confirmBtn);
+
+        setTimeout(() => {
+            const firstSelect = list.querySelector('select');
+            if (firstSelect) firstSelect.focus();
+        }, 100);
+    }
+
+    renderCloze(question) {
+        const form = document.createElement('form');
+        form.className = 'cloze';
+
+        const questionEl = document.createElement('div');
+        questionEl.className = 'question';
+        form.appendChild(questionEl);
+
+        // Blanks sit inline, so the text around them only gets inline formatting
+        const richText = window.quizApp.richText;
+        const segments = question.text.split(/\[\[[^\]]+\]\]/);
+        questionEl.innerHTML = segments.map((segment, index) =>
+            segment.split('\n').map(line => richText.renderInline(line)).join('<br>') +
+            (index < segments.length - 1 ? `<input type="text" class="cloze-blank" autocomplete="off" aria-label="Lacuna ${index + 1}">` : '')
+        ).join('') + this.renderMedia(question, 'question');
+
+        // Keep Enter from also reaching the document shortcut that closes the feedback
+        questionEl.querySelectorAll('.cloze-blank').forEach(input => {
+            input.addEventListener('keydown', (e) => e.stopPropagation());
+        });
+
+        const submit = document.createElement('button');
+        submit.type = 'submit';
+        submit.className = 'btn btn-primary multi-select-confirm';
+        submit.innerHTML = '<i class="fas fa-check"></i> Responder';
+        form.appendChild(submit);
+
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.submitCloze([...form.querySelectorAll('.cloze-blank')].map(input => input.value.trim()));
+        });
+
+        this.elements.quiz.appendChild(form);
+
+        setTimeout(() => {
+            const firstBlank = form.querySelector('.cloze-blank');
+            if (firstBlank) firstBlank.focus();
+        }, 100);
+    }
+
+    confirmSelection(selected) {
+        if (!this.isActive || this.isPaused || this.timerId || this.results[this.currentIndex]) return;
+
+        if (selected.length === 0) {
+            window.quizApp.showToast('Marque pelo menos uma alternativa', 'error');
+            return;
+        }
+
+        const question = this.questions[this.currentIndex];
+        this.recordScoredAnswer(question, selected, window.quizApp.answers.scoreSelection(question, selected));
+    }
+
+    confirmOrdering(order) {
+        if (!this.isActive || this.isPaused || this.timerId || this.results[this.currentIndex]) return;
+
+        const question = this.questions[this.currentIndex];
+        this.recordScoredAnswer(question, order, window.quizApp.answers.scoreOrdering(question, order),
+            order.map(index => question.items[index]).join(' → '));
+    }
+
+    confirmMatching(picks) {
+        if (!this.isActive || this.isPaused || this.timerId || this.results[this.currentIndex]) return;
+
+        if (picks.includes(-1)) {
+            window.quizApp.showToast('Associe todos os itens antes de confirmar', 'error');
+            return;
+        }
+
+        const question = this.questions[this.currentIndex];
+        this.recordScoredAnswer(question, picks, window.quizApp.answers.scoreMatching(question, picks),
+            question.pairs.map((pair, index) => `${pair.left} → ${question.pairs[picks[index]].right}`).join('; '));
+    }
+
+    submitCloze(answers) {
+        if (!this.isActive || this.isPaused || this.timerId || this.results[this.currentIndex]) return;
+
+        if (answers.every(answer => !answer)) {
+            window.quizApp.showToast('Preencha as lacunas ou pule a questão', 'error');
+            return;
+        }
+
+        const question = this.questions[this.currentIndex];
+        this.recordScoredAnswer(question, answers, window.quizApp.answers.scoreCloze(question, answers),
+            answers.map(answer => answer || '—').join(' | '));
+    }
+
+    recordScoredAnswer(question, selected, score, answer) {
+        // Partial credit answers count as wrong for review but keep their score
+        this.results[this.currentIndex] = {
+            selected,
+            ...(answer !== undefined && { answer }),
+            correct: score === 1,
+            score,
+            timeSpent: Date.now() - this.questionStartTime
+        };
+        window.quizApp.review.recordAnswer(question, this.results[this.currentIndex]);
+
+        const label = question.type === 'multiselect' ? 'Respostas corretas' : 'Resposta esperada';
+        this.showFeedback(score === 1, question.explanation, `
+            ${score > 0 && score < 1 ? `Crédito parcial: <strong>${Math.round(score * 100)}%</strong><br>` : ''}
+            ${answer !== undefined ? `Sua resposta: <strong>${window.quizApp.escapeHTML(answer)}</strong><br>` : ''}
+            ${label}: <strong>${window.quizApp.escapeHTML(this.getCorrectAnswer(question))}</strong><br>
+        `);
+        this.scheduleNextQuestion();
+    }
+
+    submitOpenAnswer(value) {
+        if (!this.isActive || this.isPaused || this.timerId || this.results[this.currentIndex]) return;
+
+        const answer = value.trim();
+        if (!answer) {
+            window.quizApp.showToast('Digite uma resposta ou pule a questão', 'error');
+            return;
+        }
+
+        const question = this.questions[this.currentIndex];
+        const { correct, matched } = window.quizApp.answers.check(question, answer);
+
+        // Recording the answer right away also stops the countdown
+        this.results[this.currentIndex] = {
+            selected: null,
+            answer,
+            correct: Boolean(correct),
+            timeSpent: Date.now() - this.questionStartTime,
+            ...(matched !== null && { matched })
+        };
+
+        if (correct === null) {
+            this.results[this.currentIndex].pendingGrade = true;
+            this.showSelfGrade(question, answer);
+            return;
+        }
+
+        this.finishOpenAnswer(question);
+    }
+
+    gradeOpenAnswer(correct) {
+        const result = this.results[this.currentIndex];
+        if (!result || !result.pendingGrade) return;
+
+        delete result.pendingGrade;
+        result.correct = correct;
+        result.selfGraded = true;
+
+        this.finishOpenAnswer(this.questions[this.currentIndex]);
+    }
+
+    finishOpenAnswer(question) {
+        const result = this.results[this.currentIndex];
+        window.quizApp.review.recordAnswer(question, result);
+
+        const expected = window.quizApp.answers.describeExpected(question);
+        this.showFeedback(result.correct, question.explanation, `
+            Sua resposta: <strong>${window.quizApp.escapeHTML(result.answer)}</strong><br>
+            ${expected ? `Resposta esperada: <strong>${window.quizApp.escapeHTML(expected)}</strong><br>` : ''}
+        `);
+        this.scheduleNextQuestion();
+    }
+
+    showSelfGrade(question, answer) {
+        const expected = window.quizApp.answers.describeExpected(question);
+
+        this.elements.feedbackMessage.innerHTML = `
+            Compare sua resposta e marque o resultado.<br><br>
+            Sua resposta: <strong>${window.quizApp.escapeHTML(answer)}</strong><br>
+            ${expected ? `Resposta esperada: <strong>${window.quizApp.escapeHTML(expected)}</strong><br>` : ''}
+            <br>${window.quizApp.richText.render(question.explanation)}
+            <div class="self-grade">
+                <button type="button" class="btn btn-success" data-grade="correct">
+                    <i class="fas fa-check"></i> Acertei
+                </button>
+                <button type="button" class="btn btn-error" data-grade="incorrect">
+                    <i class="fas fa-times"></i> Errei
+                </button>
+            </div>
+        `;
+        this.elements.feedbackMessage.className = 'feedback-self-grade';
+        this.elements.feedbackClose.style.display = 'none';
+        this.elements.feedbackOverlay.style.display = 'flex';
+        this.elements.feedbackMessage.querySelector('[data-grade]').focus();
+    }
+
+    isAwaitingGrade() {
+        return Boolean(this.results[this.currentIndex]?.pendingGrade);
+    }
+
     selectAnswer(selectedIndex) {
         if (!this.isActive || this.isPaused || this.timerId) return;
         
@@ -257,10 +705,14 @@ class QuizModule {
             correct: isCorrect,
             timeSpent: timeSpent
         };
+        window.quizApp.review.recordAnswer(question, this.results[this.currentIndex]);
         
         // Show feedback
         this.showFeedback(isCorrect, question.explanation);
-        
+        this.scheduleNextQuestion();
+    }
+
+    scheduleNextQuestion() {
         // Auto-advance or wait for user
         const delay = window.quizApp.settings.autoNext ? 3000 : 5000;
         this.timerId = setTimeout(() => {
@@ -269,7 +721,22 @@ class QuizModule {
         }, delay);
     }
 
+    expireQuestion() {
+        const question = this.questions[this.currentIndex];
+
+        this.results[this.currentIndex] = {
+            timedOut: true,
+            correct: false,
+            timeSpent: this.getQuestionTimeLimit()
+        };
+        window.quizApp.review.recordAnswer(question, this.results[this.currentIndex]);
+
+        this.showTimeoutFeedback(question.explanation);
+        this.scheduleNextQuestion();
+    }
+
     nextQuestion() {
+        this.questionElapsed = 0;
         this.currentIndex++;
         if (this.currentIndex >= this.questions.length) {
             this.finishQuiz();
@@ -278,18 +745,54 @@ class QuizModule {
         }
     }
 
-    showFeedback(isCorrect, explanation) {
+    showFeedback(isCorrect, explanation, detail = '') {
+        const explanationHTML = window.quizApp.richText.render(explanation) + this.renderMedia(this.questions[this.currentIndex], 'explanation');
         const message = isCorrect 
-            ? `✓ Correto!<br><br>${this.formatText(explanation)}`
-            : `✗ Incorreto!<br><br>${this.formatText(explanation)}`;
+            ? `✓ Correto!<br><br>${detail}${explanationHTML}`
+            : `✗ Incorreto!<br><br>${detail}${explanationHTML}`;
             
+        this.elements.feedbackClose.style.display = '';
         this.elements.feedbackMessage.innerHTML = message;
         this.elements.feedbackMessage.className = isCorrect ? 'feedback-correct' : 'feedback-incorrect';
         this.elements.feedbackOverlay.style.display = 'flex';
+        window.quizApp.media.hydrate(this.elements.feedbackMessage);
+    }
+
+    showTimeoutFeedback(explanation) {
+        const explanationHTML = window.quizApp.richText.render(explanation) + this.renderMedia(this.questions[this.currentIndex], 'explanation');
+
+        this.elements.feedbackClose.style.display = '';
+        this.elements.feedbackMessage.innerHTML = `⏱ Tempo esgotado!<br><br>${explanationHTML}`;
+        this.elements.feedbackMessage.className = 'feedback-timeout';
+        this.elements.feedbackOverlay.style.display = 'flex';
+        window.quizApp.media.hydrate(this.elements.feedbackMessage);
+    }
+
+    // ===== MEDIA =====
+
+    renderMedia(question, target, option) {
+        return window.quizApp.media.renderHTML(window.quizApp.media.getRefs(question, target, option));
+    }
+
+    attachOptionMedia(question, index, button) {
+        // Images fit inside the option button; audio controls can't live in a button
+        const refs = window.quizApp.media.getRefs(question, 'option', index);
+        const images = refs.filter(ref => ref.kind === 'image');
+        const audio = refs.filter(ref => ref.kind === 'audio');
+
+        button.innerHTML += window.quizApp.media.renderHTML(images);
+        if (audio.length === 0) return button;
+
+        const wrapper = document.createElement('div');
+        wrapper.className = 'option-with-audio';
+        wrapper.appendChild(button);
+        wrapper.insertAdjacentHTML('beforeend', window.quizApp.media.renderHTML(audio));
+        return wrapper;
     }
 
     closeFeedback() {
         this.elements.feedbackOverlay.style.display = 'none';
+        this.elements.feedbackClose.style.display = '';
     }
 
     finishQuiz() {
@@ -307,10 +810,12 @@ class QuizModule {
     showResults() {
         const correctCount = this.results.filter(r => r && r.correct).length;
         const incorrectCount = this.results.filter(r => r && !r.correct && r.selected !== undefined).length;
+        const points = this.getPoints();
         const skippedCount = this.results.filter(r => r === 'skipped').length;
+        const timedOutCount = this.results.filter(r => r && r.timedOut).length;
         const totalTime = this.formatTime(this.totalTime);
         
-        const percentage = Math.round((correctCount / this.questions.length) * 100);
+        const percentage = Math.round((points / this.questions.length) * 100);
         
         let resultsHTML = `
             <div class="results-header">
@@ -328,6 +833,12 @@ class QuizModule {
                         <span class="stat-number text-muted">${skippedCount}</span>
                         <span class="stat-label">Puladas</span>
                     </div>
+                    ${timedOutCount > 0 ? `
+                    <div class="stat-item">
+                        <span class="stat-number text-warning">${timedOutCount}</span>
+                        <span class="stat-label">Tempo Esgotado</span>
+                    </div>
+                    ` : ''}
                     <div class="stat-item">
                         <span class="stat-number">${percentage}%</span>
                         <span class="stat-label">Aproveitamento</span>
@@ -355,11 +866,15 @@ class QuizModule {
                 } else {
                     statusClass = 'result-incorrect';
                     statusIcon = '✗';
-                    statusText = 'Incorreta';
+                    statusText = result.score > 0 ? `Parcial (${Math.round(result.score * 100)}%)` : 'Incorreta';
                 }
             } else if (result === 'skipped') {
                 statusText = 'Pulada';
                 statusIcon = '→';
+            } else if (result && result.timedOut) {
+                statusClass = 'result-timeout';
+                statusText = 'Tempo esgotado';
+                statusIcon = '⏱';
             }
             
             const timeSpent = result && result.timeSpent ? 
@@ -372,7 +887,12 @@ class QuizModule {
                         <span class="result-number">${index + 1}.</span>
                     </div>
                     <div class="result-content">
-                        <div class="result-question">${this.formatText(question.text)}</div>
+                        <div class="result-question">${window.quizApp.richText.render(question.type === 'cloze' ? window.quizApp.answers.maskBlanks(question.text) : question.text)}</div>
+                        ${result && result.answer !== undefined ? `
+                        <div class="result-answer">
+                            Sua resposta: ${window.quizApp.escapeHTML(result.answer)}${result.selfGraded ? ' <span class="text-muted">(autocorrigida)</span>' : ''}
+                        </div>
+                        ` : ''}
                         <div class="result-meta">
                             <span class="result-status-text">${statusText}</span>
                             <span class="result-time">Tempo: ${timeSpent}</span>
@@ -408,6 +928,7 @@ class QuizModule {
         const showSkip = this.isActive && !this.isPaused;
         
         this.elements.playBtn.style.display = showPlay ? 'inline-flex' : 'none';
+        this.elements.reviewBtn.style.display = showPlay ? 'inline-flex' : 'none';
         this.elements.pauseBtn.style.display = showPause ? 'inline-flex' : 'none';
         this.elements.skipBtn.style.display = showSkip ? 'inline-flex' : 'none';
         
@@ -420,10 +941,12 @@ class QuizModule {
     // Timer functionality
     startTimer() {
         this.timerStartTime = Date.now() - this.totalTime;
+        // Tick faster than once a second so a question expires on time
         this.timerInterval = setInterval(() => {
             this.totalTime = Date.now() - this.timerStartTime;
             this.updateTimerDisplay();
-        }, 1000);
+            this.checkQuestionTimeout();
+        }, 250);
     }
 
     stopTimer() {
@@ -434,8 +957,45 @@ class QuizModule {
     }
 
     updateTimerDisplay() {
-        if (window.quizApp.settings.showTimer) {
+        if (!window.quizApp.settings.showTimer) return;
+
+        if (this.isCountdownActive()) {
+            const remaining = this.getRemainingQuestionTime();
+            // Round up so the display only reaches 00:00 when time is over
+            this.elements.timer.textContent = this.formatTime(Math.ceil(remaining / 1000) * 1000);
+            this.updateTimerWarning(remaining <= 5000);
+        } else {
             this.elements.timer.textContent = this.formatTime(this.totalTime);
+            this.updateTimerWarning(false);
+        }
+    }
+
+    updateTimerWarning(active) {
+        this.elements.timer.parentElement.classList.toggle('timer-warning', active);
+    }
+
+    // Per-question countdown
+    isCountdownActive() {
+        return Boolean(window.quizApp?.settings.countdown) &&
+            this.isActive &&
+            this.currentIndex < this.questions.length &&
+            !this.results[this.currentIndex];
+    }
+
+    getQuestionTimeLimit() {
+        return (window.quizApp.settings.questionTime || 30) * 1000;
+    }
+
+    getRemainingQuestionTime() {
+        const elapsed = Date.now() - this.questionStartTime;
+        return Math.max(0, this.getQuestionTimeLimit() - elapsed);
+    }
+
+    checkQuestionTimeout() {
+        if (this.isPaused || !this.isCountdownActive()) return;
+
+        if (this.getRemainingQuestionTime() <= 0) {
+            this.expireQuestion();
         }
     }
 
@@ -447,14 +1007,12 @@ class QuizModule {
         return `${minutes.toString().padStart(2, '0')}:${remainingSeconds.toString().padStart(2, '0')}`;
     }
 
-    formatText(text) {
-        // Smart text wrapping for better readability
-        return text.replace(/(.{1,80})(\s|$)/g, '$1\n').trim();
-    }
-
     // Import functionality
     toggleImport() {
         const isVisible = this.elements.importSection.style.display === 'block';
+        if (!isVisible) {
+            window.quizApp.builder.hide();
+        }
         this.elements.importSection.style.display = isVisible ? 'none' : 'block';
     }
 
@@ -462,98 +1020,105 @@ class QuizModule {
         this.elements.importSection.style.display = 'none';
     }
 
-    confirmImport() {
+    async confirmImport() {
         const content = this.elements.importBox.value.trim();
         if (!content) {
             window.quizApp.showToast('Por favor, cole o conteúdo a ser importado', 'error');
             return;
         }
 
-        try {
-            // Try to parse as JSON first
-            const parsed = JSON.parse(content);
-            if (Array.isArray(parsed) && this.validateQuestions(parsed)) {
-                this.questions = parsed;
-                this.resetQuizState();
-                window.quizApp.showToast('Questões importadas com sucesso!');
-                this.hideImportSection();
-                this.elements.importBox.value = '';
-                return;
-            }
-        } catch (e) {
-            // If JSON parsing fails, try text format
-            const questions = this.parseTextFormat(content);
-            if (questions.length > 0) {
-                this.questions = questions;
-                this.resetQuizState();
-                window.quizApp.showToast(`${questions.length} questões importadas!`);
-                this.hideImportSection();
-                this.elements.importBox.value = '';
+        const format = this.elements.importFormat.value === 'auto'
+            ? window.quizApp.formats.detectFormat(content)
+            : this.elements.importFormat.value;
+
+        // Spreadsheets go through the column-mapping step before anything is saved
+        if (format === 'csv') {
+            this.showImportReport([]);
+            window.quizApp.spreadsheet.open(content);
+            return;
+        }
+
+        const { questions, errors, warnings } = window.quizApp.importer.parse(content, format);
+        warnings.push(...window.quizApp.dedupe.flagImport(questions));
+        this.showImportReport(errors, warnings);
+
+        const playable = questions.filter(question => QuizBuilder.isPlayable(question));
+        if (questions.length === 0) {
+            window.quizApp.showToast('Formato inválido. Verifique o conteúdo.', 'error');
+            return;
+        }
+
+        const saveToBank = this.elements.importToBank.checked;
+        if (saveToBank) {
+            // The ids go on the parsed questions too, so the session plays the bank copies
+            const storage = window.quizApp.storage;
+            const now = new Date().toISOString();
+            questions.forEach(question => {
+                question.id = storage.generateId();
+                question.createdAt = now;
+            });
+            storage.addQuestions(questions);
+
+            if (!(await storage.flush(storage.storageKeys.questions))) {
+                window.quizApp.showToast('As questões não puderam ser salvas no armazenamento', 'error');
                 return;
             }
         }
 
-        window.quizApp.showToast('Formato inválido. Verifique o conteúdo.', 'error');
-    }
+        if (playable.length === 0) {
+            window.quizApp.showToast(saveToBank
+                ? `${questions.length} questões salvas no banco, mas nenhuma pode ser jogada`
+                : 'Nenhuma das questões importadas pode ser jogada', saveToBank ? 'info' : 'warning');
+            return;
+        }
 
-    cancelImport() {
-        this.hideImportSection();
-        this.elements.importBox.value = '';
-    }
+        this.loadSession(playable.map(question => QuizBuilder.toQuizQuestion(question)), { type: 'import', label: 'Questões importadas' });
+        const saved = saveToBank ? ` (${questions.length} salvas no banco)` : '';
+        window.quizApp.showToast(errors.length > 0
+            ? `${playable.length} questões importadas${saved}, ${errors.length} com erro`
+            : `${playable.length} questões importadas${saved}!`);
 
-    validateQuestions(questions) {
-        return questions.every(q => 
-            q.text && 
-            Array.isArray(q.options) && 
-            q.options.length >= 2 &&
-            typeof q.correct === 'number' &&
-            q.correct >= 0 &&
-            q.correct < q.options.length
-        );
+        // Keep the box open when there is a report to read
+        if (errors.length === 0 && warnings.length === 0) {
+            this.hideImportSection();
+            this.elements.importBox.value = '';
+        }
     }
 
-    parseTextFormat(content) {
-        // Simple text format parser
-        // Expected format: Question\nA) Option 1\nB) Option 2\nAnswer: B\nExplanation: ...\n\n
-        const questions = [];
-        const blocks = content.split(/\n\s*\n/);
-        
-        blocks.forEach(block => {
-            const lines = block.split('\n').map(line => line.trim()).filter(line => line);
-            if (lines.length < 3) return;
-            
-            const questionText = lines[0];
-            const options = [];
-            let answerLine = '';
-            let explanation = '';
-            
-            for (let i = 1; i < lines.length; i++) {
-                const line = lines[i];
-                if (line.match(/^[A-Z]\)/)) {
-                    options.push(line);
-                } else if (line.toLowerCase().startsWith('answer:') || line.toLowerCase().startsWith('resposta:')) {
-                    answerLine = line;
-                } else if (line.toLowerCase().startsWith('explanation:') || line.toLowerCase().startsWith('explicação:')) {
-                    explanation = line.substring(line.indexOf(':') + 1).trim();
-                }
-            }
-            
-            if (options.length >= 2 && answerLine) {
-                const answerLetter = answerLine.match(/[A-Z]/)?.[0];
-                const correctIndex = answerLetter ? answerLetter.charCodeAt(0) - 65 : -1;
-                
-                if (correctIndex >= 0 && correctIndex < options.length) {
-                    questions.push({
-                        text: questionText,
-                        options: options,
-                        correct: correctIndex,
-                        explanation: explanation || 'Sem explicação fornecida.'
-                    });
-                }
-            }
+    showImportReport(errors, warnings = []) {
+        const report = this.elements.importReport;
+        const importer = window.quizApp.importer;
+
+        if (errors.length === 0 && warnings.length === 0) {
+            report.style.display = 'none';
+            report.innerHTML = '';
+            return;
+        }
+
+        const sections = [
+            [errors, errors.length === 1 ? 'bloco ignorado' : 'blocos ignorados'],
+            [warnings, warnings.length === 1 ? 'aviso' : 'avisos']
+        ].filter(([issues]) => issues.length > 0);
+
+        report.innerHTML = sections.map(([issues, label]) =>
+            `<strong>${issues.length} ${label}:</strong><ul></ul>`
+        ).join('');
+
+        report.querySelectorAll('ul').forEach((list, index) => {
+            importer.formatIssues(sections[index][0]).forEach(message => {
+                const item = document.createElement('li');
+                item.textContent = message;
+                list.appendChild(item);
+            });
         });
-        
-        return questions;
+        report.style.display = 'block';
+    }
+
+    cancelImport() {
+        this.hideImportSection();
+        this.elements.importBox.value = '';
+        this.showImportReport([]);
+        window.quizApp.spreadsheet.close();
     }
 
     resetQuizState() {
@@ -587,26 +1152,45 @@ class QuizModule {
     generateExportData() {
         const correctCount = this.results.filter(r => r && r.correct).length;
         const totalQuestions = this.questions.length;
-        const percentage = Math.round((correctCount / totalQuestions) * 100);
+        const points = this.getPoints();
+        const percentage = Math.round((points / totalQuestions) * 100);
+        const settings = window.quizApp.settings;
         
         return {
             timestamp: new Date().toISOString(),
             summary: {
                 totalQuestions,
                 correctAnswers: correctCount,
+                points,
                 incorrectAnswers: this.results.filter(r => r && !r.correct && r.selected !== undefined).length,
                 skipped: this.results.filter(r => r === 'skipped').length,
+                timedOut: this.results.filter(r => r && r.timedOut).length,
+                questionTimeLimit: settings.countdown ? settings.questionTime : null,
                 percentage,
                 totalTime: this.totalTime
             },
+            source: this.source,
             questions: this.questions.map((question, index) => ({
+                questionId: window.quizApp.review.getQuestionKey(question),
+                category: question.category || null,
+                difficulty: question.difficulty || null,
                 question: question.text,
+                type: question.type || 'multiple',
                 options: question.options,
-                correctAnswer: question.options[question.correct],
-                userAnswer: this.results[index] && this.results[index].selected !== undefined 
-                    ? question.options[this.results[index].selected] 
-                    : 'Não respondida',
+                correctAnswer: this.getCorrectAnswer(question),
+                ...(question.type === 'multiselect' && { correctIndexes: question.correct }),
+                ...(question.type === 'open' && { acceptedAnswers: question.acceptedAnswers || [] }),
+                ...(question.type === 'ordering' && { items: question.items }),
+                ...(question.type === 'matching' && { pairs: question.pairs }),
+                ...(question.scoring && { scoring: question.scoring }),
+                userAnswer: this.getUserAnswer(question, this.results[index]),
+                selected: this.results[index] && this.results[index].selected !== undefined
+                    ? this.results[index].selected
+                    : null,
                 isCorrect: this.results[index] ? this.results[index].correct : false,
+                ...(this.results[index] && this.results[index].score !== undefined && { score: this.results[index].score }),
+                ...(this.results[index] && this.results[index].selfGraded && { selfGraded: true }),
+                status: this.getResultStatus(this.results[index]),
                 timeSpent: this.results[index] && this.results[index].timeSpent 
                     ? this.results[index].timeSpent 
                     : null,
@@ -627,6 +1211,41 @@ class QuizModule {
         URL.revokeObjectURL(url);
     }
 
+    getCorrectAnswer(question) {
+        if (['open', 'ordering', 'matching', 'cloze'].includes(question.type)) {
+            return window.quizApp.answers.describeExpected(question);
+        }
+        if (question.type === 'multiselect') return question.correct.map(index => question.options[index]).join(' | ');
+        return question.options[question.correct];
+    }
+
+    getUserAnswer(question, result) {
+        if (result && result.answer !== undefined) return result.answer;
+        if (result && Array.isArray(result.selected)) {
+            return result.selected.map(index => question.options[index]).join(' | ');
+        }
+        return result && result.selected !== undefined && result.selected !== null
+            ? question.options[result.selected]
+            : 'Não respondida';
+    }
+
+    getPoints() {
+        // Scored answers (multi-select, ordering, matching, blanks) may earn partial credit
+        return this.results.reduce((total, result) => {
+            if (!result || typeof result !== 'object') return total;
+            return total + (result.score !== undefined ? result.score : (result.correct ? 1 : 0));
+        }, 0);
+    }
+
+    getResultStatus(result) {
+        if (result === 'skipped') return 'skipped';
+        if (result && result.timedOut) return 'timeout';
+        if (result && result.selected !== undefined) {
+            return result.correct ? 'correct' : 'incorrect';
+        }
+        return 'unanswered';
+    }
+
     // Utility functions
     shuffleArray(array) {
         const shuffled = [...array];
@@ -654,15 +1273,35 @@ class QuizModule {
     }
 
     saveQuizResults() {
-        // Save to localStorage for statistics
-        const results = JSON.parse(localStorage.getItem('quiz-history') || '[]');
-        results.push(this.generateExportData());
-        
-        // Keep only last 50 results
-        if (results.length > 50) {
-            results.splice(0, results.length - 50);
-        }
-        
-        localStorage.setItem('quiz-history', JSON.stringify(results));
+        const storage = window.quizApp.storage;
+        const session = {
+            id: storage.generateId(),
+            ...this.generateExportData()
+        };
+
+        // Save to the history for statistics
+        storage.saveQuizResult(session);
+        storage.saveAttempts(this.getSessionAttempts(session));
+    }
+
+    getSessionAttempts(session) {
+        return this.questions
+            .map((question, index) => ({ question, result: this.results[index] }))
+            .filter(({ result }) => result)
+            .map(({ question, result }) => ({
+                id: window.quizApp.storage.generateId(),
+                sessionId: session.id,
+                questionId: window.quizApp.review.getQuestionKey(question),
+                selected: result.selected !== undefined ? result.selected : null,
+                ...(result.answer !== undefined && { answer: result.answer }),
+                ...(result.score !== undefined && { score: result.score }),
+                correct: Boolean(result.correct),
+                status: this.getResultStatus(result),
+                timeSpent: result.timeSpent || null,
+                timestamp: session.timestamp,
+                category: question.category || null,
+                difficulty: question.difficulty || null,
+                tags: question.tags || []
+            }));
     }
 }
\ No newline at end of file
@@ -0,0 +1,305 @@
+/**
+ * Reconcile Module
+ * Previews a JSON bank import as a dry run and lets the user resolve
+ * every id collision before anything is written
+ */
+
+class ImportReconciler {
+    constructor() {
+        this.storage = window.quizApp?.storage || new QuizStorage();
+        this.pending = null;
+
+        this.fieldLabels = {
+            text: 'Pergunta',
+            type: 'Tipo',
+            options: 'Opções',
+            correct: 'Resposta correta',
+            explanation: 'Explicação',
+            difficulty: 'Dificuldade',
+            category: 'Categoria',
+            tags: 'Tags',
+            acceptedAnswers: 'Respostas aceitas',
+            scoring: 'Pontuação',
+            items: 'Itens',
+            pairs: 'Pares',
+            media: 'Anexos'
+        };
+    }
+
+    // ===== FILE =====
+
+    openImport() {
+        const input = document.getElementById('bankFile');
+        if (!input.dataset.bound) {
+            input.addEventListener('change', () => {
+                if (input.files[0]) this.readFile(input.files[0]);
+                input.value = '';
+            });
+            input.dataset.bound = 'true';
+        }
+        input.click();
+    }
+
+    async readFile(file) {
+        let data;
+        try {
+            data = this.unwrap(JSON.parse(await file.text()));
+        } catch (error) {
+            window.quizApp.showToast('Arquivo JSON inválido', 'error');
+            return;
+        }
+
+        if (!Array.isArray(data.questions)) {
+            window.quizApp.showToast('Nenhuma questão encontrada no arquivo', 'error');
+            return;
+        }
+
+        this.preview(data, file.name);
+    }
+
+    unwrap(parsed) {
+        // Backups nest the payload under "data"; bare arrays are plain question lists
+        if (Array.isArray(parsed)) return { questions: parsed };
+        if (parsed && parsed.data && Array.isArray(parsed.data.questions)) return parsed.data;
+        return parsed || {};
+    }
+
+    // ===== PREVIEW =====
+
+    preview(data, fileName) {
+        const result = this.storage.importData(data, { dryRun: true });
+        this.pending = { data, diff: result.diff };
+
+        let modal = document.getElementById('reconcileModal');
+        if (!modal) {
+            modal = document.createElement('div');
+            modal.id = 'reconcileModal';
+            modal.className = 'modal';
+            document.body.appendChild(modal);
+            this.bindEvents(modal);
+        }
+
+        const diff = result.diff;
+        const collisions = diff.conflicting.length + diff.changed.length;
+
+        // New ids can still be the same question under another id
+        const dedupe = window.quizApp.dedupe;
+        dedupe.findMatches(diff.new.map(entry => entry.question)).forEach((match, index) => {
+            if (!match) return;
+            diff.new[index].duplicate = match.source === 'batch'
+                ? dedupe.describeMatch(match, `o item ${diff.new[match.index].index + 1}`)
+                : dedupe.describeMatch(match);
+        });
+
+        modal.innerHTML = `
+            <div class="modal-content reconcile-modal">
+                <div class="modal-header">
+                    <h3><i class="fas fa-code-branch"></i> Prévia da importação</h3>
+                    <button class="modal-close">&times;</button>
+                </div>
+                <div class="modal-body">
+                    <p class="text-muted mb-2">${window.quizApp.escapeHTML(fileName)} · ${window.quizApp.escapeHTML(result.message)}</p>
+                    ${collisions > 0 ? `
+                        <div class="reconcile-bulk">
+                            <span>Aplicar a todas:</span>
+                            <button type="button" class="btn btn-outline btn-sm" data-bulk="mine">Manter as minhas</button>
+                            <button type="button" class="btn btn-outline btn-sm" data-bulk="theirs">Usar as importadas</button>
+                            <button type="button" class="btn btn-outline btn-sm" data-bulk="both">Manter ambas</button>
+                        </div>
+                    ` : ''}
+                    ${this.getSectionHTML('Em conflito', 'Editadas aqui e no arquivo; por padrão a sua versão é mantida.', diff.conflicting, entry => this.getCollisionHTML(entry, 'mine'))}
+                    ${this.getSectionHTML('Alteradas', 'Mudaram no arquivo depois da sua última edição.', diff.changed, entry => this.getCollisionHTML(entry, 'theirs'))}
+                    ${this.getSectionHTML('Novas', '', diff.new, entry => `
+                        <li>
+                            ${window.quizApp.escapeHTML(entry.question.text)}
+                            ${entry.duplicate ? `<span class="reconcile-warning"><i class="fas fa-clone"></i> ${window.quizApp.escapeHTML(entry.duplicate)}</span>` : ''}
+                        </li>
+                    `, true)}
+                    ${this.getSectionHTML('Inválidas', 'Serão ignoradas.', diff.invalid, entry => `
+                        <li>
+                            <strong>Item ${entry.index + 1}</strong> ${window.quizApp.escapeHTML(entry.question?.text || '')}
+                            <span class="reconcile-error">${window.quizApp.escapeHTML(entry.errors.join('; '))}</span>
+                        </li>
+                    `, true)}
+                    ${this.getSectionHTML('Idênticas', 'Já estão no banco e não mudam.', diff.identical, entry => `<li>${window.quizApp.escapeHTML(entry.question.text)}</li>`, true)}
+                    ${this.getMigrationHTML(result.migration)}
+                    <div class="form-actions">
+                        <button type="button" class="btn btn-primary" data-modal="confirm">
+                            <i class="fas fa-check"></i> Confirmar importação
+                        </button>
+                        <button type="button" class="btn btn-outline" data-modal="cancel">
+                            <i class="fas fa-times"></i> Cancelar
+                        </button>
+                    </div>
+                </div>
+            </div>
+        `;
+        modal.classList.add('active');
+    }
+
+    getSectionHTML(title, hint, entries, renderEntry, collapsed = false) {
+        if (entries.length === 0) return '';
+
+        const list = `<ul class="reconcile-list">${entries.map(renderEntry).join('')}</ul>`;
+        const heading = `${title} (${entries.length})`;
+
+        return collapsed
+            ? `<details class="reconcile-section"><summary>${heading}</summary>${hint ? `<p class="text-muted">${hint}</p>` : ''}${list}</details>`
+            : `<section class="reconcile-section"><h4>${heading}</h4>${hint ? `<p class="text-muted">${hint}</p>` : ''}${list}</section>`;
+    }
+
+    getMigrationHTML(migration, title = 'Ajustes do formato antigo', hint = `O arquivo é da versão ${migration?.from} e foi convertido para a ${migration?.to}.`) {
+        // Files from older versions were upgraded; show what the shape check had to change.
+        // Also lists the startup upgrades of the stored data in the settings
+        if (!migration) return '';
+
+        const entries = [
+            ...migration.dropped.map(item => ({ ...item, error: `descartado: ${item.reason}` })),
+            ...migration.repaired.map(item => ({ ...item, warning: `corrigido: ${item.fields.join(', ')}` }))
+        ];
+
+        return this.getSectionHTML(
+            title,
+            hint,
+            entries,
+            entry => `
+                <li>
+                    ${window.quizApp.escapeHTML(entry.label)}
+                    ${entry.error
+                        ? `<span class="reconcile-error">${window.quizApp.escapeHTML(entry.error)}</span>`
+                        : `<span class="reconcile-warning">${window.quizApp.escapeHTML(entry.warning)}</span>`}
+                </li>
+            `,
+            true
+        );
+    }
+
+    getCollisionHTML(entry, defaultChoice) {
+        const name = `resolve-${entry.index}`;
+        const choices = [
+            ['mine', 'Manter a minha'],
+            ['theirs', 'Usar a importada'],
+            ['both', 'Manter ambas']
+        ];
+
+        return `
+            <li class="reconcile-item" data-id="${window.quizApp.escapeHTML(entry.id)}">
+                <strong>${window.quizApp.escapeHTML(entry.mine.text)}</strong>
+                <table class="reconcile-diff">
+                    <thead>
+                        <tr><th scope="col">Campo</th><th scope="col">Minha</th><th scope="col">Importada</th></tr>
+                    </thead>
+                    <tbody>
+                        ${entry.fields.map(field => `
+                            <tr>
+                                <th scope="row">${this.fieldLabels[field]}</th>
+                                <td>${window.quizApp.escapeHTML(this.formatField(entry.mine, field))}</td>
+                                <td>${window.quizApp.escapeHTML(this.formatField(entry.question, field))}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+                <div class="radio-group" role="radiogroup" aria-label="Resolução">
+                    ${choices.map(([value, label]) => `
+                        <label class="radio-label">
+                            <input type="radio" name="${name}" value="${value}" ${value === defaultChoice ? 'checked' : ''}>
+                            <span>${label}</span>
+                        </label>
+                    `).join('')}
+                </div>
+            </li>
+        `;
+    }
+
+    formatField(question, field) {
+        const value = question[field];
+
+        if (field === 'correct') {
+            if (question.type === 'open') return '';
+            if (Array.isArray(value)) return value.map(index => (question.options || [])[index] ?? '').join(' | ');
+            return (question.options || [])[value] ?? '';
+        }
+        if (field === 'pairs') return (value || []).map(pair => `${pair.left} → ${pair.right}`).join(' | ');
+        if (field === 'media') return (value || []).map(ref => ref.alt).join(' | ');
+        if (Array.isArray(value)) return value.join(' | ');
+        return value == null ? '' : String(value);
+    }
+
+    bindEvents(modal) {
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal || e.target.closest('.modal-close, [data-modal="cancel"]')) {
+                this.close();
+            } else if (e.target.closest('[data-modal="confirm"]')) {
+                this.commit();
+            } else if (e.target.closest('[data-bulk]')) {
+                const choice = e.target.closest('[data-bulk]').dataset.bulk;
+                modal.querySelectorAll(`.reconcile-item input[value="${choice}"]`).forEach(radio => {
+                    radio.checked = true;
+                });
+            }
+        });
+    }
+
+    // ===== COMMIT =====
+
+    getResolutions() {
+        const resolutions = {};
+
+        document.querySelectorAll('#reconcileModal .reconcile-item').forEach(item => {
+            const checked = item.querySelector('input[type="radio"]:checked');
+            resolutions[item.dataset.id] = checked ? checked.value : 'mine';
+        });
+
+        return resolutions;
+    }
+
+    async commit() {
+        if (!this.pending) return;
+
+        const { data } = this.pending;
+        const result = this.storage.importData(data, {
+            resolutions: this.getResolutions()
+        });
+
+        this.close();
+
+        if (!result.success) {
+            window.quizApp.showToast(result.message, 'error');
+            return;
+        }
+        if (!(await this.storage.flush())) {
+            window.quizApp.showToast('A importação não pôde ser salva no armazenamento', 'error');
+            return;
+        }
+
+        // Attachment files travel next to the questions
+        let mediaNote;
+        try {
+            mediaNote = window.quizApp.media.describeFailures(await window.quizApp.media.importBundle(data.media));
+        } catch (error) {
+            console.error('Media import error:', error);
+            mediaNote = 'os anexos do arquivo não puderam ser salvos';
+        }
+
+        const message = this.describeDecisions(result.decisions);
+        window.quizApp.showToast(mediaNote ? `${message}; ${mediaNote}` : message, mediaNote ? 'warning' : 'info');
+    }
+
+    describeDecisions(decisions) {
+        const parts = [
+            [decisions.added, 'adicionadas'],
+            [decisions.replaced, 'substituídas'],
+            [decisions.duplicated, 'duplicadas'],
+            [decisions.kept, 'mantidas']
+        ].filter(([count]) => count > 0);
+
+        return parts.length > 0
+            ? `Importação concluída: ${parts.map(([count, label]) => `${count} ${label}`).join(', ')}`
+            : 'Nada foi alterado no banco';
+    }
+
+    close() {
+        this.pending = null;
+        document.getElementById('reconcileModal')?.classList.remove('active');
+    }
+}
@@ -0,0 +1,159 @@
+/**
+ * Review Module
+ * Spaced repetition (SM-2) scheduling of questions based on past answers
+ */
+
+class ReviewScheduler {
+    constructor() {
+        this.storage = window.quizApp?.storage || new QuizStorage();
+        this.defaultEase = 2.5;
+        this.minEase = 1.3;
+        // Correct answers faster than this count as perfect recall
+        this.fastAnswerTime = 10000;
+
+        // Answers, merges, restores and deletions all change what is due
+        this.storage.onChange(['review', 'questions'], () => this.updateBadge());
+    }
+
+    // ===== QUESTION KEYS =====
+
+    getQuestionKey(question) {
+        if (question.id) return question.id;
+
+        // Default and pasted questions have no id, so key them by their text
+        return `txt-${this.hashText(question.text.trim().toLowerCase())}`;
+    }
+
+    hashText(text) {
+        let hash = 5381;
+        for (let i = 0; i < text.length; i++) {
+            hash = ((hash << 5) + hash + text.charCodeAt(i)) >>> 0;
+        }
+        return hash.toString(36);
+    }
+
+    // ===== SCHEDULING =====
+
+    recordAnswer(question, result) {
+        const key = this.getQuestionKey(question);
+        const schedule = this.storage.getReviewSchedule();
+        const entry = this.scheduleEntry(schedule[key] || this.createEntry(), this.getQuality(result));
+
+        // Questions outside the bank can only be replayed from a snapshot
+        if (!question.id) {
+            entry.question = {
+                text: question.text,
+                options: question.options,
+                correct: question.correct,
+                explanation: question.explanation,
+                ...(question.type === 'multiselect' && { type: 'multiselect', scoring: question.scoring }),
+                ...(question.type === 'ordering' && { type: 'ordering', items: question.items, scoring: question.scoring }),
+                ...(question.type === 'matching' && { type: 'matching', pairs: question.pairs, scoring: question.scoring }),
+                ...(question.type === 'cloze' && { type: 'cloze', answerMatching: question.answerMatching, scoring: question.scoring }),
+                ...(question.type === 'open' && {
+                    type: 'open',
+                    acceptedAnswers: question.acceptedAnswers,
+                    answerMatching: question.answerMatching,
+                    tolerance: question.tolerance
+                })
+            };
+        }
+
+        schedule[key] = entry;
+        this.storage.saveReviewSchedule(schedule);
+
+        return entry;
+    }
+
+    createEntry() {
+        return {
+            ease: this.defaultEase,
+            interval: 0,
+            repetitions: 0,
+            lapses: 0,
+            due: null,
+            lastReviewed: null
+        };
+    }
+
+    getQuality(result) {
+        if (result.timedOut) return 0;
+        if (!result.correct) return 1;
+        return result.timeSpent < this.fastAnswerTime ? 5 : 4;
+    }
+
+    scheduleEntry(entry, quality) {
+        const next = { ...entry };
+
+        if (quality >= 3) {
+            if (next.repetitions === 0) {
+                next.interval = 1;
+            } else if (next.repetitions === 1) {
+                next.interval = 6;
+            } else {
+                next.interval = Math.round(next.interval * next.ease);
+            }
+            next.repetitions++;
+        } else {
+            next.repetitions = 0;
+            next.interval = 1;
+            next.lapses++;
+        }
+
+        next.ease = Math.max(
+            this.minEase,
+            next.ease + (0.1 - (5 - quality) * (0.08 + (5 - quality) * 0.02))
+        );
+        next.ease = Math.round(next.ease * 100) / 100;
+
+        const due = this.startOfDay(new Date());
+        due.setDate(due.getDate() + next.interval);
+        next.due = due.toISOString();
+        next.lastReviewed = new Date().toISOString();
+        next.lastQuality = quality;
+
+        return next;
+    }
+
+    // ===== DUE QUESTIONS =====
+
+    getDueQuestions(now = new Date()) {
+        const schedule = this.storage.getReviewSchedule();
+        const bank = new Map(this.storage.getAllQuestions().map(question => [question.id, question]));
+
+        return Object.entries(schedule)
+            .filter(([, entry]) => entry.due && new Date(entry.due) <= now)
+            .sort(([, a], [, b]) => new Date(a.due) - new Date(b.due))
+            .map(([key, entry]) => {
+                // Prefer the bank copy so edits made after the answer are used
+                const stored = bank.get(key);
+                if (stored) {
+                    return QuizBuilder.isPlayable(stored) ? QuizBuilder.toQuizQuestion(stored) : null;
+                }
+                return key.startsWith('txt-') && entry.question ? { ...entry.question } : null;
+            })
+            .filter(question => question);
+    }
+
+    getDueCount() {
+        return this.getDueQuestions().length;
+    }
+
+    updateBadge() {
+        const count = this.getDueCount();
+        const badge = document.getElementById('reviewBadge');
+        const reviewCount = document.getElementById('reviewCount');
+
+        badge.textContent = count;
+        badge.style.display = count > 0 ? 'inline-block' : 'none';
+        reviewCount.textContent = count > 0 ? `(${count})` : '';
+    }
+
+    // ===== HELPERS =====
+
+    startOfDay(date) {
+        const day = new Date(date);
+        day.setHours(0, 0, 0, 0);
+        return day;
+    }
+}
@@ -0,0 +1,302 @@
+/**
+ * Rich Text Module
+ * Turns question text into safe HTML: a Markdown subset, fenced code blocks
+ * with syntax highlighting and TeX math rendered as MathML, all offline
+ */
+
+class RichText {
+    constructor() {
+        this.keywords = new Set([
+            'abstract', 'and', 'as', 'async', 'await', 'bool', 'boolean', 'break', 'case', 'catch', 'char',
+            'class', 'const', 'continue', 'def', 'default', 'del', 'do', 'double', 'elif', 'else', 'enum',
+            'except', 'export', 'extends', 'false', 'False', 'finally', 'float', 'for', 'from', 'function',
+            'if', 'implements', 'import', 'in', 'instanceof', 'int', 'interface', 'is', 'lambda', 'let',
+            'new', 'None', 'not', 'null', 'or', 'pass', 'print', 'private', 'protected', 'public', 'raise',
+            'return', 'static', 'string', 'struct', 'super', 'switch', 'this', 'throw', 'true', 'True', 'try',
+            'typeof', 'var', 'void', 'while', 'with', 'yield'
+        ]);
+        this.sqlKeywords = new Set([
+            'select', 'from', 'where', 'insert', 'into', 'update', 'delete', 'join', 'left', 'right', 'inner',
+            'outer', 'on', 'group', 'by', 'order', 'having', 'values', 'set', 'create', 'table', 'and', 'or',
+            'not', 'null', 'as', 'limit', 'distinct', 'count', 'sum', 'avg', 'in', 'is', 'like', 'between'
+        ]);
+        this.hashCommentLanguages = ['python', 'py', 'ruby', 'rb', 'bash', 'sh', 'shell', 'r', 'yaml', 'yml'];
+
+        this.mathIdentifiers = {
+            alpha: 'α', beta: 'β', gamma: 'γ', delta: 'δ', epsilon: 'ε', varepsilon: 'ε', zeta: 'ζ', eta: 'η',
+            theta: 'θ', iota: 'ι', kappa: 'κ', lambda: 'λ', mu: 'μ', nu: 'ν', xi: 'ξ', pi: 'π', rho: 'ρ',
+            sigma: 'σ', tau: 'τ', upsilon: 'υ', phi: 'φ', varphi: 'φ', chi: 'χ', psi: 'ψ', omega: 'ω',
+            Gamma: 'Γ', Delta: 'Δ', Theta: 'Θ', Lambda: 'Λ', Xi: 'Ξ', Pi: 'Π', Sigma: 'Σ', Phi: 'Φ',
+            Psi: 'Ψ', Omega: 'Ω', infty: '∞', partial: '∂', nabla: '∇', emptyset: '∅'
+        };
+        this.mathOperators = {
+            times: '×', cdot: '⋅', div: '÷', pm: '±', mp: '∓', le: '≤', leq: '≤', ge: '≥', geq: '≥',
+            neq: '≠', ne: '≠', approx: '≈', equiv: '≡', sim: '∼', propto: '∝', to: '→', rightarrow: '→',
+            leftarrow: '←', Rightarrow: '⇒', Leftarrow: '⇐', Leftrightarrow: '⇔', in: '∈', notin: '∉',
+            subset: '⊂', subseteq: '⊆', cup: '∪', cap: '∩', forall: '∀', exists: '∃', circ: '∘',
+            cdots: '⋯', ldots: '…', sum: '∑', prod: '∏', int: '∫', oint: '∮', lim: 'lim'
+        };
+        this.mathFunctions = ['sin', 'cos', 'tan', 'cot', 'sec', 'csc', 'log', 'ln', 'exp', 'max', 'min', 'det'];
+        this.largeOperators = ['sum', 'prod', 'lim'];
+    }
+
+    // ===== BLOCKS =====
+
+    render(text) {
+        const lines = String(text ?? '').replace(/\r\n?/g, '\n').split('\n');
+        const blocks = [];
+        let paragraph = [];
+        let list = null;
+
+        const flushParagraph = () => {
+            if (paragraph.length > 0) {
+                blocks.push(`<p>${paragraph.map(line => this.renderInline(line)).join('<br>')}</p>`);
+                paragraph = [];
+            }
+        };
+        const flushList = () => {
+            if (list) {
+                const tag = list.ordered ? 'ol' : 'ul';
+                blocks.push(`<${tag}>${list.items.map(item => `<li>${this.renderInline(item)}</li>`).join('')}</${tag}>`);
+                list = null;
+            }
+        };
+
+        for (let i = 0; i < lines.length; i++) {
+            const line = lines[i];
+            const fence = line.match(/^\s*```\s*([\w+#-]*)\s*$/);
+
+            if (fence) {
+                flushParagraph();
+                flushList();
+                const code = [];
+                // An unclosed fence runs to the end of the text
+                while (++i < lines.length && !/^\s*```\s*$/.test(lines[i])) {
+                    code.push(lines[i]);
+                }
+                blocks.push(this.renderCodeBlock(code.join('\n'), fence[1]));
+                continue;
+            }
+
+            if (line.trim().startsWith('$$')) {
+                flushParagraph();
+                flushList();
+                const math = [line.trim().substring(2)];
+                while (!math[math.length - 1].trimEnd().endsWith('$$') && ++i < lines.length) {
+                    math.push(lines[i]);
+                }
+                blocks.push(`<div class="rich-math">${this.renderMath(math.join('\n').replace(/\$\$\s*$/, ''), true)}</div>`);
+                continue;
+            }
+
+            const item = line.match(/^\s*([-*]|\d+[.)])\s+(.*)$/);
+            if (item) {
+                flushParagraph();
+                const ordered = /\d/.test(item[1]);
+                if (list && list.ordered !== ordered) flushList();
+                if (!list) list = { ordered, items: [] };
+                list.items.push(item[2]);
+                continue;
+            }
+
+            if (!line.trim()) {
+                flushParagraph();
+                flushList();
+                continue;
+            }
+
+            flushList();
+            paragraph.push(line);
+        }
+
+        flushParagraph();
+        flushList();
+        return blocks.join('');
+    }
+
+    renderCodeBlock(code, language = '') {
+        const lang = language.toLowerCase();
+        return `<pre class="rich-code"${lang ? ` data-language="${window.quizApp.escapeHTML(lang)}"` : ''}><code>${lang ? this.highlight(code, lang) : window.quizApp.escapeHTML(code)}</code></pre>`;
+    }
+
+    // ===== INLINE =====
+
+    renderInline(text) {
+        const placeholders = [];
+        const hold = (html) => `\u0000${placeholders.push(html) - 1}\u0000`;
+
+        // Code and math are taken out first so nothing inside them is treated as Markdown
+        let html = String(text ?? '')
+            .replace(/`([^`\n]+)`/g, (_, code) => hold(`<code>${window.quizApp.escapeHTML(code)}</code>`))
+            .replace(/\$\$(.+?)\$\$/g, (_, tex) => hold(this.renderMath(tex, true)))
+            .replace(/\\\((.+?)\\\)/g, (_, tex) => hold(this.renderMath(tex, false)))
+            .replace(/\\\[(.+?)\\\]/g, (_, tex) => hold(this.renderMath(tex, true)))
+            // "R$ 10" and "$ 5" stay text: math needs "$" glued to its content
+            .replace(/(?<![\\\w])\$(?=\S)([^$\n]*?\S)\$(?!\d)/g, (_, tex) => hold(this.renderMath(tex, false)))
+            .replace(/\\\$/g, '$');
+
+        html = window.quizApp.escapeHTML(html)
+            .replace(/\*\*(?=\S)(.+?)\*\*/g, '<strong>$1</strong>')
+            .replace(/(^|[^\w])__(?=\S)(.+?)__(?!\w)/g, '$1<strong>$2</strong>')
+            .replace(/\*(?=\S)(.+?)\*/g, '<em>$1</em>')
+            .replace(/(^|[^\w])_(?=\S)(.+?)_(?!\w)/g, '$1<em>$2</em>')
+            .replace(/\[([^\]]+)\]\(((?:https?:\/\/|mailto:)[^\s)]+)\)/g, '<a href="$2" target="_blank" rel="noopener noreferrer">$1</a>');
+
+        return html.replace(/\u0000(\d+)\u0000/g, (_, index) => placeholders[index]);
+    }
+
+    // ===== SYNTAX HIGHLIGHTING =====
+
+    highlight(code, lang) {
+        let comment = '\\/\\/[^\\n]*|\\/\\*[\\s\\S]*?\\*\\/';
+        if (this.hashCommentLanguages.includes(lang)) comment = '#[^\\n]*';
+        if (lang === 'sql') comment = '--[^\\n]*';
+
+        const pattern = new RegExp(
+            `(${comment})|("(?:\\\\.|[^"\\\\\\n])*"|'(?:\\\\.|[^'\\\\\\n])*'|\`(?:\\\\.|[^\`\\\\])*\`)|(\\b\\d+(?:\\.\\d+)?\\b)|(\\b[A-Za-z_]\\w*\\b)`,
+            'g'
+        );
+
+        let html = '';
+        let last = 0;
+        for (const match of code.matchAll(pattern)) {
+            html += window.quizApp.escapeHTML(code.substring(last, match.index));
+            last = match.index + match[0].length;
+
+            const [token, isComment, isString, isNumber, word] = match;
+            let className = null;
+            if (isComment) className = 'tok-comment';
+            else if (isString) className = 'tok-string';
+            else if (isNumber) className = 'tok-number';
+            else if (word && (lang === 'sql' ? this.sqlKeywords.has(word.toLowerCase()) : this.keywords.has(word))) className = 'tok-keyword';
+
+            html += className
+                ? `<span class="${className}">${window.quizApp.escapeHTML(token)}</span>`
+                : window.quizApp.escapeHTML(token);
+        }
+
+        return html + window.quizApp.escapeHTML(code.substring(last));
+    }
+
+    // ===== MATH =====
+
+    renderMath(tex, display) {
+        const state = { tokens: String(tex).match(/\\[A-Za-z]+|\\.|\d+(?:\.\d+)?|\s+|[\s\S]/g) || [], pos: 0 };
+        return `<math${display ? ' display="block"' : ''}><mrow>${this.parseMathRow(state, null)}</mrow></math>`;
+    }
+
+    parseMathRow(state, stop) {
+        let html = '';
+
+        while (state.pos < state.tokens.length) {
+            const token = state.tokens[state.pos];
+            if (token === stop || token === '}') break;
+            if (/^\s+$/.test(token)) {
+                state.pos++;
+                continue;
+            }
+            html += this.parseMathScripts(state);
+        }
+
+        return html;
+    }
+
+    parseMathScripts(state) {
+        const token = state.tokens[state.pos];
+        const base = this.parseMathAtom(state);
+        let sub = null;
+        let sup = null;
+
+        while (['_', '^'].includes(state.tokens[state.pos])) {
+            const marker = state.tokens[state.pos++];
+            const argument = this.parseMathArgument(state);
+            if (marker === '_') sub = argument;
+            else sup = argument;
+        }
+
+        if (sub === null && sup === null) return base;
+
+        // Sums and limits put their bounds above and below
+        const isLarge = this.largeOperators.includes(token.substring(1));
+        if (sub !== null && sup !== null) {
+            return isLarge ? `<munderover>${base}${sub}${sup}</munderover>` : `<msubsup>${base}${sub}${sup}</msubsup>`;
+        }
+        if (sub !== null) return isLarge ? `<munder>${base}${sub}</munder>` : `<msub>${base}${sub}</msub>`;
+        return isLarge ? `<mover>${base}${sup}</mover>` : `<msup>${base}${sup}</msup>`;
+    }
+
+    parseMathArgument(state) {
+        while (/^\s+$/.test(state.tokens[state.pos] || '')) state.pos++;
+        if (state.pos >= state.tokens.length) return '<mrow></mrow>';
+        return `<mrow>${this.parseMathAtom(state)}</mrow>`;
+    }
+
+    parseMathAtom(state) {
+        const token = state.tokens[state.pos++];
+
+        if (token === '{') {
+            const group = this.parseMathRow(state, '}');
+            state.pos++;
+            return `<mrow>${group}</mrow>`;
+        }
+
+        if (/^\d/.test(token)) return `<mn>${token}</mn>`;
+        if (/^[A-Za-z]$/.test(token)) return `<mi>${token}</mi>`;
+        if (!token.startsWith('\\')) return `<mo>${window.quizApp.escapeHTML(token)}</mo>`;
+
+        const command = token.substring(1);
+        switch (command) {
+            case 'frac':
+                return `<mfrac>${this.parseMathArgument(state)}${this.parseMathArgument(state)}</mfrac>`;
+            case 'sqrt': {
+                if (state.tokens[state.pos] === '[') {
+                    state.pos++;
+                    const index = this.parseMathRow(state, ']');
+                    state.pos++;
+                    return `<mroot>${this.parseMathArgument(state)}<mrow>${index}</mrow></mroot>`;
+                }
+                return `<msqrt>${this.parseMathArgument(state)}</msqrt>`;
+            }
+            case 'text':
+            case 'mathrm':
+                return `<mtext>${window.quizApp.escapeHTML(this.readMathText(state))}</mtext>`;
+            case 'mathbb':
+            case 'mathbf':
+                return `<mi mathvariant="${command === 'mathbb' ? 'double-struck' : 'bold'}">${window.quizApp.escapeHTML(this.readMathText(state))}</mi>`;
+            case 'left':
+            case 'right': {
+                const delimiter = state.tokens[state.pos++] || '';
+                const symbol = delimiter.startsWith('\\') ? delimiter.substring(1) : delimiter;
+                return symbol === '.' ? '' : `<mo>${window.quizApp.escapeHTML(symbol)}</mo>`;
+            }
+            case ',':
+            case ';':
+            case ' ':
+            case 'quad':
+                return `<mspace width="${command === 'quad' ? '1em' : '0.25em'}"/>`;
+        }
+
+        // Own keys only, so \constructor or \toString don't resolve to Object.prototype
+        if (Object.hasOwn(this.mathIdentifiers, command)) return `<mi>${this.mathIdentifiers[command]}</mi>`;
+        if (Object.hasOwn(this.mathOperators, command)) return `<mo>${this.mathOperators[command]}</mo>`;
+        if (this.mathFunctions.includes(command)) return `<mi mathvariant="normal">${command}</mi>`;
+        // Escaped characters such as \{ and \%
+        if (command.length === 1) return `<mo>${window.quizApp.escapeHTML(command)}</mo>`;
+
+        return `<merror><mtext>${window.quizApp.escapeHTML(token)}</mtext></merror>`;
+    }
+
+    readMathText(state) {
+        if (state.tokens[state.pos] !== '{') return '';
+
+        let depth = 0;
+        let text = '';
+        while (state.pos < state.tokens.length) {
+            const token = state.tokens[state.pos++];
+            if (token === '{' && depth++ === 0) continue;
+            if (token === '}' && --depth === 0) break;
+            text += token;
+        }
+        return text;
+    }
+}
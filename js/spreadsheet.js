@@ -0,0 +1,465 @@
+/**
+ * Spreadsheet Module
+ * Imports questions from CSV or pasted TSV (Excel/Sheets) with a
+ * column-mapping step and a per-row preview before saving
+ */
+
+class SpreadsheetImporter {
+    constructor() {
+        this.storage = window.quizApp?.storage || new QuizStorage();
+        this.rows = [];
+        this.delimiter = ',';
+        this.mapping = [];
+        this.hasHeader = true;
+        this.correctFormat = 'auto';
+        this.previewLimit = 50;
+
+        this.fields = {
+            ignore: 'Ignorar',
+            text: 'Pergunta',
+            option: 'Alternativa',
+            correct: 'Resposta correta',
+            explanation: 'Explicação',
+            difficulty: 'Dificuldade',
+            category: 'Categoria',
+            tags: 'Tags'
+        };
+
+        // Header names recognized when guessing the mapping (already normalized)
+        this.headerAliases = {
+            text: ['pergunta', 'questao', 'enunciado', 'question', 'text', 'texto'],
+            option: ['alternativa', 'opcao', 'option', 'answer option', 'choice', 'a', 'b', 'c', 'd', 'e', 'f'],
+            correct: ['resposta', 'resposta correta', 'correta', 'gabarito', 'correct', 'answer', 'correct answer'],
+            explanation: ['explicacao', 'explanation', 'feedback', 'justificativa'],
+            difficulty: ['dificuldade', 'difficulty', 'nivel', 'level'],
+            category: ['categoria', 'category', 'assunto', 'disciplina', 'subject'],
+            tags: ['tags', 'tag', 'etiquetas', 'palavras-chave', 'keywords']
+        };
+
+        this.difficultyAliases = {
+            easy: ['facil', 'easy', '1'],
+            medium: ['medio', 'media', 'medium', '2', ''],
+            hard: ['dificil', 'hard', '3']
+        };
+    }
+
+    // ===== PARSING =====
+
+    parse(text) {
+        const content = text.replace(/^\uFEFF/, '');
+        this.delimiter = this.detectDelimiter(content);
+        const rows = [];
+        let row = [];
+        let cell = '';
+        let inQuotes = false;
+
+        for (let i = 0; i < content.length; i++) {
+            const char = content[i];
+
+            if (inQuotes) {
+                if (char === '"' && content[i + 1] === '"') {
+                    cell += '"';
+                    i++;
+                } else if (char === '"') {
+                    inQuotes = false;
+                } else {
+                    cell += char;
+                }
+            } else if (char === '"' && cell === '') {
+                inQuotes = true;
+            } else if (char === this.delimiter) {
+                row.push(cell);
+                cell = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && content[i + 1] === '\n') i++;
+                row.push(cell);
+                rows.push(row);
+                row = [];
+                cell = '';
+            } else {
+                cell += char;
+            }
+        }
+
+        row.push(cell);
+        rows.push(row);
+
+        return rows
+            .map(cells => cells.map(value => value.trim()))
+            .filter(cells => cells.some(value => value));
+    }
+
+    detectDelimiter(content) {
+        const firstLine = content.split(/\r?\n/)[0];
+        const counts = ['\t', ';', ','].map(delimiter => ({
+            delimiter,
+            count: firstLine.split(delimiter).length - 1
+        }));
+
+        // Tabs win whenever present: that's what Excel and Sheets put on the clipboard
+        if (counts[0].count > 0) return '\t';
+
+        const best = counts.reduce((a, b) => b.count > a.count ? b : a);
+        return best.count > 0 ? best.delimiter : ',';
+    }
+
+    guessMapping(header) {
+        return header.map(name => {
+            const normalized = this.normalize(name).replace(/\s*\d+$/, '');
+            const field = Object.keys(this.headerAliases)
+                .find(key => this.headerAliases[key].includes(normalized));
+            return field || 'ignore';
+        });
+    }
+
+    // ===== BUILDING QUESTIONS =====
+
+    buildQuestions() {
+        const dataRows = this.hasHeader ? this.rows.slice(1) : this.rows;
+        const offset = this.hasHeader ? 2 : 1;
+
+        return dataRows.map((cells, index) => this.buildQuestion(cells, index + offset));
+    }
+
+    buildQuestion(cells, rowNumber) {
+        const errors = [];
+        const values = (field) => this.mapping
+            .map((mapped, column) => mapped === field ? (cells[column] || '') : null)
+            .filter(value => value !== null);
+        const value = (field) => values(field).find(v => v) || '';
+
+        const text = value('text');
+        const options = values('option').filter(option => option);
+        const correctValue = value('correct');
+
+        if (!text) errors.push('Pergunta vazia');
+
+        const question = {
+            text,
+            type: 'multiple',
+            options,
+            correct: 0,
+            explanation: value('explanation'),
+            difficulty: this.resolveDifficulty(value('difficulty'), errors),
+            category: value('category') || 'Importada',
+            tags: [...new Set(values('tags').flatMap(tags => tags.split(/[,;|]/)).map(tag => tag.trim()).filter(tag => tag))]
+        };
+
+        if (options.length === 0) {
+            this.resolveWithoutOptions(question, correctValue);
+        } else if (options.length < 2) {
+            errors.push('São necessárias pelo menos 2 alternativas');
+        } else if (!correctValue) {
+            errors.push('Resposta correta vazia');
+        } else {
+            const correct = this.resolveCorrect(correctValue, options);
+            const correctSet = correct === -1 ? this.resolveCorrectSet(correctValue, options) : null;
+            if (correctSet) {
+                question.type = 'multiselect';
+                question.correct = correctSet;
+            } else if (correct === -1) {
+                errors.push(`Resposta "${correctValue}" não corresponde a nenhuma alternativa`);
+            } else {
+                question.correct = correct;
+            }
+
+            if (new Set(options.map(option => option.toLowerCase())).size !== options.length) {
+                errors.push('Alternativas duplicadas');
+            }
+            if (options.length === 2 && this.isBooleanPair(options)) {
+                question.type = 'boolean';
+            }
+        }
+
+        return { row: rowNumber, question: errors.length === 0 ? question : null, draft: question, errors };
+    }
+
+    resolveWithoutOptions(question, correctValue) {
+        const normalized = this.normalize(correctValue);
+
+        // A bare V/F answer means a true/false item
+        if (['v', 'verdadeiro', 'true', 't', 'f', 'falso', 'false'].includes(normalized)) {
+            question.type = 'boolean';
+            question.options = ['Verdadeiro', 'Falso'];
+            question.correct = ['v', 'verdadeiro', 'true', 't'].includes(normalized) ? 0 : 1;
+            return;
+        }
+
+        // Otherwise it's an open question; "|" separates accepted answers
+        question.type = 'open';
+        question.acceptedAnswers = correctValue
+            ? correctValue.split('|').map(answer => answer.trim()).filter(answer => answer)
+            : [];
+    }
+
+    resolveCorrect(value, options) {
+        // The whole value has to be a letter or a number; anything else is matched
+        // as option text in automatic mode and is an error in the fixed modes
+        const format = this.correctFormat;
+        const trimmed = value.trim();
+        const isLetter = /^[A-Za-z]\)?$/.test(trimmed);
+        const isNumber = /^\d+$/.test(trimmed);
+
+        if (format === 'letter' || (format === 'auto' && isLetter)) {
+            const index = isLetter ? trimmed.toUpperCase().charCodeAt(0) - 65 : -1;
+            if (index >= 0 && index < options.length) return index;
+            if (format === 'letter') return -1;
+        }
+
+        if (format === 'index' || (format === 'auto' && isNumber)) {
+            const index = isNumber ? parseInt(trimmed, 10) - 1 : -1;
+            if (index >= 0 && index < options.length) return index;
+            if (format === 'index') return -1;
+        }
+
+        const normalized = this.normalize(trimmed);
+        return options.findIndex(option => this.normalize(option) === normalized);
+    }
+
+    resolveCorrectSet(value, options) {
+        // "A, C" or "1;3" lists every right answer of a multi-select question
+        const parts = value.split(/[,;]/).map(part => part.trim()).filter(part => part);
+        if (parts.length < 2) return null;
+
+        const indexes = parts.map(part => this.resolveCorrect(part, options));
+        if (indexes.includes(-1)) return null;
+
+        const unique = [...new Set(indexes)].sort((a, b) => a - b);
+        return unique.length > 1 ? unique : null;
+    }
+
+    resolveDifficulty(value, errors) {
+        const normalized = this.normalize(value);
+        const difficulty = Object.keys(this.difficultyAliases)
+            .find(key => this.difficultyAliases[key].includes(normalized));
+
+        if (!difficulty) {
+            errors.push(`Dificuldade "${value}" desconhecida`);
+            return 'medium';
+        }
+        return difficulty;
+    }
+
+    isBooleanPair(options) {
+        const [first, second] = options.map(option => this.normalize(option));
+        return (first === 'verdadeiro' && second === 'falso') || (first === 'true' && second === 'false');
+    }
+
+    // ===== MAPPING UI =====
+
+    open(content) {
+        this.rows = this.parse(content);
+        if (this.rows.length === 0) {
+            window.quizApp.showToast('Nenhuma linha encontrada na planilha', 'error');
+            return false;
+        }
+
+        const columnCount = Math.max(...this.rows.map(row => row.length));
+        this.rows = this.rows.map(row => [...row, ...Array(columnCount - row.length).fill('')]);
+
+        const guessed = this.guessMapping(this.rows[0]);
+        this.hasHeader = guessed.some(field => field !== 'ignore');
+        this.mapping = this.hasHeader ? guessed : this.getPositionalMapping(columnCount);
+        this.correctFormat = 'auto';
+
+        this.render();
+        return true;
+    }
+
+    getPositionalMapping(columnCount) {
+        // Without a header assume: question, options..., correct answer
+        return Array.from({ length: columnCount }, (_, column) => {
+            if (column === 0) return 'text';
+            if (column === columnCount - 1 && columnCount > 2) return 'correct';
+            return 'option';
+        });
+    }
+
+    render() {
+        const container = document.getElementById('importMapping');
+        if (!container.dataset.bound) {
+            this.bindEvents(container);
+            container.dataset.bound = 'true';
+        }
+
+        const sample = this.hasHeader ? this.rows[1] || [] : this.rows[0];
+        const delimiterLabel = { '\t': 'tabulação', ';': 'ponto e vírgula', ',': 'vírgula' }[this.delimiter];
+
+        container.innerHTML = `
+            <h4><i class="fas fa-table"></i> Mapeamento de colunas</h4>
+            <p class="text-muted">${this.rows.length} linhas · separador: ${delimiterLabel}</p>
+            <div class="mapping-options">
+                <label class="switch-label">
+                    <input type="checkbox" data-setting="header" ${this.hasHeader ? 'checked' : ''}>
+                    <span class="switch"></span>
+                    Primeira linha é cabeçalho
+                </label>
+                <div class="form-group">
+                    <label for="mappingCorrectFormat">Resposta correta como:</label>
+                    <select id="mappingCorrectFormat" data-setting="correctFormat">
+                        <option value="auto">Detectar (letra, número ou texto)</option>
+                        <option value="letter">Letra (A, B, C…)</option>
+                        <option value="index">Número (1, 2, 3…)</option>
+                        <option value="text">Texto da alternativa</option>
+                    </select>
+                </div>
+            </div>
+            <div class="mapping-columns">
+                ${this.mapping.map((field, column) => `
+                    <div class="mapping-column">
+                        <span class="mapping-column-name">${window.quizApp.escapeHTML(this.hasHeader ? this.rows[0][column] || `Coluna ${column + 1}` : `Coluna ${column + 1}`)}</span>
+                        <span class="mapping-column-sample text-muted">${window.quizApp.escapeHTML(sample[column] || '—')}</span>
+                        <select data-column="${column}" aria-label="Campo da coluna ${column + 1}">
+                            ${Object.entries(this.fields).map(([value, label]) =>
+                                `<option value="${value}" ${value === field ? 'selected' : ''}>${label}</option>`
+                            ).join('')}
+                        </select>
+                    </div>
+                `).join('')}
+            </div>
+            <div class="mapping-preview"></div>
+        `;
+        container.querySelector('[data-setting="correctFormat"]').value = this.correctFormat;
+        container.style.display = 'block';
+
+        this.renderPreview();
+    }
+
+    renderPreview() {
+        const container = document.getElementById('importMapping');
+        const preview = container.querySelector('.mapping-preview');
+        const results = this.buildQuestions();
+        const valid = results.filter(result => result.question);
+        const shown = results.slice(0, this.previewLimit);
+
+        window.quizApp.dedupe.findMatches(valid.map(result => result.question)).forEach((match, index) => {
+            valid[index].duplicate = match && { ...match, row: match.source === 'batch' ? valid[match.index].row : null };
+        });
+
+        preview.innerHTML = `
+            <p><strong>${valid.length} válidas</strong>, ${results.length - valid.length} com erro</p>
+            <div class="mapping-table">
+                <table>
+                    <thead>
+                        <tr>
+                            <th scope="col">Linha</th>
+                            <th scope="col">Pergunta</th>
+                            <th scope="col">Tipo</th>
+                            <th scope="col">Resposta correta</th>
+                            <th scope="col">Situação</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${shown.map(result => this.getPreviewRowHTML(result)).join('')}
+                    </tbody>
+                </table>
+            </div>
+            ${results.length > shown.length ? `<p class="text-muted">Mostrando ${shown.length} de ${results.length} linhas.</p>` : ''}
+            <div class="import-controls">
+                <button type="button" class="btn btn-primary" data-action="save" ${valid.length === 0 ? 'disabled' : ''}>
+                    <i class="fas fa-save"></i> Salvar ${valid.length} no banco
+                </button>
+                <button type="button" class="btn btn-secondary" data-action="play" ${valid.length === 0 ? 'disabled' : ''}>
+                    <i class="fas fa-play"></i> Salvar e jogar
+                </button>
+            </div>
+        `;
+    }
+
+    getPreviewRowHTML(result) {
+        const question = result.draft;
+        const typeLabels = { multiple: 'Múltipla', boolean: 'V/F', multiselect: 'Várias corretas', open: 'Aberta' };
+        let correct = question.options[question.correct] || '';
+        if (question.type === 'open') {
+            correct = (question.acceptedAnswers || []).join(' | ');
+        } else if (question.type === 'multiselect') {
+            correct = question.correct.map(index => question.options[index]).join(' | ');
+        }
+
+        return `
+            <tr class="${result.question ? (result.duplicate ? 'mapping-row-warning' : '') : 'mapping-row-error'}">
+                <td>${result.row}</td>
+                <td>${window.quizApp.escapeHTML(question.text)}</td>
+                <td>${typeLabels[question.type]}</td>
+                <td>${result.question ? window.quizApp.escapeHTML(correct) : ''}</td>
+                <td>${window.quizApp.escapeHTML(this.getStatus(result))}</td>
+            </tr>
+        `;
+    }
+
+    getStatus(result) {
+        if (result.errors.length > 0) return result.errors.join('; ');
+        return result.duplicate
+            ? window.quizApp.dedupe.describeMatch(result.duplicate, `a linha ${result.duplicate.row}`)
+            : 'OK';
+    }
+
+    bindEvents(container) {
+        container.addEventListener('change', (e) => {
+            const column = e.target.dataset.column;
+            const setting = e.target.dataset.setting;
+
+            if (column !== undefined) {
+                this.mapping[parseInt(column, 10)] = e.target.value;
+                this.renderPreview();
+            } else if (setting === 'header') {
+                this.hasHeader = e.target.checked;
+                this.render();
+            } else if (setting === 'correctFormat') {
+                this.correctFormat = e.target.value;
+                this.renderPreview();
+            }
+        });
+
+        container.addEventListener('click', (e) => {
+            const action = e.target.closest('[data-action]')?.dataset.action;
+            if (action === 'save' || action === 'play') {
+                this.commit(action === 'play');
+            }
+        });
+    }
+
+    async commit(play) {
+        const questions = this.buildQuestions()
+            .filter(result => result.question)
+            .map(result => result.question);
+
+        questions.forEach(question => {
+            question.id = this.storage.saveQuestion({ ...question, importedAt: new Date().toISOString() });
+        });
+        this.close();
+        window.quizApp.quiz.cancelImport();
+
+        if (!(await this.storage.flush(this.storage.storageKeys.questions))) {
+            window.quizApp.showToast('As questões não puderam ser salvas no armazenamento', 'error');
+            return;
+        }
+        this.storage.logImport({ version: 'CSV' }, questions.length);
+
+        if (play) {
+            const playable = questions.filter(question => QuizBuilder.isPlayable(question));
+            if (playable.length > 0) {
+                window.quizApp.quiz.loadSession(playable, { type: 'import', label: 'Planilha importada' });
+            }
+        }
+
+        window.quizApp.showToast(`${questions.length} questões salvas no banco!`);
+    }
+
+    close() {
+        const container = document.getElementById('importMapping');
+        container.style.display = 'none';
+        container.innerHTML = '';
+        this.rows = [];
+    }
+
+    // ===== HELPERS =====
+
+    normalize(text) {
+        return String(text || '')
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .toLowerCase()
+            .trim();
+    }
+}
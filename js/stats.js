@@ -6,6 +6,11 @@
 class QuizStats {
     constructor() {
         this.storage = window.quizApp?.storage || new QuizStorage();
+        this.charts = new QuizCharts();
+
+        this.storage.onChange(['history', 'attempts', 'questions'], () => {
+            if (window.quizApp.currentView === 'stats') this.renderStatistics();
+        });
     }
 
     initialize() {
@@ -32,12 +37,12 @@ class QuizStats {
         container.innerHTML = this.generateStatsHTML(stats);
         
         // Add interactive elements
-        this.addChartPlaceholders(container);
+        this.renderCharts(container, stats);
         this.bindStatsEvents(container);
     }
 
     generateStatistics() {
-        const history = this.storage.getQuizHistory();
+        const history = this.storage.getQuizHistory(0);
         const questions = this.storage.getAllQuestions();
         
         return {
@@ -45,6 +50,7 @@ class QuizStats {
             performance: this.getPerformanceStats(history),
             trends: this.getTrendStats(history),
             categories: this.getCategoryStats(history, questions),
+            tags: this.getTagStats(questions),
             time: this.getTimeStats(history),
             recent: this.getRecentActivity(history)
         };
@@ -83,7 +89,9 @@ class QuizStats {
                 correctAnswers: 0,
                 incorrectAnswers: 0,
                 skippedAnswers: 0,
-                accuracyRate: 0
+                timedOutAnswers: 0,
+                accuracyRate: 0,
+                timeoutRate: 0
             };
         }
 
@@ -91,17 +99,26 @@ class QuizStats {
             acc.correct += result.summary.correctAnswers;
             acc.incorrect += result.summary.incorrectAnswers;
             acc.skipped += result.summary.skipped;
+            // Older entries were recorded before the countdown existed
+            acc.timedOut += result.summary.timedOut || 0;
+
+            if (result.summary.questionTimeLimit) {
+                acc.timedQuestions += result.summary.totalQuestions;
+            }
             return acc;
-        }, { correct: 0, incorrect: 0, skipped: 0 });
+        }, { correct: 0, incorrect: 0, skipped: 0, timedOut: 0, timedQuestions: 0 });
 
         const totalAnswered = totals.correct + totals.incorrect;
         const accuracyRate = totalAnswered > 0 ? Math.round((totals.correct / totalAnswered) * 100) : 0;
+        const timeoutRate = totals.timedQuestions > 0 ? Math.round((totals.timedOut / totals.timedQuestions) * 100) : 0;
 
         return {
             correctAnswers: totals.correct,
             incorrectAnswers: totals.incorrect,
             skippedAnswers: totals.skipped,
-            accuracyRate
+            timedOutAnswers: totals.timedOut,
+            accuracyRate,
+            timeoutRate
         };
     }
 
@@ -168,30 +185,91 @@ class QuizStats {
     }
 
     getCategoryStats(history, questions) {
-        const categoryData = {};
+        const groups = this.groupAttempts(attempt => [attempt.category || 'Sem categoria']);
 
         // Analyze questions by category
         questions.forEach(question => {
-            const category = question.category || 'Sem categoria';
-            if (!categoryData[category]) {
-                categoryData[category] = {
-                    totalQuestions: 0,
-                    totalAnswered: 0,
-                    correctAnswers: 0,
-                    averageScore: 0
-                };
-            }
-            categoryData[category].totalQuestions++;
+            this.getGroup(groups, question.category || 'Sem categoria').totalQuestions++;
+        });
+
+        return this.summarizeGroups(groups)
+            .sort((a, b) => b.totalQuestions - a.totalQuestions || b.totalAnswered - a.totalAnswered);
+    }
+
+    getTagStats(questions) {
+        const groups = this.groupAttempts(attempt => attempt.tags || []);
+
+        questions.forEach(question => {
+            (question.tags || []).forEach(tag => this.getGroup(groups, tag).totalQuestions++);
         });
 
-        // This would need more detailed tracking in quiz results
-        // For now, we'll show question distribution by category
-        const categories = Object.keys(categoryData).map(category => ({
-            name: category,
-            ...categoryData[category]
-        })).sort((a, b) => b.totalQuestions - a.totalQuestions);
+        return this.summarizeGroups(groups)
+            .sort((a, b) => b.totalAnswered - a.totalAnswered || b.totalQuestions - a.totalQuestions);
+    }
+
+    getCategoryHighlights(categories) {
+        // Too few answers make the accuracy meaningless
+        const ranked = categories
+            .filter(category => category.totalAnswered >= 3)
+            .sort((a, b) => a.averageScore - b.averageScore);
+
+        if (ranked.length < 2) {
+            return { weakest: null, strongest: null };
+        }
+
+        return {
+            weakest: ranked[0],
+            strongest: ranked[ranked.length - 1]
+        };
+    }
+
+    groupAttempts(getKeys) {
+        const groups = {};
+
+        // Accuracy comes from the per-question attempt log
+        this.storage.getAttempts().forEach(attempt => {
+            if (attempt.status === 'skipped') return;
+
+            getKeys(attempt).forEach(key => {
+                const group = this.getGroup(groups, key);
+                group.totalAnswered++;
+                if (attempt.correct) group.correctAnswers++;
+                if (attempt.timeSpent) {
+                    group.totalTime += attempt.timeSpent;
+                    group.timedAnswers++;
+                }
+            });
+        });
+
+        return groups;
+    }
+
+    getGroup(groups, name) {
+        if (!groups[name]) {
+            groups[name] = {
+                totalQuestions: 0,
+                totalAnswered: 0,
+                correctAnswers: 0,
+                totalTime: 0,
+                timedAnswers: 0
+            };
+        }
+        return groups[name];
+    }
+
+    summarizeGroups(groups) {
+        return Object.keys(groups).map(name => {
+            const { totalTime, timedAnswers, ...group } = groups[name];
 
-        return categories;
+            return {
+                name,
+                ...group,
+                averageScore: group.totalAnswered > 0
+                    ? Math.round((group.correctAnswers / group.totalAnswered) * 100)
+                    : 0,
+                averageTime: timedAnswers > 0 ? totalTime / timedAnswers : 0
+            };
+        });
     }
 
     getTimeStats(history) {
@@ -237,10 +315,50 @@ class QuizStats {
             score: result.summary.percentage,
             questions: result.summary.totalQuestions,
             time: this.formatTime(result.summary.totalTime || 0),
-            id: result.id
+            source: result.source ? result.source.label : '',
+            // Entries saved before sessions had ids are found by timestamp
+            id: result.id || result.timestamp
         }));
     }
 
+    getCategoryItemHTML(group, attribute) {
+        const practicable = group.totalQuestions > 0 && group.name !== 'Sem categoria';
+
+        return `
+            <div class="category-item ${practicable ? 'practicable' : ''}" ${practicable ? `${attribute}="${window.quizApp.escapeHTML(group.name)}" role="button" tabindex="0" title="Praticar esta seleção"` : ''}>
+                <div>
+                    <div class="category-name">${attribute === 'data-tag' ? '#' : ''}${window.quizApp.escapeHTML(group.name)}</div>
+                    <div class="category-count">
+                        ${group.totalQuestions} questões${group.totalAnswered > 0
+                            ? ` · ${group.totalAnswered} respostas · ${this.formatTime(group.averageTime)} por questão`
+                            : ' · ainda não respondidas'}
+                    </div>
+                </div>
+                ${group.totalAnswered > 0
+                    ? `<span class="activity-score ${this.getScoreClass(group.averageScore)}">${group.averageScore}%</span>`
+                    : ''}
+            </div>
+        `;
+    }
+
+    getHighlightsHTML(categories) {
+        const { weakest, strongest } = this.getCategoryHighlights(categories);
+        if (!weakest) return '';
+
+        return `
+            <div class="category-highlights">
+                <div class="category-highlight weakest">
+                    <div class="category-count"><i class="fas fa-arrow-down"></i> Categoria mais fraca</div>
+                    <div class="category-name">${window.quizApp.escapeHTML(weakest.name)} · ${weakest.averageScore}%</div>
+                </div>
+                <div class="category-highlight strongest">
+                    <div class="category-count"><i class="fas fa-arrow-up"></i> Categoria mais forte</div>
+                    <div class="category-name">${window.quizApp.escapeHTML(strongest.name)} · ${strongest.averageScore}%</div>
+                </div>
+            </div>
+        `;
+    }
+
     generateStatsHTML(stats) {
         return `
             <div class="stats-dashboard">
@@ -323,6 +441,10 @@ class QuizStats {
                             <div class="performance-number">${stats.performance.skippedAnswers}</div>
                             <div class="performance-label">Questões Puladas</div>
                         </div>
+                        <div class="performance-item timeout">
+                            <div class="performance-number">${stats.performance.timedOutAnswers} (${stats.performance.timeoutRate}%)</div>
+                            <div class="performance-label">Tempo Esgotado</div>
+                        </div>
                         <div class="performance-item accuracy">
                             <div class="performance-number">${stats.performance.accuracyRate}%</div>
                             <div class="performance-label">Taxa de Acerto</div>
@@ -392,14 +514,20 @@ class QuizStats {
                 <!-- Categories Section -->
                 ${stats.categories.length > 0 ? `
                 <div class="stats-section">
-                    <h3><i class="fas fa-folder"></i> Questões por Categoria</h3>
+                    <h3><i class="fas fa-folder"></i> Desempenho por Categoria</h3>
+                    ${this.getHighlightsHTML(stats.categories)}
                     <div class="categories-list">
-                        ${stats.categories.map(category => `
-                            <div class="category-item">
-                                <div class="category-name">${category.name}</div>
-                                <div class="category-count">${category.totalQuestions} questões</div>
-                            </div>
-                        `).join('')}
+                        ${stats.categories.map(category => this.getCategoryItemHTML(category, 'data-category')).join('')}
+                    </div>
+                </div>
+                ` : ''}
+
+                <!-- Tags Section -->
+                ${stats.tags.length > 0 ? `
+                <div class="stats-section">
+                    <h3><i class="fas fa-tags"></i> Desempenho por Tag</h3>
+                    <div class="categories-list">
+                        ${stats.tags.map(tag => this.getCategoryItemHTML(tag, 'data-tag')).join('')}
                     </div>
                 </div>
                 ` : ''}
@@ -410,13 +538,14 @@ class QuizStats {
                     <h3><i class="fas fa-history"></i> Atividade Recente</h3>
                     <div class="recent-activity">
                         ${stats.recent.map(activity => `
-                            <div class="activity-item">
+                            <div class="activity-item" data-session="${window.quizApp.escapeHTML(activity.id)}" role="button" tabindex="0" title="Ver detalhes do quiz">
                                 <div class="activity-date">${activity.date}</div>
                                 <div class="activity-details">
                                     <span class="activity-score ${this.getScoreClass(activity.score)}">${activity.score}%</span>
                                     <span class="activity-questions">${activity.questions} questões</span>
                                     <span class="activity-time">${activity.time}</span>
                                 </div>
+                                ${activity.source ? `<div class="activity-source">${window.quizApp.escapeHTML(activity.source)}</div>` : ''}
                             </div>
                         `).join('')}
                     </div>
@@ -439,43 +568,102 @@ class QuizStats {
         `;
     }
 
-    addChartPlaceholders(container) {
-        // Add placeholders for future chart implementations
+    renderCharts(container, stats) {
         const chartsSection = document.createElement('div');
-        chartsSection.className = 'stats-section';
+        chartsSection.className = 'stats-section charts-section';
         chartsSection.innerHTML = `
             <h3><i class="fas fa-chart-area"></i> Gráficos de Progresso</h3>
-            <div class="charts-placeholder">
-                <div class="chart-item">
-                    <div class="chart-placeholder-content">
-                        <i class="fas fa-chart-line" style="font-size: 3rem; color: var(--text-muted);"></i>
-                        <p>Gráfico de pontuação ao longo do tempo</p>
-                        <p class="text-muted">Em desenvolvimento</p>
-                    </div>
-                </div>
-                <div class="chart-item">
-                    <div class="chart-placeholder-content">
-                        <i class="fas fa-chart-pie" style="font-size: 3rem; color: var(--text-muted);"></i>
-                        <p>Distribuição de acertos por categoria</p>
-                        <p class="text-muted">Em desenvolvimento</p>
-                    </div>
-                </div>
+            <div class="charts-grid">
+                ${this.charts.lineChart({
+                    title: 'Pontuação ao longo do tempo',
+                    points: this.getScoreTimeline(),
+                    columns: ['Quiz', 'Pontuação'],
+                    emptyMessage: 'Complete alguns quizzes para ver sua evolução'
+                })}
+                ${this.charts.pieChart({
+                    title: 'Distribuição de acertos por categoria',
+                    slices: stats.categories
+                        .filter(category => category.correctAnswers > 0)
+                        .map(category => ({ label: category.name, value: category.correctAnswers })),
+                    columns: ['Categoria', 'Acertos'],
+                    emptyMessage: 'Nenhum acerto registrado ainda'
+                })}
+                ${this.charts.barChart({
+                    title: 'Tempo por questão',
+                    bars: this.getTimeHistogram(),
+                    columns: ['Intervalo', 'Respostas'],
+                    valueLabel: ' respostas',
+                    emptyMessage: 'Nenhuma resposta cronometrada ainda'
+                })}
             </div>
         `;
 
         // Insert before actions
         const actionsDiv = container.querySelector('.stats-actions');
         if (actionsDiv) {
-            container.insertBefore(chartsSection, actionsDiv);
+            actionsDiv.parentNode.insertBefore(chartsSection, actionsDiv);
+        } else {
+            container.appendChild(chartsSection);
         }
+
+        this.charts.bindTooltips(chartsSection);
+    }
+
+    getScoreTimeline(limit = 20) {
+        return this.storage.getQuizHistory(0)
+            .filter(entry => entry.timestamp && entry.summary)
+            .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp))
+            .slice(-limit)
+            .map(entry => ({
+                label: new Date(entry.timestamp).toLocaleDateString('pt-BR', { day: '2-digit', month: '2-digit' }),
+                value: entry.summary.percentage
+            }));
+    }
+
+    getTimeHistogram() {
+        const buckets = [
+            { label: '<5s', max: 5000 },
+            { label: '5-10s', max: 10000 },
+            { label: '10-20s', max: 20000 },
+            { label: '20-30s', max: 30000 },
+            { label: '30-60s', max: 60000 },
+            { label: '60s+', max: Infinity }
+        ].map(bucket => ({ ...bucket, value: 0 }));
+
+        this.storage.getAttempts()
+            .filter(attempt => attempt.timeSpent)
+            .forEach(attempt => {
+                buckets.find(bucket => attempt.timeSpent < bucket.max).value++;
+            });
+
+        return buckets.map(({ label, value }) => ({ label, value }));
     }
 
     bindStatsEvents(container) {
+        // Start a practice quiz from a category or tag row
+        container.querySelectorAll('.category-item.practicable').forEach(item => {
+            const practice = () => this.startPractice({
+                category: item.dataset.category || '',
+                tags: item.dataset.tag ? [item.dataset.tag] : []
+            });
+
+            item.addEventListener('click', practice);
+            item.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter' || e.key === ' ') {
+                    e.preventDefault();
+                    practice();
+                }
+            });
+        });
+
         // Add click handlers for recent activity items
         container.querySelectorAll('.activity-item').forEach(item => {
-            item.addEventListener('click', () => {
-                // Could show detailed quiz results
-                window.quizApp.showToast('Funcionalidade de detalhes em desenvolvimento');
+            item.addEventListener('click', () => this.showSessionDetail(item.dataset.session));
+            item.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter' || e.key === ' ') {
+                    e.preventDefault();
+                    this.showSessionDetail(item.dataset.session);
+                }
             });
         });
     }
@@ -547,18 +735,215 @@ class QuizStats {
         } else if (diffDays < 7) {
             return `${diffDays} dias atrás`;
         } else {
-            return date.toLocaleDateString('pt-BR');
+            return window.quizApp.formatDate(timestamp);
         }
     }
 
+    // ===== SESSION DETAIL =====
+
+    getSession(id) {
+        return this.storage.getQuizHistory(0).find(entry => (entry.id || entry.timestamp) === id);
+    }
+
+    showSessionDetail(id) {
+        const session = this.getSession(id);
+        if (!session) {
+            window.quizApp.showToast('Quiz não encontrado no histórico', 'error');
+            return;
+        }
+
+        let modal = document.getElementById('sessionModal');
+        if (!modal) {
+            modal = document.createElement('div');
+            modal.id = 'sessionModal';
+            modal.className = 'modal';
+            document.body.appendChild(modal);
+
+            modal.addEventListener('click', (e) => {
+                if (e.target === modal || e.target.closest('.modal-close')) {
+                    modal.classList.remove('active');
+                } else if (e.target.closest('[data-action="retry"]')) {
+                    modal.classList.remove('active');
+                    this.retryMissed(modal.dataset.session);
+                }
+            });
+        }
+
+        const missed = this.getMissedQuestions(session);
+
+        modal.dataset.session = id;
+        modal.innerHTML = `
+            <div class="modal-content session-detail">
+                <div class="modal-header">
+                    <h3><i class="fas fa-clipboard-check"></i> Detalhes do Quiz</h3>
+                    <button class="modal-close">&times;</button>
+                </div>
+                <div class="modal-body">
+                    <div class="session-summary">
+                        <span>${window.quizApp.formatDate(session.timestamp, true)}</span>
+                        ${session.source ? `<span class="meta-badge">${window.quizApp.escapeHTML(session.source.label)}</span>` : ''}
+                        <span class="activity-score ${this.getScoreClass(session.summary.percentage)}">${session.summary.percentage}%</span>
+                        <span class="text-muted">${session.summary.correctAnswers}/${session.summary.totalQuestions} corretas · ${this.formatTime(session.summary.totalTime || 0)}</span>
+                    </div>
+                    <div class="results-list">
+                        ${(session.questions || []).map((question, index) => this.getSessionQuestionHTML(question, index)).join('')}
+                    </div>
+                    <div class="form-actions">
+                        <button type="button" class="btn btn-primary" data-action="retry" ${missed.length === 0 ? 'disabled' : ''}>
+                            <i class="fas fa-redo"></i> Refazer só as erradas (${missed.length})
+                        </button>
+                    </div>
+                </div>
+            </div>
+        `;
+        modal.classList.add('active');
+    }
+
+    getSessionQuestionHTML(question, index) {
+        const status = this.getSessionQuestionStatus(question);
+        const labels = {
+            correct: { className: 'result-correct', icon: '✓', text: 'Correta' },
+            incorrect: { className: 'result-incorrect', icon: '✗', text: 'Incorreta' },
+            timeout: { className: 'result-timeout', icon: '⏱', text: 'Tempo esgotado' },
+            skipped: { className: 'result-skipped', icon: '→', text: 'Pulada' },
+            unanswered: { className: 'result-skipped', icon: '○', text: 'Não respondida' }
+        };
+        const label = labels[status];
+        const answered = status === 'correct' || status === 'incorrect';
+
+        return `
+            <div class="result-item ${label.className}">
+                <div class="result-status">
+                    <span class="result-icon">${label.icon}</span>
+                    <span class="result-number">${index + 1}.</span>
+                </div>
+                <div class="result-content">
+                    <div class="result-question">${window.quizApp.escapeHTML(question.type === 'cloze' ? window.quizApp.answers.maskBlanks(question.question) : question.question)}</div>
+                    <div class="session-answers">
+                        ${answered ? `<div>Sua resposta: <strong>${window.quizApp.escapeHTML(question.userAnswer)}</strong>${question.selfGraded ? ' <span class="text-muted">(autocorrigida)</span>' : ''}</div>` : ''}
+                        ${status !== 'correct' && question.correctAnswer ? `<div>Resposta correta: <strong class="text-success">${window.quizApp.escapeHTML(question.correctAnswer)}</strong></div>` : ''}
+                    </div>
+                    ${question.explanation ? `<div class="session-explanation">${window.quizApp.escapeHTML(question.explanation)}</div>` : ''}
+                    <div class="result-meta">
+                        <span class="result-status-text">${question.score > 0 && question.score < 1 ? `Parcial (${Math.round(question.score * 100)}%)` : label.text}</span>
+                        <span class="result-time">Tempo: ${question.timeSpent ? this.formatTime(question.timeSpent) : '--'}</span>
+                    </div>
+                </div>
+            </div>
+        `;
+    }
+
+    getSessionQuestionStatus(question) {
+        if (question.status) return question.status;
+
+        // Entries saved before statuses were recorded
+        if (question.isCorrect) return 'correct';
+        return question.userAnswer === 'Não respondida' ? 'unanswered' : 'incorrect';
+    }
+
+    getMissedQuestions(session) {
+        // Only the ones answered wrong or out of time; skipped and unanswered weren't missed
+        return (session.questions || [])
+            .filter(question => ['incorrect', 'timeout'].includes(this.getSessionQuestionStatus(question)))
+            .map(question => {
+                // Prefer the bank copy so later edits are used
+                const stored = question.questionId && this.storage.getQuestionById(question.questionId);
+                if (stored && QuizBuilder.isPlayable(stored)) {
+                    return QuizBuilder.toQuizQuestion(stored);
+                }
+
+                if (question.type === 'open') {
+                    return {
+                        text: question.question,
+                        type: 'open',
+                        options: [],
+                        correct: 0,
+                        acceptedAnswers: question.acceptedAnswers || [],
+                        explanation: question.explanation,
+                        category: question.category || '',
+                        difficulty: question.difficulty || 'medium'
+                    };
+                }
+
+                if (['ordering', 'matching', 'cloze'].includes(question.type)) {
+                    return {
+                        text: question.question,
+                        type: question.type,
+                        options: [],
+                        correct: 0,
+                        ...(question.items && { items: question.items }),
+                        ...(question.pairs && { pairs: question.pairs }),
+                        scoring: question.scoring || 'all',
+                        explanation: question.explanation,
+                        category: question.category || '',
+                        difficulty: question.difficulty || 'medium'
+                    };
+                }
+
+                if (question.type === 'multiselect') {
+                    return {
+                        text: question.question,
+                        type: 'multiselect',
+                        options: question.options,
+                        correct: question.correctIndexes || [],
+                        explanation: question.explanation,
+                        category: question.category || '',
+                        difficulty: question.difficulty || 'medium'
+                    };
+                }
+
+                return {
+                    text: question.question,
+                    options: question.options,
+                    correct: question.options.indexOf(question.correctAnswer),
+                    explanation: question.explanation,
+                    category: question.category || '',
+                    difficulty: question.difficulty || 'medium'
+                };
+            })
+            .filter(question => QuizBuilder.isPlayable(question));
+    }
+
+    retryMissed(id) {
+        const session = this.getSession(id);
+        const questions = session ? this.getMissedQuestions(session) : [];
+
+        if (questions.length === 0) {
+            window.quizApp.showToast('Nenhuma questão errada para refazer', 'error');
+            return;
+        }
+
+        window.quizApp.builder.loadSession({
+            questions,
+            source: {
+                type: 'retry',
+                id: session.id || session.timestamp,
+                label: `Refazer erradas de ${window.quizApp.formatDate(session.timestamp)}`
+            }
+        });
+    }
+
     // Action methods
+    startPractice(filter) {
+        const builder = window.quizApp.builder;
+        const session = builder.buildFromFilter({ ...filter, random: true });
+
+        if (session.questions.length === 0) {
+            window.quizApp.showToast('Nenhuma questão jogável nesta seleção', 'error');
+            return;
+        }
+
+        session.source.label = `Prática: ${filter.category || `#${filter.tags[0]}`}`;
+        builder.loadSession(session);
+    }
+
     exportStats() {
         const stats = this.generateStatistics();
         const exportData = {
             timestamp: new Date().toISOString(),
             statistics: stats,
             rawData: {
-                history: this.storage.getQuizHistory(),
+                history: this.storage.getQuizHistory(0),
                 questions: this.storage.getAllQuestions()
             }
         };
@@ -576,7 +961,6 @@ class QuizStats {
         
         if (confirm) {
             this.storage.deleteQuizHistory();
-            this.renderStatistics();
             window.quizApp.showToast('Histórico limpo com sucesso');
         }
     }
@@ -1,6 +1,8 @@
 /**
  * Quiz Storage Module
- * Handles data persistence and local storage management
+ * Handles data persistence: questions, collections, history and attempts live
+ * in IndexedDB (QuizDatabase) behind an in-memory copy that keeps reads
+ * synchronous; settings and other small state stay in localStorage
  */
 
 class QuizStorage {
@@ -13,15 +15,46 @@ class QuizStorage {
             theme: 'quiz-theme',
             appState: 'quiz-app-state',
             collections: 'quiz-collections',
-            imports: 'quiz-imports'
+            filters: 'quiz-saved-filters',
+            review: 'quiz-review-schedule',
+            attempts: 'quiz-attempts',
+            imports: 'quiz-imports',
+            dismissedDuplicates: 'quiz-dismissed-duplicates',
+            backend: 'quiz-storage-backend',
+            schemaVersion: 'quiz-schema-version',
+            migrations: 'quiz-migrations'
         };
-        
-        this.init();
+
+        // Keys whose data moved to IndexedDB, and the store each one lives in
+        this.tables = {
+            [this.storageKeys.questions]: 'questions',
+            [this.storageKeys.collections]: 'collections',
+            [this.storageKeys.history]: 'sessions',
+            [this.storageKeys.attempts]: 'attempts'
+        };
+
+        // Change events are named after the storageKeys entries ('questions', 'history'...)
+        this.keyNames = Object.fromEntries(Object.entries(this.storageKeys).map(([name, key]) => [key, name]));
+        this.listeners = [];
+        this.changed = new Set();
+
+        // Version of the record shapes, stored with the data and written into every export
+        this.migrations = new SchemaMigrations();
+        this.schemaVersion = this.migrations.currentVersion;
+
+        this.database = new QuizDatabase();
+        this.backend = 'localStorage';
+        this.cache = new Map();
+        this.written = new Map();
+        this.stale = new Set();
+        this.writes = Promise.resolve();
+
+        // Resolves once the data is loaded; QuizApp waits for it before building the modules
+        this.ready = this.load();
     }
 
-    init() {
-        this.migrateOldData();
-        this.cleanupOldEntries();
+    async init() {
+        await this.migrateSchema();
     }
 
     // ===== QUESTIONS MANAGEMENT =====
@@ -48,6 +81,21 @@ class QuizStorage {
         return question.id;
     }
 
+    addQuestions(items) {
+        // Appends already prepared questions (ids and dates set) in one write
+        return this.setItem(this.storageKeys.questions, [...this.getAllQuestions(), ...items]);
+    }
+
+    updateQuestion(id, changes) {
+        // Merges into the stored question, keeping the fields the caller doesn't know about
+        const questions = this.getAllQuestions();
+        const index = questions.findIndex(q => q.id === id);
+        if (index === -1) return false;
+
+        questions[index] = { ...questions[index], ...changes, updatedAt: new Date().toISOString() };
+        return this.setItem(this.storageKeys.questions, questions);
+    }
+
     getAllQuestions() {
         return this.getItem(this.storageKeys.questions, []);
     }
@@ -64,6 +112,27 @@ class QuizStorage {
         return filtered.length < questions.length;
     }
 
+    restoreQuestion(question, index = -1) {
+        return this.restoreQuestions([{ question, index }])[0];
+    }
+
+    restoreQuestions(items) {
+        // Puts deleted questions back where they were, keeping their original dates.
+        // Lowest positions go first so the later indexes still line up.
+        const restoredIds = new Set(items.map(item => item.question.id));
+        const questions = this.getAllQuestions().filter(q => !restoredIds.has(q.id));
+
+        [...items]
+            .sort((a, b) => a.index - b.index)
+            .forEach(({ question, index }) => {
+                const position = index >= 0 && index <= questions.length ? index : questions.length;
+                questions.splice(position, 0, question);
+            });
+
+        this.setItem(this.storageKeys.questions, questions);
+        return items.map(item => item.question.id);
+    }
+
     searchQuestions(query, filters = {}) {
         const questions = this.getAllQuestions();
         
@@ -97,36 +166,204 @@ class QuizStorage {
         });
     }
 
+    // ===== BULK OPERATIONS =====
+
+    async applyBatch(operations) {
+        // Applies every operation to one in-memory copy and writes it once.
+        // Each operation: { type: 'update' | 'delete' | 'duplicate', id, changes? }
+        const questions = this.getAllQuestions();
+        const original = this.getAllQuestions();
+        const now = new Date().toISOString();
+        const results = [];
+
+        operations.forEach(operation => {
+            const index = questions.findIndex(q => q.id === operation.id);
+
+            if (index === -1) {
+                results.push({ id: operation.id, success: false, error: 'Questão não encontrada' });
+                return;
+            }
+
+            try {
+                switch (operation.type) {
+                    case 'update': {
+                        this.validateQuestionChanges(operation.changes);
+                        questions[index] = { ...questions[index], ...operation.changes, updatedAt: now };
+                        results.push({ id: operation.id, success: true });
+                        break;
+                    }
+                    case 'delete': {
+                        const [removed] = questions.splice(index, 1);
+                        results.push({ id: operation.id, success: true, question: removed, index });
+                        break;
+                    }
+                    case 'duplicate': {
+                        const copy = JSON.parse(JSON.stringify(questions[index]));
+                        copy.id = this.generateId();
+                        copy.createdAt = now;
+                        delete copy.updatedAt;
+                        delete copy.importedAt;
+
+                        questions.push(copy);
+                        results.push({ id: operation.id, success: true, newId: copy.id });
+                        break;
+                    }
+                    default:
+                        throw new Error(`Operação desconhecida: ${operation.type}`);
+                }
+            } catch (error) {
+                results.push({ id: operation.id, success: false, error: error.message });
+            }
+        });
+
+        const changed = results.some(result => result.success);
+        const saved = changed && this.setItem(this.storageKeys.questions, questions) && await this.flush(this.storageKeys.questions);
+        if (changed && !saved) {
+            // Nothing was written, so no item actually succeeded; put the questions back
+            // as they were so the screens don't show a change that isn't stored
+            this.setItem(this.storageKeys.questions, original);
+            results.forEach(result => {
+                if (result.success) {
+                    result.success = false;
+                    result.error = 'Falha ao salvar no armazenamento';
+                }
+            });
+        }
+
+        const succeeded = results.filter(result => result.success).length;
+
+        return {
+            success: succeeded === results.length,
+            succeeded,
+            failed: results.length - succeeded,
+            results
+        };
+    }
+
+    validateQuestionChanges(changes = {}) {
+        if ('difficulty' in changes && !['easy', 'medium', 'hard'].includes(changes.difficulty)) {
+            throw new Error(`Dificuldade inválida: ${changes.difficulty}`);
+        }
+
+        if ('category' in changes && typeof changes.category !== 'string') {
+            throw new Error('Categoria inválida');
+        }
+
+        if ('tags' in changes && (!Array.isArray(changes.tags) || changes.tags.some(tag => typeof tag !== 'string'))) {
+            throw new Error('Tags inválidas');
+        }
+    }
+
+    // ===== DUPLICATES =====
+
+    mergeDuplicates(keepId, duplicateIds) {
+        // Folds the duplicates into one question and repoints everything that
+        // referenced them (collections, attempts, history, review schedule)
+        const questions = this.getAllQuestions();
+        const kept = questions.find(q => q.id === keepId);
+        const ids = new Set(duplicateIds.filter(id => id !== keepId));
+        const duplicates = questions.filter(q => ids.has(q.id));
+
+        if (!kept || duplicates.length === 0) {
+            return { success: false, merged: 0 };
+        }
+
+        const merged = { ...kept };
+        duplicates.forEach(duplicate => {
+            merged.tags = [...new Set([...(merged.tags || []), ...(duplicate.tags || [])])];
+            if (!merged.explanation && duplicate.explanation) merged.explanation = duplicate.explanation;
+            if (!merged.category && duplicate.category) merged.category = duplicate.category;
+        });
+        merged.mergedFrom = [...new Set([
+            ...(kept.mergedFrom || []),
+            ...duplicates.flatMap(duplicate => [duplicate.id, ...(duplicate.mergedFrom || [])])
+        ])];
+        merged.updatedAt = new Date().toISOString();
+
+        this.setItem(this.storageKeys.questions, questions
+            .filter(q => !ids.has(q.id))
+            .map(q => q.id === keepId ? merged : q));
+
+        const remap = (id) => ids.has(id) ? keepId : id;
+
+        const collections = this.getAllCollections().map(collection => ({
+            ...collection,
+            questionIds: [...new Set((collection.questionIds || []).map(remap))]
+        }));
+        this.setItem(this.storageKeys.collections, collections);
+
+        const attempts = this.getAttempts().map(attempt => ({ ...attempt, questionId: remap(attempt.questionId) }));
+        this.setItem(this.storageKeys.attempts, attempts);
+
+        const history = this.getQuizHistory(0).map(session => ({
+            ...session,
+            questions: (session.questions || []).map(question => ({ ...question, questionId: remap(question.questionId) }))
+        }));
+        this.saveQuizHistory(history);
+
+        // Keep the most recently reviewed schedule entry, as importData does
+        const schedule = this.getReviewSchedule();
+        ids.forEach(id => {
+            const entry = schedule[id];
+            if (!entry) return;
+
+            const existing = schedule[keepId];
+            if (!existing || new Date(entry.lastReviewed) > new Date(existing.lastReviewed)) {
+                schedule[keepId] = entry;
+            }
+            delete schedule[id];
+        });
+        this.saveReviewSchedule(schedule);
+
+        return { success: true, merged: duplicates.length, question: merged };
+    }
+
+    getDismissedDuplicates() {
+        return this.getItem(this.storageKeys.dismissedDuplicates, []);
+    }
+
+    dismissDuplicates(ids) {
+        // Every pair in the group is remembered as "not a duplicate"
+        const dismissed = new Set(this.getDismissedDuplicates());
+        ids.forEach((idA, index) => {
+            ids.slice(index + 1).forEach(idB => dismissed.add([idA, idB].sort().join('|')));
+        });
+        return this.setItem(this.storageKeys.dismissedDuplicates, [...dismissed]);
+    }
+
     // ===== QUIZ HISTORY =====
     
     saveQuizResult(result) {
-        const history = this.getQuizHistory();
-        
-        // Add result with metadata
+        // Add result with metadata (a session may bring its own, shared with its attempts)
         const resultWithMeta = {
             ...result,
-            id: this.generateId(),
-            timestamp: new Date().toISOString()
+            id: result.id || this.generateId(),
+            timestamp: result.timestamp || new Date().toISOString()
         };
         
-        history.unshift(resultWithMeta);
-        
-        // Keep only last 100 results
-        if (history.length > 100) {
-            history.splice(100);
-        }
-        
-        this.setItem(this.storageKeys.history, history);
+        this.saveQuizHistory([resultWithMeta, ...this.getQuizHistory(0)]);
         return resultWithMeta.id;
     }
 
     getQuizHistory(limit = 50) {
-        const history = this.getItem(this.storageKeys.history, []);
+        // Most recent first, whatever order older versions saved the entries in
+        const history = this.getItem(this.storageKeys.history, [])
+            .sort((a, b) => this.getTime(b.timestamp) - this.getTime(a.timestamp));
         return limit ? history.slice(0, limit) : history;
     }
 
+    saveQuizHistory(history) {
+        // Stored oldest first, so a new session is appended instead of moving every record
+        const chronological = [...history].sort((a, b) => this.getTime(a.timestamp) - this.getTime(b.timestamp));
+        return this.setItem(this.storageKeys.history, chronological);
+    }
+
+    getTime(timestamp) {
+        return new Date(timestamp).getTime() || 0;
+    }
+
     getQuizStatistics() {
-        const history = this.getQuizHistory();
+        const history = this.getQuizHistory(0);
         
         if (history.length === 0) {
             return {
@@ -169,7 +406,30 @@ class QuizStorage {
     }
 
     deleteQuizHistory() {
-        this.setItem(this.storageKeys.history, []);
+        this.saveQuizHistory([]);
+        this.setItem(this.storageKeys.attempts, []);
+    }
+
+    // ===== ATTEMPT LOG =====
+
+    saveAttempts(attempts) {
+        const log = this.getItem(this.storageKeys.attempts, []);
+        log.push(...attempts);
+
+        return this.setItem(this.storageKeys.attempts, log);
+    }
+
+    getAttempts(filters = {}) {
+        const log = this.getItem(this.storageKeys.attempts, []);
+
+        return log.filter(attempt => {
+            if (filters.questionId && attempt.questionId !== filters.questionId) return false;
+            if (filters.sessionId && attempt.sessionId !== filters.sessionId) return false;
+            if (filters.category && attempt.category !== filters.category) return false;
+            if (filters.tag && !(attempt.tags || []).includes(filters.tag)) return false;
+            if (filters.since && new Date(attempt.timestamp) < new Date(filters.since)) return false;
+            return true;
+        });
     }
 
     // ===== COLLECTIONS MANAGEMENT =====
@@ -203,6 +463,26 @@ class QuizStorage {
         return collections.find(c => c.id === id);
     }
 
+    addQuestionsToCollection(collectionId, questionIds) {
+        const collection = this.getCollectionById(collectionId);
+        if (!collection) {
+            throw new Error('Coleção não encontrada');
+        }
+
+        const existing = new Set(collection.questionIds || []);
+        const added = questionIds.filter(id => !existing.has(id));
+
+        this.saveCollection({
+            ...collection,
+            questionIds: [...(collection.questionIds || []), ...added]
+        });
+
+        return {
+            added: added.length,
+            skipped: questionIds.length - added.length
+        };
+    }
+
     deleteCollection(id) {
         const collections = this.getAllCollections();
         const filtered = collections.filter(c => c.id !== id);
@@ -210,58 +490,163 @@ class QuizStorage {
         return filtered.length < collections.length;
     }
 
+    // ===== SAVED FILTERS =====
+
+    saveFilter(filter) {
+        const filters = this.getAllFilters();
+
+        if (filter.id) {
+            const index = filters.findIndex(f => f.id === filter.id);
+            if (index !== -1) {
+                filters[index] = { ...filter, updatedAt: new Date().toISOString() };
+            }
+        } else {
+            filter.id = this.generateId();
+            filter.createdAt = new Date().toISOString();
+            filters.push(filter);
+        }
+
+        this.setItem(this.storageKeys.filters, filters);
+        return filter.id;
+    }
+
+    getAllFilters() {
+        return this.getItem(this.storageKeys.filters, []);
+    }
+
+    getFilterById(id) {
+        return this.getAllFilters().find(f => f.id === id);
+    }
+
+    deleteFilter(id) {
+        const filters = this.getAllFilters();
+        const remaining = filters.filter(f => f.id !== id);
+        this.setItem(this.storageKeys.filters, remaining);
+        return remaining.length < filters.length;
+    }
+
+    // ===== REVIEW SCHEDULE =====
+
+    getReviewSchedule() {
+        return this.getItem(this.storageKeys.review, {});
+    }
+
+    saveReviewSchedule(schedule) {
+        return this.setItem(this.storageKeys.review, schedule);
+    }
+
+    // ===== SETTINGS & APP STATE =====
+
+    getSettings(defaults = {}) {
+        return { ...defaults, ...this.getItem(this.storageKeys.settings, {}) };
+    }
+
+    saveSettings(settings) {
+        return this.setItem(this.storageKeys.settings, settings);
+    }
+
+    getTheme() {
+        // Kept as a bare string rather than JSON, as it always was
+        return localStorage.getItem(this.storageKeys.theme);
+    }
+
+    saveTheme(theme) {
+        this.notifyChange(this.storageKeys.theme);
+        localStorage.setItem(this.storageKeys.theme, theme);
+    }
+
+    getAppState() {
+        return this.getItem(this.storageKeys.appState, null);
+    }
+
+    saveAppState(state) {
+        return this.setItem(this.storageKeys.appState, state);
+    }
+
+    getDraft() {
+        return this.getItem(this.storageKeys.draft, null);
+    }
+
+    saveDraft(question) {
+        return this.setItem(this.storageKeys.draft, question);
+    }
+
+    clearDraft() {
+        return this.removeItem(this.storageKeys.draft);
+    }
+
     // ===== IMPORT/EXPORT =====
     
     exportData(includeHistory = true) {
         const data = {
-            version: '1.0',
+            version: this.schemaVersion,
             exportDate: new Date().toISOString(),
             questions: this.getAllQuestions(),
             collections: this.getAllCollections(),
-            settings: this.getItem(this.storageKeys.settings, {})
+            filters: this.getAllFilters(),
+            settings: this.getSettings()
         };
         
         if (includeHistory) {
-            data.history = this.getQuizHistory();
+            data.history = this.getQuizHistory(0);
+            data.reviewSchedule = this.getReviewSchedule();
+            data.attempts = this.getAttempts();
         }
         
         return data;
     }
 
-    importData(data, options = {}) {
+    importData(source, options = {}) {
         const { 
             mergeQuestions = true, 
             mergeCollections = true, 
             mergeHistory = false,
-            overwriteSettings = false 
+            overwriteSettings = false,
+            dryRun = false,
+            resolutions = {}
         } = options;
         
+        // Files from older versions are upgraded (and checked) before anything else looks at them
+        const { data, migration } = this.upgradeImport(source);
+        const adjusted = migration && (migration.repaired.length > 0 || migration.dropped.length > 0);
+        const upgradeNote = adjusted ? ` · arquivo da versão ${migration.from}: ${this.migrations.summarize(migration)}` : '';
+
         let importedCount = 0;
+        let decisions = null;
+        const incoming = Array.isArray(data.questions) ? data.questions : null;
+        const diff = incoming ? this.diffImport(data, { mergeQuestions }) : null;
+
+        // A dry run only describes what would happen; nothing is written
+        if (dryRun) {
+            return {
+                success: true,
+                dryRun: true,
+                diff,
+                migration,
+                message: (diff ? this.describeDiff(diff) : 'Nenhuma questão no arquivo') + upgradeNote
+            };
+        }
         
         try {
             // Import questions
-            if (data.questions && Array.isArray(data.questions)) {
+            if (incoming) {
                 if (mergeQuestions) {
-                    const existingQuestions = this.getAllQuestions();
-                    const existingIds = new Set(existingQuestions.map(q => q.id));
-                    
-                    const newQuestions = data.questions.filter(q => !existingIds.has(q.id));
-                    newQuestions.forEach(q => {
-                        if (!q.id) q.id = this.generateId();
-                        q.importedAt = new Date().toISOString();
-                    });
-                    
-                    const allQuestions = [...existingQuestions, ...newQuestions];
-                    this.setItem(this.storageKeys.questions, allQuestions);
-                    importedCount += newQuestions.length;
+                    ({ importedCount, decisions } = this.mergeQuestions(diff, resolutions));
                 } else {
-                    data.questions.forEach(q => {
-                        if (!q.id) q.id = this.generateId();
-                        q.importedAt = new Date().toISOString();
-                    });
+                    // Invalid questions are left out instead of corrupting the bank
+                    const questions = diff.entries.map(entry => ({
+                        ...entry.question,
+                        id: entry.question.id || this.generateId(),
+                        importedAt: new Date().toISOString()
+                    }));
                     
-                    this.setItem(this.storageKeys.questions, data.questions);
-                    importedCount = data.questions.length;
+                    this.setItem(this.storageKeys.questions, questions);
+                    importedCount = questions.length;
+                    decisions = {
+                        added: questions.length,
+                        removed: diff.removed.length,
+                        invalid: diff.invalid.length
+                    };
                 }
             }
             
@@ -280,31 +665,72 @@ class QuizStorage {
                 this.setItem(this.storageKeys.collections, allCollections);
             }
             
+            // Import saved filters
+            if (data.filters && Array.isArray(data.filters) && mergeCollections) {
+                const existingFilters = this.getAllFilters();
+                const existingIds = new Set(existingFilters.map(f => f.id));
+                const newFilters = data.filters.filter(f => f.id && !existingIds.has(f.id));
+
+                this.setItem(this.storageKeys.filters, [...existingFilters, ...newFilters]);
+            }
+            
             // Import history
             if (data.history && Array.isArray(data.history) && mergeHistory) {
-                const existingHistory = this.getQuizHistory();
+                const existingHistory = this.getQuizHistory(0);
                 const allHistory = [...existingHistory, ...data.history];
                 
-                // Remove duplicates and sort by timestamp
+                // Remove duplicates (saveQuizHistory sorts by timestamp)
                 const uniqueHistory = allHistory.filter((item, index, arr) => 
                     index === arr.findIndex(t => t.id === item.id)
-                ).sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+                );
                 
-                this.setItem(this.storageKeys.history, uniqueHistory.slice(0, 100));
+                this.saveQuizHistory(uniqueHistory);
+            }
+            
+            // Import attempts, skipping ones already logged
+            if (data.attempts && Array.isArray(data.attempts) && mergeHistory) {
+                const existingIds = new Set(this.getAttempts().map(a => a.id));
+                const newAttempts = data.attempts.filter(a => a.id && !existingIds.has(a.id));
+                const allAttempts = [...this.getAttempts(), ...newAttempts]
+                    .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+
+                this.setItem(this.storageKeys.attempts, allAttempts);
+            }
+            
+            // Import review schedule, keeping the most recently reviewed entry
+            if (data.reviewSchedule && typeof data.reviewSchedule === 'object' && mergeHistory) {
+                const schedule = this.getReviewSchedule();
+
+                Object.entries(data.reviewSchedule).forEach(([key, entry]) => {
+                    const existing = schedule[key];
+                    if (!existing || new Date(entry.lastReviewed) > new Date(existing.lastReviewed)) {
+                        schedule[key] = entry;
+                    }
+                });
+
+                this.saveReviewSchedule(schedule);
             }
             
             // Import settings
             if (data.settings && overwriteSettings) {
-                this.setItem(this.storageKeys.settings, data.settings);
+                this.saveSettings(data.settings);
             }
             
             // Log import
-            this.logImport(data, importedCount);
+            this.logImport(source, importedCount, decisions);
             
+            const invalid = diff ? diff.invalid.length : 0;
             return {
                 success: true,
                 importedQuestions: importedCount,
-                message: `${importedCount} questões importadas com sucesso`
+                skippedQuestions: invalid,
+                decisions,
+                migration,
+                errors: diff ? diff.invalid.map(entry => ({ item: entry.index + 1, message: entry.errors.join('; ') })) : [],
+                warnings: diff ? diff.warnings : [],
+                message: (invalid > 0
+                    ? `${importedCount} questões importadas, ${invalid} inválidas ignoradas`
+                    : `${importedCount} questões importadas com sucesso`) + upgradeNote
             };
             
         } catch (error) {
@@ -317,7 +743,7 @@ class QuizStorage {
         }
     }
 
-    logImport(data, importedCount) {
+    logImport(data, importedCount, decisions = null) {
         const imports = this.getItem(this.storageKeys.imports, []);
         
         imports.unshift({
@@ -325,7 +751,8 @@ class QuizStorage {
             timestamp: new Date().toISOString(),
             questionsImported: importedCount,
             sourceVersion: data.version,
-            sourceDate: data.exportDate
+            sourceDate: data.exportDate,
+            ...(decisions && { decisions })
         });
         
         // Keep only last 20 import logs
@@ -336,9 +763,506 @@ class QuizStorage {
         this.setItem(this.storageKeys.imports, imports);
     }
 
+    getImportLog() {
+        return this.getItem(this.storageKeys.imports, []);
+    }
+
+    // ===== IMPORT PREVIEW =====
+
+    diffImport(data, { mergeQuestions = true } = {}) {
+        const importer = window.quizApp?.importer || new QuestionImporter();
+        const localQuestions = this.getAllQuestions();
+        const local = new Map(localQuestions.map(q => [q.id, q]));
+
+        // Ids folded away by a duplicate merge still point at the question that absorbed them
+        localQuestions.forEach(q => (q.mergedFrom || []).forEach(id => {
+            if (!local.has(id)) local.set(id, q);
+        }));
+        const diff = {
+            entries: [],
+            new: [],
+            identical: [],
+            changed: [],
+            conflicting: [],
+            invalid: [],
+            removed: [],
+            warnings: []
+        };
+
+        const seenIds = new Set();
+
+        (data.questions || []).forEach((item, index) => {
+            if (!item || typeof item !== 'object') {
+                diff.invalid.push({ index, question: item, errors: ['Item não é uma questão'] });
+                return;
+            }
+            if (item.id && seenIds.has(item.id)) {
+                diff.invalid.push({ index, question: item, errors: ['Identificador repetido no arquivo'] });
+                return;
+            }
+            if (item.id) seenIds.add(item.id);
+
+            const { question, adjustments } = importer.normalizeQuestion(item);
+            const errors = importer.validateQuestion(question);
+            if (errors.length > 0) {
+                diff.invalid.push({ index, question, errors });
+                return;
+            }
+
+            adjustments.forEach(message => diff.warnings.push({ item: index + 1, message }));
+
+            const entry = { index, id: question.id, question };
+            diff.entries.push(entry);
+
+            const mine = question.id ? local.get(question.id) : null;
+            if (!mine) {
+                diff.new.push(entry);
+                return;
+            }
+
+            entry.mine = mine;
+            entry.fields = this.getChangedFields(mine, question);
+
+            if (entry.fields.length === 0) {
+                diff.identical.push(entry);
+            } else if (this.isEditedSince(mine, question)) {
+                // Both copies changed since they last matched
+                diff.conflicting.push(entry);
+            } else {
+                diff.changed.push(entry);
+            }
+        });
+
+        if (!mergeQuestions) {
+            const incomingIds = new Set(diff.entries.map(entry => entry.id));
+            diff.removed = localQuestions.filter(q => !incomingIds.has(q.id));
+        }
+
+        return diff;
+    }
+
+    getChangedFields(mine, theirs) {
+        const fields = ['text', 'type', 'options', 'correct', 'explanation', 'difficulty', 'category', 'tags', 'acceptedAnswers', 'scoring', 'items', 'pairs', 'media'];
+        const comparable = (value) => {
+            if (value == null || value === '' || (Array.isArray(value) && value.length === 0)) return '';
+            return JSON.stringify(value);
+        };
+
+        return fields.filter(field => comparable(mine[field]) !== comparable(theirs[field]));
+    }
+
+    isEditedSince(mine, theirs) {
+        const theirsTime = theirs.updatedAt || theirs.createdAt;
+        const mineTime = mine.updatedAt || mine.createdAt;
+
+        // Without dates we can't tell which side is newer, so let the user decide
+        if (!theirsTime || !mineTime) return true;
+        return new Date(mineTime) > new Date(theirsTime);
+    }
+
+    describeDiff(diff) {
+        const parts = [
+            [diff.new.length, 'novas'],
+            [diff.identical.length, 'idênticas'],
+            [diff.changed.length, 'alteradas'],
+            [diff.conflicting.length, 'em conflito'],
+            [diff.invalid.length, 'inválidas'],
+            [diff.removed.length, 'removidas']
+        ].filter(([count]) => count > 0);
+
+        return parts.length > 0
+            ? parts.map(([count, label]) => `${count} ${label}`).join(', ')
+            : 'Nenhuma questão no arquivo';
+    }
+
+    mergeQuestions(diff, resolutions = {}) {
+        const now = new Date().toISOString();
+        const questions = this.getAllQuestions();
+        const decisions = {
+            added: 0,
+            replaced: 0,
+            kept: 0,
+            duplicated: 0,
+            identical: diff.identical.length,
+            invalid: diff.invalid.length
+        };
+
+        diff.new.forEach(entry => {
+            questions.push({ ...entry.question, id: entry.question.id || this.generateId(), importedAt: now });
+            decisions.added++;
+        });
+
+        // Collisions are never resolved silently: without a choice the local copy stays
+        [...diff.changed, ...diff.conflicting].forEach(entry => {
+            const choice = resolutions[entry.id] || 'mine';
+
+            if (choice === 'theirs') {
+                const index = questions.findIndex(q => q.id === entry.mine.id);
+                questions[index] = {
+                    ...entry.question,
+                    id: entry.mine.id,
+                    mergedFrom: entry.mine.mergedFrom,
+                    createdAt: entry.mine.createdAt,
+                    updatedAt: now,
+                    importedAt: now
+                };
+                decisions.replaced++;
+            } else if (choice === 'both') {
+                questions.push({ ...entry.question, id: this.generateId(), createdAt: now, importedAt: now });
+                decisions.duplicated++;
+            } else {
+                decisions.kept++;
+            }
+        });
+
+        this.setItem(this.storageKeys.questions, questions);
+
+        return {
+            importedCount: decisions.added + decisions.replaced + decisions.duplicated,
+            decisions
+        };
+    }
+
+    // ===== SCHEMA VERSIONS =====
+
+    getSchemaVersion() {
+        // Data saved before versioning has no version key
+        return this.migrations.getVersion({ version: this.getItem(this.storageKeys.schemaVersion, null) });
+    }
+
+    async migrateSchema() {
+        // Brings the stored records up to the current schema, once per version bump.
+        // Only the parts that changed are written; if a write fails the version stays
+        // behind and the next start runs the steps again.
+        const version = this.getSchemaVersion();
+        if (!this.migrations.needsUpgrade(version)) return null;
+
+        // Version 1 copied the questions to a key literally named "undefined" on startup
+        if (version < 2) localStorage.removeItem('undefined');
+
+        const stored = this.getStoredData();
+
+        // A fresh install has nothing to upgrade; it simply starts at the current version
+        if (this.isEmptyData(stored)) {
+            this.setItem(this.storageKeys.schemaVersion, this.schemaVersion);
+            return null;
+        }
+
+        const { data, report } = this.migrations.run(stored, version);
+        const writers = {
+            questions: value => this.setItem(this.storageKeys.questions, value),
+            collections: value => this.setItem(this.storageKeys.collections, value),
+            filters: value => this.setItem(this.storageKeys.filters, value),
+            history: value => this.saveQuizHistory(value),
+            attempts: value => this.setItem(this.storageKeys.attempts, value),
+            reviewSchedule: value => this.saveReviewSchedule(value),
+            settings: value => this.saveSettings(value)
+        };
+
+        const saved = Object.entries(writers)
+            .filter(([store]) => JSON.stringify(stored[store]) !== JSON.stringify(data[store]))
+            .every(([store, write]) => write(data[store])) && await this.flush();
+
+        if (!saved) {
+            console.error('Schema migration could not be saved; it runs again on the next start');
+            return report;
+        }
+
+        this.setItem(this.storageKeys.schemaVersion, this.schemaVersion);
+        this.logMigration(report);
+
+        if (report.repaired.length > 0 || report.dropped.length > 0) {
+            console.warn('Schema migration report:', report);
+            window.quizApp?.showToast(
+                `Dados atualizados para a versão ${report.to}: ${this.migrations.summarize(report)} (detalhes em Configurações)`,
+                report.dropped.length > 0 ? 'warning' : 'info'
+            );
+        }
+        return report;
+    }
+
+    getStoredData() {
+        return {
+            questions: this.getAllQuestions(),
+            collections: this.getAllCollections(),
+            filters: this.getAllFilters(),
+            history: this.getQuizHistory(0),
+            attempts: this.getAttempts(),
+            reviewSchedule: this.getReviewSchedule(),
+            settings: this.getItem(this.storageKeys.settings, {})
+        };
+    }
+
+    isEmptyData(data) {
+        // Preferences alone don't need an upgrade
+        return ['questions', 'collections', 'filters', 'history', 'attempts']
+            .every(store => Array.isArray(data[store]) && data[store].length === 0) &&
+            this.migrations.isRecord(data.reviewSchedule) && Object.keys(data.reviewSchedule).length === 0;
+    }
+
+    upgradeImport(data) {
+        const version = this.migrations.getVersion(data);
+        if (!this.migrations.needsUpgrade(version)) {
+            return { data, migration: null };
+        }
+
+        // Questions in a file are checked item by item by the importer, which reports them by position
+        const { data: upgraded, report } = this.migrations.run(data, version, { skip: ['questions'] });
+        return { data: upgraded, migration: report };
+    }
+
+    logMigration(report) {
+        const log = this.getItem(this.storageKeys.migrations, []);
+
+        log.unshift({
+            id: this.generateId(),
+            timestamp: new Date().toISOString(),
+            ...report
+        });
+
+        // Keep only the last 20 runs
+        this.setItem(this.storageKeys.migrations, log.slice(0, 20));
+    }
+
+    getMigrationLog() {
+        return this.getItem(this.storageKeys.migrations, []);
+    }
+
+    // ===== DATABASE =====
+
+    async load() {
+        if (localStorage.getItem(this.storageKeys.backend) === 'indexeddb') {
+            // The data lives in IndexedDB now and the localStorage copies may be behind it,
+            // so a failure here is an error for the app to show, not a reason to fall back
+            await this.loadTables();
+            this.backend = 'indexeddb';
+            this.dropLegacyCopies();
+        } else if (this.database.isSupported()) {
+            try {
+                await this.migrateToDatabase();
+                await this.loadTables();
+                this.backend = 'indexeddb';
+                localStorage.setItem(this.storageKeys.backend, 'indexeddb');
+            } catch (error) {
+                // The move only counts once it's read back, so localStorage is still the source
+                console.error('IndexedDB unavailable, using localStorage:', error);
+                window.quizApp?.showToast('Não foi possível usar o IndexedDB; os dados continuam no armazenamento local', 'warning');
+            }
+        }
+
+        await this.init();
+    }
+
+    async migrateToDatabase() {
+        // Copies the quiz-* arrays (and the attachments' old database) into QuizDatabase.
+        // Everything is written in one transaction and counted back; if any step fails
+        // the new stores are emptied and the next start tries again. The originals stay
+        // until a later start has loaded from IndexedDB (see dropLegacyCopies).
+        const contents = {};
+        Object.entries(this.tables).forEach(([key, storeName]) => {
+            const records = JSON.parse(localStorage.getItem(key) || '[]');
+            contents[storeName] = this.toRecords(Array.isArray(records) ? records : []);
+        });
+        contents.media = await this.database.readLegacyMedia();
+
+        try {
+            await this.database.replaceAll(contents);
+
+            for (const [storeName, records] of Object.entries(contents)) {
+                const count = await this.database.count(storeName);
+                if (count !== records.length) {
+                    throw new Error(`${storeName}: ${count} de ${records.length} registros gravados`);
+                }
+            }
+        } catch (error) {
+            await this.database.clear().catch(() => {});
+            throw error;
+        }
+    }
+
+    dropLegacyCopies() {
+        // Kept through the start that moved them, in case IndexedDB failed right after
+        Object.keys(this.tables).forEach(key => localStorage.removeItem(key));
+        this.database.deleteLegacyMedia();
+    }
+
+    toRecords(items) {
+        // Records are keyed by id and remember their place in the array, which IndexedDB doesn't keep
+        const seen = new Set();
+
+        return items
+            .filter(item => item && typeof item === 'object')
+            .map(item => item.id ? item : { ...item, id: this.generateId() })
+            .filter(item => !seen.has(item.id) && seen.add(item.id))
+            .map((item, position) => ({ ...item, _position: position }));
+    }
+
+    async loadTables() {
+        await Promise.all(Object.entries(this.tables).map(async ([key, storeName]) => {
+            const records = (await this.database.getAll(storeName)).sort((a, b) => a._position - b._position);
+            const written = new Map();
+
+            const rows = records.map(({ _position, ...record }) => {
+                const row = JSON.stringify(record);
+                written.set(record.id, `${_position}:${row}`);
+                return row;
+            });
+
+            this.cache.set(key, rows);
+            this.written.set(key, written);
+        }));
+    }
+
+    isTable(key) {
+        return this.backend === 'indexeddb' && key in this.tables;
+    }
+
+    setTableItem(key, value) {
+        // The cache keeps each record as JSON, so reads hand out fresh copies like
+        // localStorage did; only records that changed (or moved) are written back
+        const records = this.toRecords(Array.isArray(value) ? value : []);
+        const previous = this.written.get(key) || new Map();
+        const written = new Map();
+        const put = [];
+
+        const rows = records.map(({ _position, ...record }) => {
+            const row = JSON.stringify(record);
+            const signature = `${_position}:${row}`;
+
+            written.set(record.id, signature);
+            if (previous.get(record.id) !== signature) put.push({ ...record, _position });
+            return row;
+        });
+
+        const remove = [...previous.keys()].filter(id => !written.has(id));
+        this.cache.set(key, rows);
+        this.written.set(key, written);
+
+        if (put.length > 0 || remove.length > 0 || this.stale.has(key)) {
+            this.persist(key, { put, remove, records });
+        }
+        return true;
+    }
+
+    persist(key, { put, remove, records }) {
+        const storeName = this.tables[key];
+        // After a failed write the store may not match the cache, so rewrite it whole
+        const changes = this.stale.has(key) ? { put: records, replace: true } : { put, remove };
+        this.stale.delete(key);
+
+        this.writes = this.writes
+            .then(() => this.database.write(storeName, changes))
+            .catch(error => {
+                console.error(`Failed to save ${storeName}:`, error);
+                this.stale.add(key);
+
+                if (error && error.name === 'QuotaExceededError') {
+                    this.handleStorageFull();
+                } else {
+                    window.quizApp?.showToast('Falha ao salvar no armazenamento', 'error');
+                }
+            });
+    }
+
+    async flush(keys = Object.keys(this.tables)) {
+        // Resolves once every pending IndexedDB write has been attempted: true when
+        // the given keys were saved, false when a write left their store behind
+        await this.writes;
+        return [].concat(keys).every(key => !this.stale.has(key));
+    }
+
+    // ===== ASYNC QUERIES =====
+
+    async queryQuestions({ category, difficulty, tag } = {}) {
+        // Uses the store indexes; falls back to scanning the cache on localStorage
+        if (this.backend !== 'indexeddb') {
+            return this.getAllQuestions().filter(question =>
+                (!category || question.category === category) &&
+                (!difficulty || question.difficulty === difficulty) &&
+                (!tag || (question.tags || []).includes(tag))
+            );
+        }
+
+        await this.flush();
+        const [indexName, query] = category ? ['category', category]
+            : difficulty ? ['difficulty', difficulty]
+            : tag ? ['tags', tag]
+            : [null, null];
+        const records = indexName
+            ? await this.database.getAllByIndex('questions', indexName, query)
+            : await this.database.getAll('questions');
+
+        return records
+            .filter(question =>
+                (!difficulty || question.difficulty === difficulty) &&
+                (!tag || (question.tags || []).includes(tag)))
+            .sort((a, b) => a._position - b._position)
+            .map(({ _position, ...question }) => question);
+    }
+
+    async queryAttempts({ since, until } = {}) {
+        if (this.backend !== 'indexeddb') {
+            return this.getAttempts({ since }).filter(attempt => !until || new Date(attempt.timestamp) <= new Date(until));
+        }
+
+        await this.flush();
+        const range = since && until ? IDBKeyRange.bound(since, until)
+            : since ? IDBKeyRange.lowerBound(since)
+            : until ? IDBKeyRange.upperBound(until)
+            : undefined;
+        const records = await this.database.getAllByIndex('attempts', 'timestamp', range);
+
+        return records.map(({ _position, ...attempt }) => attempt);
+    }
+
+    // ===== CHANGE EVENTS =====
+
+    onChange(names, callback) {
+        // names: storageKeys entries to watch; callback receives the ones that changed.
+        // Every write made in the same task is reported once, after the task ends,
+        // so a module that saves several keys triggers a single refresh
+        const listener = { names: [].concat(names), callback };
+        this.listeners.push(listener);
+
+        return () => {
+            this.listeners = this.listeners.filter(item => item !== listener);
+        };
+    }
+
+    notifyChange(key) {
+        const name = this.keyNames[key];
+        if (!name) return;
+
+        if (this.changed.size === 0) {
+            Promise.resolve().then(() => this.dispatchChanges());
+        }
+        this.changed.add(name);
+    }
+
+    dispatchChanges() {
+        const changed = [...this.changed];
+        this.changed.clear();
+
+        this.listeners.forEach(({ names, callback }) => {
+            const matching = changed.filter(name => names.includes(name));
+            if (matching.length === 0) return;
+
+            try {
+                callback(matching);
+            } catch (error) {
+                console.error('Change listener failed:', error);
+            }
+        });
+    }
+
     // ===== UTILITY METHODS =====
     
     getItem(key, defaultValue = null) {
+        if (this.isTable(key)) {
+            const rows = this.cache.get(key);
+            return rows ? JSON.parse(`[${rows.join(',')}]`) : defaultValue;
+        }
+
         try {
             const item = localStorage.getItem(key);
             return item ? JSON.parse(item) : defaultValue;
@@ -349,6 +1273,12 @@ class QuizStorage {
     }
 
     setItem(key, value) {
+        this.notifyChange(key);
+
+        if (this.isTable(key)) {
+            return this.setTableItem(key, value);
+        }
+
         try {
             localStorage.setItem(key, JSON.stringify(value));
             return true;
@@ -364,6 +1294,12 @@ class QuizStorage {
     }
 
     removeItem(key) {
+        this.notifyChange(key);
+
+        if (this.isTable(key)) {
+            return this.setTableItem(key, []);
+        }
+
         try {
             localStorage.removeItem(key);
             return true;
@@ -382,7 +1318,7 @@ class QuizStorage {
     getStorageInfo() {
         const info = {
             questionsCount: this.getAllQuestions().length,
-            historyCount: this.getQuizHistory().length,
+            historyCount: this.getQuizHistory(0).length,
             collectionsCount: this.getAllCollections().length,
             storageUsed: 0,
             storageLimit: 0
@@ -391,71 +1327,33 @@ class QuizStorage {
         // Calculate storage usage
         let totalSize = 0;
         Object.keys(this.storageKeys).forEach(key => {
-            const item = localStorage.getItem(this.storageKeys[key]);
+            const item = this.isTable(this.storageKeys[key])
+                ? (this.cache.get(this.storageKeys[key]) || []).join(',')
+                : localStorage.getItem(this.storageKeys[key]);
             if (item) {
                 totalSize += item.length;
             }
         });
         
         info.storageUsed = totalSize;
+        info.backend = this.backend;
         
-        // Estimate storage limit (5MB for most browsers)
-        info.storageLimit = 5 * 1024 * 1024;
+        // localStorage holds about 5MB in most browsers; IndexedDB gets a share of the disk
+        info.storageLimit = this.backend === 'indexeddb' ? 500 * 1024 * 1024 : 5 * 1024 * 1024;
         info.storagePercentage = Math.round((totalSize / info.storageLimit) * 100);
         
         return info;
     }
 
     handleStorageFull() {
+        // Never deletes anything: the user decides what to export and remove
         window.quizApp?.showToast(
-            'Armazenamento local cheio. Limpando dados antigos...', 
-            'warning'
+            'Armazenamento cheio: a última alteração não foi salva. Exporte um backup e remova dados que não usa mais.', 
+            'error'
         );
-        
-        // Clean old history entries
-        const history = this.getQuizHistory();
-        if (history.length > 20) {
-            this.setItem(this.storageKeys.history, history.slice(0, 20));
-        }
-        
-        // Clean old imports
-        this.setItem(this.storageKeys.imports, []);
-        
-        window.quizApp?.showToast('Dados antigos removidos', 'info');
     }
 
-    migrateOldData() {
-        // Migrate from old storage keys if they exist
-        const oldKeys = [
-            'quiz-created-questions',
-            'quiz-history',
-            'quiz-settings'
-        ];
-        
-        oldKeys.forEach(oldKey => {
-            const data = localStorage.getItem(oldKey);
-            if (data && !localStorage.getItem(this.storageKeys[oldKey.split('-')[1]])) {
-                localStorage.setItem(this.storageKeys[oldKey.split('-')[1]], data);
-            }
-        });
-    }
-
-    cleanupOldEntries() {
-        // Remove entries older than 6 months from history
-        const sixMonthsAgo = new Date();
-        sixMonthsAgo.setMonth(sixMonthsAgo.getMonth() - 6);
-        
-        const history = this.getQuizHistory();
-        const recentHistory = history.filter(item => 
-            new Date(item.timestamp) > sixMonthsAgo
-        );
-        
-        if (recentHistory.length < history.length) {
-            this.setItem(this.storageKeys.history, recentHistory);
-        }
-    }
-
-    clearAllData() {
+    async clearAllData() {
         const confirm = window.confirm(
             'Tem certeza que deseja apagar TODOS os dados? Esta ação não pode ser desfeita.'
         );
@@ -465,6 +1363,11 @@ class QuizStorage {
                 localStorage.removeItem(key);
             });
             
+            if (this.database.isSupported()) {
+                await this.flush();
+                await this.database.clear().catch(error => console.error('Failed to clear IndexedDB:', error));
+            }
+            
             window.quizApp?.showToast('Todos os dados foram removidos', 'info');
             
             // Reload page to reset app state
@@ -474,11 +1377,12 @@ class QuizStorage {
 
     // ===== BACKUP & RESTORE =====
     
-    createBackup() {
+    async createBackup() {
+        // Attachment files live in IndexedDB, so they are bundled into the data as base64
         const backup = {
-            version: '1.0',
+            version: this.schemaVersion,
             timestamp: new Date().toISOString(),
-            data: this.exportData(true),
+            data: await window.quizApp.media.withBundle(this.exportData(true)),
             storageInfo: this.getStorageInfo()
         };
         
@@ -488,20 +1392,29 @@ class QuizStorage {
         return backup;
     }
 
-    restoreBackup(backupData) {
+    async restoreBackup(backupData) {
         if (!backupData || !backupData.data) {
             throw new Error('Dados de backup inválidos');
         }
         
-        const result = this.importData(backupData.data, {
+        // The payload carries its own version; fall back to the backup's
+        const result = this.importData({ version: backupData.version, ...backupData.data }, {
             mergeQuestions: false,
             mergeCollections: false,
             mergeHistory: true,
             overwriteSettings: true
         });
         
+        if (result.success && !(await this.flush())) {
+            return { ...result, success: false, message: 'Não foi possível salvar o backup restaurado' };
+        }
+
         if (result.success) {
-            window.quizApp?.showToast('Backup restaurado com sucesso!');
+            const mediaNote = window.quizApp.media.describeFailures(await window.quizApp.media.importBundle(backupData.data.media));
+            window.quizApp?.showToast(
+                mediaNote ? `Backup restaurado; ${mediaNote}` : 'Backup restaurado com sucesso!',
+                mediaNote ? 'warning' : 'info'
+            );
         }
         
         return result;
@@ -512,6 +1425,10 @@ class QuizStorage {
             type: 'application/json' 
         });
         
+        this.downloadBlob(blob, filename);
+    }
+
+    downloadBlob(blob, filename) {
         const url = URL.createObjectURL(blob);
         const a = document.createElement('a');
         a.href = url;
@@ -0,0 +1,190 @@
+/**
+ * Zip Module
+ * Minimal store-only (uncompressed) ZIP writer for client-side exports and a
+ * reader for stored or deflated archives
+ */
+
+class ZipWriter {
+    constructor() {
+        this.files = [];
+        this.encoder = new TextEncoder();
+    }
+
+    addFile(name, content) {
+        const data = typeof content === 'string' ? this.encoder.encode(content) : content;
+        this.files.push({
+            name: this.encoder.encode(name),
+            data,
+            crc: ZipWriter.crc32(data)
+        });
+        return this;
+    }
+
+    generate() {
+        const chunks = [];
+        const centralDirectory = [];
+        let offset = 0;
+        const { time, date } = this.getDosDateTime(new Date());
+
+        this.files.forEach(file => {
+            const local = new DataView(new ArrayBuffer(30));
+            local.setUint32(0, 0x04034b50, true);     // Local file header signature
+            local.setUint16(4, 20, true);             // Version needed to extract
+            local.setUint16(6, 0x0800, true);         // Flags: UTF-8 file names
+            local.setUint16(8, 0, true);              // Compression: stored
+            local.setUint16(10, time, true);
+            local.setUint16(12, date, true);
+            local.setUint32(14, file.crc, true);
+            local.setUint32(18, file.data.length, true);
+            local.setUint32(22, file.data.length, true);
+            local.setUint16(26, file.name.length, true);
+            local.setUint16(28, 0, true);             // Extra field length
+
+            const central = new DataView(new ArrayBuffer(46));
+            central.setUint32(0, 0x02014b50, true);   // Central directory signature
+            central.setUint16(4, 20, true);           // Version made by
+            central.setUint16(6, 20, true);           // Version needed to extract
+            central.setUint16(8, 0x0800, true);
+            central.setUint16(10, 0, true);
+            central.setUint16(12, time, true);
+            central.setUint16(14, date, true);
+            central.setUint32(16, file.crc, true);
+            central.setUint32(20, file.data.length, true);
+            central.setUint32(24, file.data.length, true);
+            central.setUint16(28, file.name.length, true);
+            central.setUint32(42, offset, true);      // Offset of local header
+
+            chunks.push(new Uint8Array(local.buffer), file.name, file.data);
+            centralDirectory.push(new Uint8Array(central.buffer), file.name);
+            offset += 30 + file.name.length + file.data.length;
+        });
+
+        const centralSize = centralDirectory.reduce((sum, chunk) => sum + chunk.length, 0);
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, 0x06054b50, true);           // End of central directory signature
+        end.setUint16(8, this.files.length, true);
+        end.setUint16(10, this.files.length, true);
+        end.setUint32(12, centralSize, true);
+        end.setUint32(16, offset, true);
+
+        return new Blob([...chunks, ...centralDirectory, new Uint8Array(end.buffer)], {
+            type: 'application/zip'
+        });
+    }
+
+    getDosDateTime(date) {
+        return {
+            time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+            date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+        };
+    }
+
+    static crc32(data) {
+        if (!ZipWriter.crcTable) {
+            ZipWriter.crcTable = new Uint32Array(256);
+            for (let n = 0; n < 256; n++) {
+                let c = n;
+                for (let k = 0; k < 8; k++) {
+                    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+                }
+                ZipWriter.crcTable[n] = c >>> 0;
+            }
+        }
+
+        let crc = 0xffffffff;
+        for (let i = 0; i < data.length; i++) {
+            crc = ZipWriter.crcTable[(crc ^ data[i]) & 0xff] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xffffffff) >>> 0;
+    }
+}
+
+class ZipReader {
+    constructor(bytes) {
+        this.bytes = bytes;
+        this.view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        this.decoder = new TextDecoder();
+        this.entries = new Map();
+        this.readEntries();
+    }
+
+    static async open(blob) {
+        return new ZipReader(new Uint8Array(await blob.arrayBuffer()));
+    }
+
+    readEntries() {
+        // The end of central directory record sits in the last 64 KB (after an optional comment)
+        let end = -1;
+        for (let i = this.bytes.length - 22; i >= Math.max(0, this.bytes.length - 65557); i--) {
+            if (this.view.getUint32(i, true) === 0x06054b50) {
+                end = i;
+                break;
+            }
+        }
+        if (end === -1) {
+            throw new Error('Arquivo ZIP inválido');
+        }
+
+        const count = this.view.getUint16(end + 10, true);
+        let offset = this.view.getUint32(end + 16, true);
+
+        for (let i = 0; i < count; i++) {
+            if (this.view.getUint32(offset, true) !== 0x02014b50) {
+                throw new Error('Diretório do ZIP corrompido');
+            }
+
+            const nameLength = this.view.getUint16(offset + 28, true);
+            const extraLength = this.view.getUint16(offset + 30, true);
+            const commentLength = this.view.getUint16(offset + 32, true);
+            const name = this.decoder.decode(this.bytes.subarray(offset + 46, offset + 46 + nameLength));
+
+            this.entries.set(name, {
+                method: this.view.getUint16(offset + 10, true),
+                compressedSize: this.view.getUint32(offset + 20, true),
+                localOffset: this.view.getUint32(offset + 42, true)
+            });
+
+            offset += 46 + nameLength + extraLength + commentLength;
+        }
+    }
+
+    getNames() {
+        return [...this.entries.keys()].filter(name => !name.endsWith('/'));
+    }
+
+    has(name) {
+        return this.entries.has(name);
+    }
+
+    async read(name) {
+        const entry = this.entries.get(name);
+        if (!entry) {
+            throw new Error(`Arquivo não encontrado no pacote: ${name}`);
+        }
+
+        const local = entry.localOffset;
+        const start = local + 30 + this.view.getUint16(local + 26, true) + this.view.getUint16(local + 28, true);
+        const data = this.bytes.subarray(start, start + entry.compressedSize);
+
+        if (entry.method === 0) return data;
+        if (entry.method !== 8) {
+            throw new Error(`Método de compressão não suportado em ${name}`);
+        }
+
+        const stream = new DecompressionStream('deflate-raw');
+        const writer = stream.writable.getWriter();
+
+        // A corrupt entry rejects the writes as well as the read; awaiting them
+        // together reports it once instead of leaving unhandled rejections behind
+        const [, , buffer] = await Promise.all([
+            writer.write(data),
+            writer.close(),
+            new Response(stream.readable).arrayBuffer()
+        ]);
+        return new Uint8Array(buffer);
+    }
+
+    async readText(name) {
+        return this.decoder.decode(await this.read(name));
+    }
+}
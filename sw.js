@@ -16,7 +16,25 @@ const STATIC_FILES = [
     '/js/quiz.js',
     '/js/creator.js',
     '/js/storage.js',
+    '/js/database.js',
+    '/js/migrations.js',
+    '/js/zip.js',
+    '/js/formats.js',
+    '/js/answers.js',
+    '/js/richtext.js',
+    '/js/media.js',
+    '/js/importer.js',
+    '/js/dedupe.js',
+    '/js/qti.js',
+    '/js/spreadsheet.js',
+    '/js/reconcile.js',
+    '/js/charts.js',
     '/js/stats.js',
+    '/js/manager.js',
+    '/js/builder.js',
+    '/js/collections.js',
+    '/js/review.js',
+    '/js/exporter.js',
     '/js/pwa.js',
     '/manifest.json',
     '/icon-192.png',
@@ -96,6 +114,12 @@ self.addEventListener('fetch', (event) => {
         return;
     }
     
+    // Question attachments are blobs in IndexedDB, so they play offline with no network copy
+    if (url.pathname.startsWith('/media/')) {
+        event.respondWith(serveMedia(decodeURIComponent(url.pathname.slice('/media/'.length))));
+        return;
+    }
+    
     // Network only files
     if (NETWORK_ONLY.some(pattern => url.pathname.startsWith(pattern))) {
         event.respondWith(fetch(request));
@@ -118,6 +142,48 @@ self.addEventListener('fetch', (event) => {
     event.respondWith(cacheFirstWithRefresh(request));
 });
 
+// ===== MEDIA =====
+// Same database as QuizDatabase (js/database.js), which the page creates and writes to
+const MEDIA_DB_NAME = 'quiz-pro';
+const MEDIA_STORE_NAME = 'media';
+
+function openMediaDB() {
+    return new Promise((resolve, reject) => {
+        const request = indexedDB.open(MEDIA_DB_NAME);
+        // Only the page creates the schema; an empty database made here would skip its upgrade
+        request.onupgradeneeded = () => request.transaction.abort();
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+async function serveMedia(id) {
+    try {
+        const db = await openMediaDB();
+        if (!db.objectStoreNames.contains(MEDIA_STORE_NAME)) {
+            db.close();
+            return new Response('Anexo não encontrado', { status: 404, statusText: 'Not Found' });
+        }
+        
+        const record = await new Promise((resolve, reject) => {
+            const request = db.transaction(MEDIA_STORE_NAME, 'readonly').objectStore(MEDIA_STORE_NAME).get(id);
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+        db.close();
+        
+        if (record) {
+            return new Response(record.blob, {
+                headers: { 'Content-Type': record.type || 'application/octet-stream' }
+            });
+        }
+    } catch (error) {
+        console.error('Media lookup failed:', error);
+    }
+    
+    return new Response('Anexo não encontrado', { status: 404, statusText: 'Not Found' });
+}
+
 // ===== CACHING STRATEGIES =====
 
 async function cacheFirst(request) {